@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Baseline of accepted findings, stored in .luke-linter-baseline.json.
+ * Entries are keyed by file (relative to the root), function name, rule and
+ * property, never by line, so they survive unrelated edits. An entry's
+ * `count` is how many such findings are accepted. Findings beyond the
+ * baseline are reported; entries that no longer match are pruned.
+ */
+
+const BASELINE_FILE = '.luke-linter-baseline.json';
+const BASELINE_VERSION = 1;
+
+/**
+ * Get the baseline path of a file: relative to the root, with forward slashes
+ * @param {string} filePath - Absolute file path
+ * @param {string} root - Baseline root directory
+ * @returns {string} The relative path
+ */
+function baselinePath(filePath, root) {
+    return path.relative(root, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Get the key identifying a finding within its file
+ * @param {Object} finding - Finding or baseline entry
+ * @returns {string} The key
+ */
+function keyOf(finding) {
+    const name = finding.functionName !== undefined ? finding.functionName : finding.function;
+    return JSON.stringify([name || null, finding.rule, finding.property || null]);
+}
+
+/**
+ * Count the findings of a file per key
+ * @param {Object[]} findings - Findings of one file
+ * @returns {Map<string, Object>} Entries per key: { function, rule, property?, count }
+ */
+function countFindings(findings) {
+    const entries = new Map();
+    for (const finding of findings) {
+        const key = keyOf(finding);
+        if (!entries.has(key)) {
+            entries.set(key, {
+                function: finding.functionName || null,
+                rule: finding.rule,
+                ...(finding.property ? { property: finding.property } : {}),
+                count: 0
+            });
+        }
+        entries.get(key).count++;
+    }
+    return entries;
+}
+
+/**
+ * Sort baseline entries so the file diffs cleanly
+ * @param {Object[]} entries - Entries of one file
+ * @returns {Object[]} The sorted entries
+ */
+function sortEntries(entries) {
+    return entries.sort((a, b) => keyOf(a).localeCompare(keyOf(b)));
+}
+
+/**
+ * Record every finding of lint results as a baseline
+ * @param {Object[]} results - Lint results ({ filePath, findings })
+ * @param {string} root - Baseline root directory
+ * @returns {Object} The baseline: { version, files }
+ */
+function createBaseline(results, root) {
+    const files = {};
+    for (const { filePath, findings } of [...results].sort((a, b) => a.filePath.localeCompare(b.filePath))) {
+        if (findings.length > 0) {
+            files[baselinePath(filePath, root)] = sortEntries([...countFindings(findings).values()]);
+        }
+    }
+    return { version: BASELINE_VERSION, files };
+}
+
+/**
+ * Hide findings recorded in the baseline and prune entries that were fixed
+ * Only files present in the results are pruned, so partial runs keep the
+ * rest, and only entries of rules the run checked (examples run on request,
+ * rules the configuration turns off never report).
+ * @param {Object} baseline - The baseline
+ * @param {Object[]} results - Lint results ({ filePath, findings })
+ * @param {string} root - Baseline root directory
+ * @param {Function} [isChecked] - Tells whether the run checked a rule ID in a result: (rule, result) => boolean
+ * @returns {{results: Object[], baseline: Object, changed: boolean}} New findings only, and the pruned baseline
+ */
+function applyBaseline(baseline, results, root, isChecked = () => true) {
+    const files = { ...baseline.files };
+    let changed = false;
+
+    const filtered = results.map(result => {
+        const { filePath, findings, ...rest } = result;
+        const file = baselinePath(filePath, root);
+        const entries = files[file];
+        if (!entries) {
+            return { filePath, findings, ...rest };
+        }
+
+        const allowed = new Map(entries.map(entry => [keyOf(entry), entry.count]));
+        const current = countFindings(findings);
+        const remaining = findings.filter(finding => {
+            const key = keyOf(finding);
+            if (allowed.get(key) > 0) {
+                allowed.set(key, allowed.get(key) - 1);
+                return false;
+            }
+            return true;
+        });
+
+        // Lower each count to the findings still present
+        const pruned = entries
+            .map(entry => {
+                if (!isChecked(entry.rule, result)) {
+                    return entry;
+                }
+                const found = current.has(keyOf(entry)) ? current.get(keyOf(entry)).count : 0;
+                return { ...entry, count: Math.min(entry.count, found) };
+            })
+            .filter(entry => entry.count > 0);
+        if (pruned.length !== entries.length || pruned.some((entry, index) => entry.count !== entries[index].count)) {
+            changed = true;
+            if (pruned.length > 0) {
+                files[file] = pruned;
+            } else {
+                delete files[file];
+            }
+        }
+
+        return { filePath, findings: remaining, ...rest };
+    });
+
+    return { results: filtered, baseline: { ...baseline, files }, changed };
+}
+
+/**
+ * Drop the entries of files that no longer exist
+ * @param {Object} baseline - The baseline
+ * @param {string} root - Baseline root directory
+ * @returns {Promise<{baseline: Object, changed: boolean}>} The pruned baseline
+ */
+async function pruneDeletedFiles(baseline, root) {
+    const files = {};
+    for (const [file, entries] of Object.entries(baseline.files)) {
+        try {
+            await fs.promises.access(path.join(root, file));
+            files[file] = entries;
+        } catch (error) {
+            // Deleted or renamed: its findings are gone
+        }
+    }
+    const changed = Object.keys(files).length !== Object.keys(baseline.files).length;
+    return { baseline: { ...baseline, files }, changed };
+}
+
+/**
+ * Read a baseline file
+ * @param {string} filePath - Path of the baseline file
+ * @returns {Promise<Object|null>} The baseline, or null if the file does not exist
+ * @throws {Error} If the file exists but is not a valid baseline
+ */
+async function readBaseline(filePath) {
+    let text;
+    try {
+        text = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+
+    const baseline = JSON.parse(text);
+    if (!baseline || typeof baseline.files !== 'object' || baseline.files === null) {
+        throw new Error(`${filePath} is not a Luke Linter baseline`);
+    }
+    return baseline;
+}
+
+/**
+ * Write a baseline file
+ * @param {string} filePath - Path of the baseline file
+ * @param {Object} baseline - The baseline
+ * @returns {Promise<void>}
+ */
+async function writeBaseline(filePath, baseline) {
+    await fs.promises.writeFile(filePath, JSON.stringify(baseline, null, 2) + '\n', 'utf8');
+}
+
+module.exports = {
+    BASELINE_FILE,
+    createBaseline,
+    applyBaseline,
+    pruneDeletedFiles,
+    readBaseline,
+    writeBaseline
+};
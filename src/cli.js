@@ -0,0 +1,298 @@
+const fs = require('fs');
+const path = require('path');
+const { REPORT_FORMATS, formatReport } = require('./reporters');
+const { DEFAULT_TIMEOUT, EXAMPLE_RULES } = require('./doctest');
+const { DOC_FORMATS, DEFAULT_DOCS_FORMAT, documentFiles, writeDocumentation } = require('./docsite');
+const {
+    BASELINE_FILE,
+    createBaseline,
+    applyBaseline,
+    pruneDeletedFiles,
+    readBaseline,
+    writeBaseline
+} = require('./baseline');
+const {
+    DEFAULT_FILE_TYPES,
+    DEFAULT_IGNORE_PATTERNS,
+    DEFAULT_USE_GITIGNORE,
+    collectFiles,
+    lintFiles
+} = require('./runner');
+
+const USAGE = `Usage: luke-lint [options] [paths...]
+
+Lint files and directories for Luke Linter property blocks.
+Paths are relative to the current directory and default to the root.
+
+Options:
+  --root <dir>        Directory holding .luke-linter.json (default: cwd)
+  --ext <list>        Comma-separated file types, e.g. .js,.ts
+  --ignore <pattern>  Glob pattern to ignore, ! to re-include (repeatable)
+  --no-gitignore      Lint files ignored by .gitignore
+  --quiet             Report errors only
+  --run-examples      Run the example property of every function (JavaScript/TypeScript)
+  --example-timeout <ms>
+                      Time limit for all examples of one file (default: 2000)
+  --create-baseline   Record all current findings in the baseline file and exit
+  --baseline <file>   Baseline file (default: <root>/.luke-linter-baseline.json)
+  --no-baseline       Report findings recorded in the baseline too
+  --export-docs <dir> Write a documentation site of the properties to a directory and exit
+  --docs-format <name>
+                      Documentation site format: markdown (default), html
+  --docs-templates <dir>
+                      Directory of templates replacing the built-in ones
+  -f, --format <name> Output format: text (default), json, sarif, junit, checkstyle
+  -o, --output-file <file>
+                      Write the report to a file instead of stdout
+  -h, --help          Show this help
+`;
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments without the node executable and script
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+    const options = {
+        root: process.cwd(),
+        paths: [],
+        fileTypes: DEFAULT_FILE_TYPES,
+        ignorePatterns: DEFAULT_IGNORE_PATTERNS,
+        useGitignore: DEFAULT_USE_GITIGNORE,
+        quiet: false,
+        format: 'text',
+        outputFile: null,
+        runExamples: false,
+        exampleTimeout: DEFAULT_TIMEOUT,
+        baseline: null,
+        useBaseline: true,
+        createBaseline: false,
+        exportDocs: null,
+        docsFormat: DEFAULT_DOCS_FORMAT,
+        docsTemplates: null,
+        help: false
+    };
+    const ignorePatterns = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--root':
+                options.root = path.resolve(next());
+                break;
+            case '--ext':
+                options.fileTypes = next().split(',')
+                    .map(ext => ext.trim())
+                    .filter(ext => ext)
+                    .map(ext => (ext.startsWith('.') ? ext : `.${ext}`));
+                break;
+            case '--ignore':
+                ignorePatterns.push(next());
+                break;
+            case '--no-gitignore':
+                options.useGitignore = false;
+                break;
+            case '-f':
+            case '--format':
+                options.format = next();
+                if (options.format !== 'text' && !REPORT_FORMATS[options.format]) {
+                    throw new Error(`Unknown format ${options.format}`);
+                }
+                break;
+            case '-o':
+            case '--output-file':
+                options.outputFile = path.resolve(next());
+                break;
+            case '--quiet':
+                options.quiet = true;
+                break;
+            case '--run-examples':
+                options.runExamples = true;
+                break;
+            case '--example-timeout':
+                options.exampleTimeout = Number(next());
+                if (!Number.isInteger(options.exampleTimeout) || options.exampleTimeout <= 0) {
+                    throw new Error('--example-timeout must be a positive number of milliseconds');
+                }
+                break;
+            case '--baseline':
+                options.baseline = path.resolve(next());
+                break;
+            case '--no-baseline':
+                options.useBaseline = false;
+                break;
+            case '--create-baseline':
+                options.createBaseline = true;
+                break;
+            case '--export-docs':
+                options.exportDocs = path.resolve(next());
+                break;
+            case '--docs-format':
+                options.docsFormat = next();
+                if (!DOC_FORMATS[options.docsFormat]) {
+                    throw new Error(`Unknown documentation format ${options.docsFormat}`);
+                }
+                break;
+            case '--docs-templates':
+                options.docsTemplates = path.resolve(next());
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    throw new Error(`Unknown option ${arg}`);
+                }
+                options.paths.push(arg);
+        }
+    }
+
+    if (ignorePatterns.length > 0) {
+        options.ignorePatterns = ignorePatterns;
+    }
+    if (options.paths.length === 0) {
+        options.paths.push(options.root);
+    }
+    if (!options.baseline) {
+        options.baseline = path.join(options.root, BASELINE_FILE);
+    }
+
+    return options;
+}
+
+/**
+ * Format results as `file:line:col: severity message (rule)` lines
+ * @param {Object[]} results - Results from lintFiles
+ * @param {string} cwd - Directory file paths are shown relative to
+ * @returns {string} The report text
+ */
+function formatResults(results, cwd) {
+    const lines = [];
+    const counts = { error: 0, warning: 0, info: 0, hint: 0 };
+    let total = 0;
+
+    for (const { filePath, findings } of results) {
+        const displayPath = path.relative(cwd, filePath) || filePath;
+        for (const finding of findings) {
+            counts[finding.severity]++;
+            total++;
+            lines.push(`${displayPath}:${finding.line}:${finding.column}: ${finding.severity} ${finding.message} (${finding.rule})`);
+        }
+    }
+
+    if (total > 0) {
+        // Errors and warnings are always counted, infos and hints only when there are any
+        const parts = Object.entries(counts)
+            .filter(([severity, count]) => count > 0 || severity === 'error' || severity === 'warning')
+            .map(([severity, count]) => `${count} ${severity}${count === 1 ? '' : 's'}`);
+        lines.push('');
+        lines.push(`${total} problem${total === 1 ? '' : 's'} (${parts.join(', ')})`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Hide findings recorded in the baseline, saving the baseline if entries were fixed
+ * @param {Object[]} results - Results from lintFiles
+ * @param {Object} options - Parsed options
+ * @returns {Promise<Object[]>} Results holding only findings not in the baseline
+ */
+async function filterBaseline(results, options) {
+    const baseline = await readBaseline(options.baseline);
+    if (!baseline) {
+        return results;
+    }
+
+    const root = path.dirname(options.baseline);
+    const isChecked = (rule, result) => (options.runExamples || !EXAMPLE_RULES.includes(rule))
+        && !result.disabledRules.includes(rule);
+    const applied = applyBaseline(baseline, results, root, isChecked);
+    const pruned = await pruneDeletedFiles(applied.baseline, root);
+    if (applied.changed || pruned.changed) {
+        await writeBaseline(options.baseline, pruned.baseline);
+    }
+    return applied.results;
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments without the node executable and script
+ * @returns {Promise<number>} Process exit code: 0 clean, 1 errors found, 2 usage or fatal error
+ */
+async function run(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        process.stderr.write(`luke-lint: ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+
+    try {
+        const files = await collectFiles(options.paths, options);
+        if (options.exportDocs) {
+            const site = await writeDocumentation(await documentFiles(files, options), {
+                outputDirectory: options.exportDocs,
+                root: options.root,
+                format: options.docsFormat,
+                templatesDirectory: options.docsTemplates,
+                title: path.basename(options.root)
+            });
+            process.stdout.write(`Documentation of ${files.length} file${files.length === 1 ? '' : 's'} written to ${path.relative(process.cwd(), site.index) || site.index}\n`);
+            return 0;
+        }
+        let results = await lintFiles(files, options);
+        if (options.createBaseline) {
+            const baseline = createBaseline(results, path.dirname(options.baseline));
+            await writeBaseline(options.baseline, baseline);
+            const total = results.reduce((sum, result) => sum + result.findings.length, 0);
+            process.stdout.write(`Baseline of ${total} finding${total === 1 ? '' : 's'} written to ${path.relative(process.cwd(), options.baseline) || options.baseline}\n`);
+            return 0;
+        }
+        if (options.useBaseline) {
+            results = await filterBaseline(results, options);
+        }
+        if (options.quiet) {
+            results = results.map(result => ({
+                ...result,
+                findings: result.findings.filter(finding => finding.severity === 'error')
+            }));
+        }
+
+        const report = options.format === 'text'
+            ? formatResults(results, process.cwd())
+            : formatReport(options.format, results, options.root);
+        if (options.outputFile) {
+            await fs.promises.mkdir(path.dirname(options.outputFile), { recursive: true });
+            await fs.promises.writeFile(options.outputFile, report + '\n', 'utf8');
+        } else if (report) {
+            process.stdout.write(report + '\n');
+        }
+
+        const hasErrors = results.some(result => result.findings.some(finding => finding.severity === 'error'));
+        return hasErrors ? 1 : 0;
+    } catch (error) {
+        process.stderr.write(`luke-lint: ${error.message}\n`);
+        return 2;
+    }
+}
+
+module.exports = {
+    parseArgs,
+    formatResults,
+    run
+};
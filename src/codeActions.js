@@ -0,0 +1,106 @@
+const vscode = require('vscode');
+const { computeFixes, computeFixAll } = require('./fixes');
+
+const FIX_ALL_KIND = vscode.CodeActionKind.SourceFixAll.append('lukeLinter');
+
+/**
+ * Quick fixes for Luke Linter diagnostics.
+ * Fixes are computed from the findings and fix context recorded when the
+ * document was linted, so they always match the configuration that produced
+ * the diagnostics. Results recorded for an older document version are ignored.
+ */
+class PropertyCodeActionProvider {
+    /**
+     * @param {function(vscode.TextDocument): Object|undefined} getResult - Returns the
+     *        lint result recorded for a document: { version, findings, context }
+     */
+    constructor(getResult) {
+        this.getResult = getResult;
+    }
+
+    /**
+     * Provide quick fixes for the diagnostics in range, plus fix-all actions
+     * @param {vscode.TextDocument} document
+     * @param {vscode.Range} range
+     * @param {vscode.CodeActionContext} context
+     * @returns {vscode.CodeAction[]} The code actions
+     */
+    provideCodeActions(document, range, context) {
+        const result = this.getResult(document);
+        if (!result || result.version !== document.version) {
+            return [];
+        }
+
+        const text = document.getText();
+        const actions = [];
+        const wantsQuickFix = !context.only || context.only.contains(vscode.CodeActionKind.QuickFix);
+
+        if (wantsQuickFix) {
+            for (const diagnostic of context.diagnostics) {
+                const finding = this.findingFor(document, result.findings, diagnostic);
+                if (!finding) {
+                    continue;
+                }
+                for (const fix of computeFixes(text, finding, result.findings, result.context)) {
+                    const action = this.createAction(document, fix.title, vscode.CodeActionKind.QuickFix, fix.edits);
+                    action.diagnostics = [diagnostic];
+                    action.isPreferred = fix.preferred;
+                    actions.push(action);
+                }
+            }
+        }
+
+        const fixAllEdits = computeFixAll(text, result.findings, result.context);
+        if (fixAllEdits.length > 0) {
+            if (wantsQuickFix && actions.length > 0) {
+                actions.push(this.createAction(
+                    document, 'Fix all Luke Linter problems in file', vscode.CodeActionKind.QuickFix, fixAllEdits));
+            }
+            if (!context.only || context.only.contains(FIX_ALL_KIND)) {
+                actions.push(this.createAction(
+                    document, 'Fix all Luke Linter problems in file', FIX_ALL_KIND, fixAllEdits));
+            }
+        }
+
+        return actions;
+    }
+
+    /**
+     * Find the finding a diagnostic was created from
+     * @param {vscode.TextDocument} document
+     * @param {Object[]} findings - Findings recorded for the document
+     * @param {vscode.Diagnostic} diagnostic
+     * @returns {Object|undefined} The matching finding
+     */
+    findingFor(document, findings, diagnostic) {
+        const start = document.offsetAt(diagnostic.range.start);
+        const end = document.offsetAt(diagnostic.range.end);
+        return findings.find(finding =>
+            finding.start === start && finding.end === end && finding.message === diagnostic.message);
+    }
+
+    /**
+     * Build a code action applying text edits to a document
+     * @param {vscode.TextDocument} document
+     * @param {string} title - Action title
+     * @param {vscode.CodeActionKind} kind - Action kind
+     * @param {Object[]} edits - Text edits: { start, end, newText }
+     * @returns {vscode.CodeAction} The code action
+     */
+    createAction(document, title, kind, edits) {
+        const action = new vscode.CodeAction(title, kind);
+        action.edit = new vscode.WorkspaceEdit();
+        for (const edit of edits) {
+            action.edit.replace(
+                document.uri,
+                new vscode.Range(document.positionAt(edit.start), document.positionAt(edit.end)),
+                edit.newText
+            );
+        }
+        return action;
+    }
+}
+
+PropertyCodeActionProvider.providedCodeActionKinds = [vscode.CodeActionKind.QuickFix, FIX_ALL_KIND];
+
+module.exports = PropertyCodeActionProvider;
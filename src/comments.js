@@ -0,0 +1,166 @@
+/**
+ * Comment tokenizer driven by a language definition from the registry.
+ * Comment styles:
+ *   block     - { open, close, linePrefix? }  e.g. `/* *\/`, `<!-- -->`, `=begin`/`=end`
+ *   line      - { prefix }                     contiguous full-line comments form one run
+ *   docstring - { open, close }                a standalone string literal, e.g. Python `"""`
+ * Returned comments keep their offsets; comment markers that are not part of
+ * the content (line prefixes, JSDoc leading `*`) are blanked with spaces so
+ * property content parses cleanly.
+ */
+
+const TAG_MARKER = '[[OPEN:';
+
+/**
+ * Find the end of a string literal
+ * @param {string} text - The source text
+ * @param {number} index - Offset of the opening quote
+ * @returns {number} Offset just past the closing quote, or the end of the line for unterminated strings
+ */
+function skipString(text, index) {
+    const quote = text[index];
+    let i = index + 1;
+    while (i < text.length) {
+        if (text[i] === '\\') {
+            i += 2;
+        } else if (text[i] === quote) {
+            return i + 1;
+        } else if (text[i] === '\n' && quote !== '`') {
+            return i;
+        } else {
+            i++;
+        }
+    }
+    return text.length;
+}
+
+/**
+ * Check whether only whitespace precedes an offset on its line
+ * @param {string} text - The source text
+ * @param {number} offset - The offset
+ * @returns {boolean} True if the offset starts the line's content
+ */
+function startsLine(text, offset) {
+    const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+    return text.substring(lineStart, offset).trim() === '';
+}
+
+/**
+ * Blank every leading `linePrefix` on the interior lines of a block comment
+ * @param {string} raw - The block comment text
+ * @param {Object} style - Block style with open, close and optional linePrefix
+ * @returns {string} Cleaned text of the same length
+ */
+function cleanBlock(raw, style) {
+    if (!style.linePrefix) {
+        return raw;
+    }
+    const prefix = style.linePrefix;
+    return raw.split('\n').map((line, index) => {
+        if (index === 0) {
+            return line;
+        }
+        const indent = line.match(/^\s*/)[0].length;
+        const rest = line.substring(indent);
+        if (rest.startsWith(prefix) && !rest.startsWith(style.close)) {
+            return line.substring(0, indent) + ' '.repeat(prefix.length) + rest.substring(prefix.length);
+        }
+        return line;
+    }).join('\n');
+}
+
+/**
+ * Tokenize all comments of a text
+ * @param {string} text - The source text
+ * @param {Object} language - Language definition with `comments` styles and `strings` quote characters
+ * @returns {Object[]} Comments in order: { text, start, end, type }
+ */
+function scanComments(text, language) {
+    const delimited = language.comments
+        .filter(style => style.type === 'block' || style.type === 'docstring')
+        .sort((a, b) => b.open.length - a.open.length);
+    const lineStyles = language.comments
+        .filter(style => style.type === 'line')
+        .sort((a, b) => b.prefix.length - a.prefix.length);
+    const quotes = language.strings || [];
+    const comments = [];
+    let run = null;
+    let i = 0;
+
+    scan: while (i < text.length) {
+        for (const style of delimited) {
+            if (text.startsWith(style.open, i)) {
+                const closeAt = text.indexOf(style.close, i + style.open.length);
+                const end = closeAt === -1 ? text.length : closeAt + style.close.length;
+                if (style.type === 'block' || startsLine(text, i)) {
+                    const raw = text.substring(i, end);
+                    comments.push({
+                        text: style.type === 'block' ? cleanBlock(raw, style) : raw,
+                        start: i,
+                        end,
+                        type: style.type
+                    });
+                }
+                run = null;
+                i = end;
+                continue scan;
+            }
+        }
+
+        for (const style of lineStyles) {
+            if (text.startsWith(style.prefix, i)) {
+                const lineEnd = text.indexOf('\n', i);
+                let end = lineEnd === -1 ? text.length : lineEnd;
+                if (text[end - 1] === '\r') {
+                    end--;
+                }
+                // Trailing comments after code never document a declaration
+                if (startsLine(text, i)) {
+                    const content = ' '.repeat(style.prefix.length) + text.substring(i + style.prefix.length, end);
+                    const continues = run && run.style === style &&
+                        text.substring(run.comment.end, i).trim() === '' &&
+                        text.substring(run.comment.end, i).split('\n').length === 2;
+                    if (continues) {
+                        run.comment.text += text.substring(run.comment.end, i) + content;
+                        run.comment.end = end;
+                    } else {
+                        run = { style, comment: { text: content, start: i, end, type: 'line' } };
+                        comments.push(run.comment);
+                    }
+                } else {
+                    run = null;
+                }
+                i = end;
+                continue scan;
+            }
+        }
+
+        if (quotes.includes(text[i])) {
+            run = null;
+            i = skipString(text, i);
+            continue;
+        }
+
+        if (run && !/\s/.test(text[i])) {
+            run = null;
+        }
+        i++;
+    }
+
+    return comments;
+}
+
+/**
+ * Choose between candidate comments, preferring the first one holding property tags
+ * @param {Object[]} candidates - Comments in priority order (may contain nulls)
+ * @returns {Object|null} The chosen comment
+ */
+function preferTagged(candidates) {
+    const present = candidates.filter(Boolean);
+    return present.find(comment => comment.text.includes(TAG_MARKER)) || present[0] || null;
+}
+
+module.exports = {
+    scanComments,
+    preferTagged
+};
@@ -0,0 +1,316 @@
+const fs = require('fs');
+const path = require('path');
+const { createRequire } = require('module');
+const { matchesAny } = require('./glob');
+
+/**
+ * Hierarchical project configuration.
+ * A file is linted with every .luke-linter.json found in its directory and
+ * each ancestor directory, up to the filesystem root or the first config
+ * marked `"root": true`. Configs closer to the file take precedence.
+ * Each config may `extends` presets (a relative path or a package in
+ * node_modules), which apply before the config itself, and may list
+ * `overrides` whose settings apply only to files matching their globs.
+ */
+
+const CONFIG_FILE = '.luke-linter.json';
+const DEFAULTS_SOURCE = 'Built-in defaults';
+const EMPTY_CONFIG = { properties: {}, scopes: {}, scopeSelectors: {}, returnsConsistency: {}, rules: {}, languages: {}, docTags: {} };
+
+/**
+ * Error raised when a config or preset cannot be used
+ */
+class ConfigError extends Error {
+    /**
+     * @param {string} message - What is wrong
+     * @param {string} [configPath] - The file at fault
+     */
+    constructor(message, configPath) {
+        super(configPath ? `${configPath}: ${message}` : message);
+        this.configPath = configPath;
+    }
+}
+
+/**
+ * Merge one configuration layer over another
+ * Properties, languages and doc tags merge per entry; scopes and their selectors are replaced per scope;
+ * returns consistency merges per scope, a string applying to both checks.
+ * A property's `scopes` adds it to those scopes instead of being stored.
+ * @param {Object} base - The configuration so far
+ * @param {Object} layer - Settings of a config file, override or editor settings
+ * @param {Object} [trace] - { sources, source }: records `source` for every
+ *     setting the layer sets, keyed by its dotted path (e.g. `rules.param-order`)
+ * @returns {Object} The merged configuration
+ */
+function mergeConfig(base, layer, trace) {
+    const record = key => {
+        if (trace) {
+            trace.sources[key] = trace.source;
+        }
+    };
+    const merged = {
+        ...base,
+        properties: { ...base.properties },
+        scopes: { ...base.scopes, ...layer.scopes },
+        scopeSelectors: { ...base.scopeSelectors, ...layer.scopeSelectors },
+        returnsConsistency: { ...base.returnsConsistency },
+        rules: { ...base.rules, ...layer.rules },
+        languages: { ...base.languages },
+        docTags: { ...base.docTags, ...layer.docTags }
+    };
+    Object.keys(layer.scopes || {}).forEach(scope => record(`scopes.${scope}`));
+    Object.keys(layer.scopeSelectors || {}).forEach(scope => record(`scopeSelectors.${scope}`));
+    Object.keys(layer.rules || {}).forEach(rule => record(`rules.${rule}`));
+    Object.keys(layer.docTags || {}).forEach(docTag => record(`docTags.${docTag}`));
+
+    for (const [tag, { scopes, ...settings }] of Object.entries(layer.properties || {})) {
+        merged.properties[tag] = { ...merged.properties[tag], ...settings };
+        Object.keys(settings).forEach(field => record(`properties.${tag}.${field}`));
+        for (const scope of scopes || []) {
+            if (!(merged.scopes[scope] || []).includes(tag)) {
+                merged.scopes[scope] = [...(merged.scopes[scope] || []), tag];
+                record(`scopes.${scope}`);
+            }
+        }
+    }
+    for (const [scope, value] of Object.entries(layer.returnsConsistency || {})) {
+        const checks = typeof value === 'string' ? { missing: value, unexpected: value } : value;
+        merged.returnsConsistency[scope] = { ...merged.returnsConsistency[scope], ...checks };
+        Object.keys(checks).forEach(check => record(`returnsConsistency.${scope}.${check}`));
+    }
+    for (const [id, definition] of Object.entries(layer.languages || {})) {
+        merged.languages[id] = { ...merged.languages[id], ...definition };
+        record(`languages.${id}`);
+    }
+    if (layer.reportUnusedSuppressions) {
+        merged.reportUnusedSuppressions = layer.reportUnusedSuppressions;
+        record('reportUnusedSuppressions');
+    }
+
+    return merged;
+}
+
+/**
+ * Resolve an `extends` entry to a file
+ * Paths starting with `.` or `/` are relative to the extending config;
+ * anything else is resolved like `require` from the config's directory.
+ * @param {string} name - The `extends` entry
+ * @param {string} configPath - Path of the extending config
+ * @returns {string} Absolute path of the preset
+ * @throws {ConfigError} If the preset cannot be found
+ */
+function resolveExtends(name, configPath) {
+    if (name.startsWith('.') || path.isAbsolute(name)) {
+        return path.resolve(path.dirname(configPath), name);
+    }
+    try {
+        return createRequire(configPath).resolve(name);
+    } catch (error) {
+        throw new ConfigError(`Cannot find preset "${name}"`, configPath);
+    }
+}
+
+/**
+ * Load a JavaScript preset, bypassing the module cache so edits are picked up
+ * @param {string} configPath - Absolute path of the preset
+ * @returns {Object} The preset's exports
+ */
+function requireFresh(configPath) {
+    delete require.cache[require.resolve(configPath)];
+    return require(configPath);
+}
+
+/**
+ * Read a config or preset file and expand its presets
+ * @param {string} configPath - Absolute path of the file
+ * @param {string[]} [chain] - Files extending this one, to detect cycles
+ * @returns {Promise<Object[]>} Layers in application order: { config, file, directory }
+ *     where `directory` is that of the project config, which `overrides` are relative to
+ * @throws {ConfigError} If a file cannot be read or parsed, or presets form a cycle
+ */
+async function readConfigLayers(configPath, chain = []) {
+    if (chain.includes(configPath)) {
+        throw new ConfigError(`Circular extends: ${[...chain, configPath].join(' -> ')}`, chain[0]);
+    }
+
+    let config;
+    try {
+        config = configPath.endsWith('.json')
+            ? JSON.parse(await fs.promises.readFile(configPath, 'utf8'))
+            : requireFresh(configPath);
+    } catch (error) {
+        const reason = error.code === 'ENOENT' ? 'File not found' : error.message;
+        throw new ConfigError(reason, configPath);
+    }
+
+    const layers = [];
+    const presets = config.extends === undefined ? [] : [].concat(config.extends);
+    for (const preset of presets) {
+        layers.push(...await readConfigLayers(resolveExtends(preset, configPath), [...chain, configPath]));
+    }
+    layers.push({ config, file: configPath, directory: path.dirname(chain.length > 0 ? chain[0] : configPath) });
+    return layers;
+}
+
+/**
+ * Check whether a config stops the search for configs in ancestor directories
+ * @param {string} text - Content of the config file
+ * @returns {boolean} True if the config sets `"root": true`
+ */
+function isRootConfig(text) {
+    try {
+        return JSON.parse(text).root === true;
+    } catch (error) {
+        // Parse errors are reported when the config is read
+        return false;
+    }
+}
+
+/**
+ * Find the config files that apply to a directory
+ * @param {string} directory - Absolute directory path
+ * @returns {Promise<string[]>} Config paths, farthest first
+ */
+async function findConfigFiles(directory) {
+    const found = [];
+    let current = path.resolve(directory);
+
+    while (true) {
+        const configPath = path.join(current, CONFIG_FILE);
+        let text = null;
+        try {
+            text = await fs.promises.readFile(configPath, 'utf8');
+        } catch (error) {
+            // No config in this directory
+        }
+        if (text !== null) {
+            found.unshift(configPath);
+            if (isRootConfig(text)) {
+                break;
+            }
+        }
+
+        const parent = path.dirname(current);
+        if (parent === current) {
+            break;
+        }
+        current = parent;
+    }
+
+    return found;
+}
+
+/**
+ * Check whether an override applies to a file
+ * Patterns are relative to the directory of the config holding the override;
+ * patterns without a `/` match the file name in any directory below it.
+ * @param {Object} override - Entry of `overrides`: { files, excludedFiles? }
+ * @param {string} filePath - Absolute file path
+ * @param {string} directory - Directory of the config holding the override
+ * @returns {boolean} True if the override applies
+ */
+function overrideApplies(override, filePath, directory) {
+    const relativePath = path.relative(directory, filePath);
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+        return false;
+    }
+
+    const matches = patterns => [].concat(patterns || []).some(pattern => (pattern.includes('/')
+        ? matchesAny(relativePath, [pattern])
+        : matchesAny(path.basename(filePath), [pattern])));
+    return matches(override.files) && !matches(override.excludedFiles);
+}
+
+/**
+ * Read every config file that applies to a directory, with their presets
+ * @param {string|null} directory - Directory to start the config search from; null uses no config files
+ * @returns {Promise<Object[]>} Layers in application order (see readConfigLayers)
+ * @throws {ConfigError} If a config or preset cannot be read or parsed
+ */
+async function readProjectLayers(directory) {
+    const layers = [];
+    for (const configPath of directory ? await findConfigFiles(directory) : []) {
+        layers.push(...await readConfigLayers(configPath));
+    }
+    return layers;
+}
+
+/**
+ * Get the overrides of config layers that apply to a file
+ * @param {Object[]} layers - Layers from readProjectLayers
+ * @param {string} [filePath] - Linted file; without one no override applies
+ * @returns {string[]} The applying overrides as "layer:override" indexes, in application order
+ */
+function applyingOverrides(layers, filePath) {
+    const applying = [];
+    layers.forEach((layer, layerIndex) => (layer.config.overrides || []).forEach((override, index) => {
+        if (filePath && overrideApplies(override, filePath, layer.directory)) {
+            applying.push(`${layerIndex}:${index}`);
+        }
+    }));
+    return applying;
+}
+
+/**
+ * Merge config layers that were already read into the configuration of a file
+ * Precedence, lowest first: the built-in defaults, the editor settings
+ * layers, then every config layer followed by its overrides that apply.
+ * @param {Object} defaults - Built-in configuration
+ * @param {Object[]} layers - Layers from readProjectLayers
+ * @param {string} [filePath] - Linted file, to select `overrides`
+ * @param {Object[]} [settingsLayers] - Editor settings, lowest precedence first: { source, config }
+ * @returns {{config: Object, files: string[], sources: Object}} Merged configuration, the
+ *     files it came from in order, and where each setting came from (see mergeConfig)
+ */
+function mergeLayers(defaults, layers, filePath, settingsLayers = []) {
+    const sources = {};
+    let config = mergeConfig(EMPTY_CONFIG, defaults, { sources, source: DEFAULTS_SOURCE });
+    for (const layer of settingsLayers) {
+        config = mergeConfig(config, layer.config, { sources, source: layer.source });
+    }
+
+    const files = [];
+    const applying = new Set(applyingOverrides(layers, filePath));
+    layers.forEach((layer, layerIndex) => {
+        config = mergeConfig(config, layer.config, { sources, source: layer.file });
+        files.push(layer.file);
+        (layer.config.overrides || []).forEach((override, index) => {
+            if (applying.has(`${layerIndex}:${index}`)) {
+                const source = `${layer.file} (override for ${[].concat(override.files).join(', ')})`;
+                config = mergeConfig(config, override, { sources, source });
+            }
+        });
+    });
+
+    return { config, files, sources };
+}
+
+/**
+ * Resolve the configuration of a file or directory
+ * Precedence, lowest first: the built-in defaults, the editor settings
+ * layers, then every config file (see the top of this module).
+ * @param {Object} defaults - Built-in configuration
+ * @param {string|null} directory - Directory to start the config search from; null uses no config files
+ * @param {string} [filePath] - Linted file, to select `overrides`
+ * @param {Object[]} [settingsLayers] - Editor settings, lowest precedence first: { source, config }
+ * @returns {Promise<{config: Object, files: string[], sources: Object}>} Merged configuration, the
+ *     files it came from in order, and where each setting came from (see mergeConfig)
+ * @throws {ConfigError} If a config or preset cannot be read or parsed
+ */
+async function resolveConfig(defaults, directory, filePath, settingsLayers = []) {
+    return mergeLayers(defaults, await readProjectLayers(directory), filePath, settingsLayers);
+}
+
+module.exports = {
+    CONFIG_FILE,
+    DEFAULTS_SOURCE,
+    ConfigError,
+    mergeConfig,
+    resolveExtends,
+    findConfigFiles,
+    overrideApplies,
+    readProjectLayers,
+    applyingOverrides,
+    mergeLayers,
+    resolveConfig
+};
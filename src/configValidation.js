@@ -0,0 +1,277 @@
+const fs = require('fs');
+const ts = require('typescript');
+const { RULES, SEVERITIES } = require('./rules');
+const { compileValidators } = require('./validators');
+const { resolveExtends } = require('./config');
+const { compileSelector } = require('./scopes');
+
+/**
+ * Semantic checks of a .luke-linter.json file, beyond what the JSON Schema
+ * in schemas/ can express: tags that scopes and doc tags name without a definition,
+ * severities, rule IDs, validator settings, property aliases, scope selectors,
+ * regular expressions and presets.
+ * Problems carry offsets into the file so editors can place them.
+ */
+
+const SEVERITIES_OR_OFF = ['off', ...SEVERITIES];
+
+/**
+ * Parse JSON text into a syntax tree with positions
+ * @param {string} text - File content
+ * @param {string} fileName - File name, used in messages
+ * @returns {{source: ts.JsonSourceFile|null, problems: Object[]}} The tree, or null with the syntax error
+ */
+function parseJson(text, fileName) {
+    const source = ts.parseJsonText(fileName, text);
+    try {
+        JSON.parse(text);
+        return { source, problems: [] };
+    } catch (error) {
+        // The TypeScript parser places most errors; it accepts comments and trailing commas, which JSON.parse does not
+        const diagnostic = source.parseDiagnostics[0];
+        const position = diagnostic ? diagnostic.start : Number((error.message.match(/position (\d+)/) || [0, 0])[1]);
+        return {
+            source: null,
+            problems: [{
+                message: `Invalid JSON: ${error.message}`,
+                severity: 'error',
+                start: position,
+                end: position + (diagnostic ? diagnostic.length : 1)
+            }]
+        };
+    }
+}
+
+/**
+ * Get the members of a JSON object node
+ * @param {ts.Node} node - The node
+ * @returns {Object[]} Members: { name, nameNode, value }; empty if the node is not an object
+ */
+function membersOf(node) {
+    if (!node || !ts.isObjectLiteralExpression(node)) {
+        return [];
+    }
+    return node.properties
+        .filter(member => ts.isPropertyAssignment(member))
+        .map(member => ({ name: member.name.text, nameNode: member.name, value: member.initializer }));
+}
+
+/**
+ * Get the node of an object member
+ * @param {ts.Node} node - Object node
+ * @param {string} name - Member name
+ * @returns {ts.Node|undefined} The member's value node
+ */
+function memberOf(node, name) {
+    const member = membersOf(node).find(candidate => candidate.name === name);
+    return member && member.value;
+}
+
+/**
+ * Check a configuration file's content
+ * @param {string} text - Content of .luke-linter.json
+ * @param {string} configPath - Absolute path of the file, to resolve presets
+ * @param {Object} [inherited] - Defined by the defaults, parent configs and presets:
+ *     { tags, scopes } property tags and scope names
+ * @returns {Object[]} Problems: { message, severity, start, end }
+ */
+function validateConfigText(text, configPath, inherited = {}) {
+    const { source, problems } = parseJson(text, configPath);
+    if (!source) {
+        return problems;
+    }
+
+    const root = source.statements.length > 0 ? source.statements[0].expression : null;
+    const report = (node, message, severity = 'error') => problems.push({
+        message,
+        severity,
+        start: node.getStart(source),
+        end: node.end
+    });
+    const valueOf = node => JSON.parse(text.slice(node.getStart(source), node.end));
+    const tags = new Set([...(inherited.tags || []), ...membersOf(memberOf(root, 'properties')).map(member => member.name)]);
+    const scopes = new Set([...(inherited.scopes || []), ...membersOf(memberOf(root, 'scopes')).map(member => member.name)]);
+
+    checkSettings(root, tags, scopes, report, valueOf);
+    checkLanguages(memberOf(root, 'languages'), report, valueOf);
+    checkExtends(memberOf(root, 'extends'), configPath, report, valueOf);
+
+    const overrides = memberOf(root, 'overrides');
+    if (overrides && ts.isArrayLiteralExpression(overrides)) {
+        for (const override of overrides.elements) {
+            const overrideTags = new Set([...tags, ...membersOf(memberOf(override, 'properties')).map(member => member.name)]);
+            const overrideScopes = new Set([...scopes, ...membersOf(memberOf(override, 'scopes')).map(member => member.name)]);
+            checkSettings(override, overrideTags, overrideScopes, report, valueOf);
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Check the settings shared by the top level and overrides
+ * @param {ts.Node} node - Object holding the settings
+ * @param {Set<string>} tags - Defined property tags
+ * @param {Set<string>} scopes - Scopes with a property list
+ * @param {Function} report - Records a problem: (node, message, severity)
+ * @param {Function} valueOf - Gets the JSON value of a node
+ */
+function checkSettings(node, tags, scopes, report, valueOf) {
+    const checkSeverity = (valueNode, allowOff) => {
+        const value = valueOf(valueNode);
+        const allowed = allowOff ? SEVERITIES_OR_OFF : SEVERITIES;
+        if (!allowed.includes(value)) {
+            report(valueNode, `Invalid severity ${JSON.stringify(value)} (expected ${allowed.join(', ')})`);
+        }
+    };
+
+    for (const property of membersOf(memberOf(node, 'properties'))) {
+        for (const setting of membersOf(property.value)) {
+            if (setting.name === 'severity') {
+                checkSeverity(setting.value, false);
+                continue;
+            }
+            const severity = memberOf(setting.value, 'severity');
+            if (severity) {
+                checkSeverity(severity, false);
+            }
+            try {
+                compileValidators({ [property.name]: { [setting.name]: valueOf(setting.value) } });
+            } catch (error) {
+                report(setting.value, error.message);
+            }
+        }
+    }
+
+    // Each JSDoc tag or docstring section can stand for one property only
+    const aliasOwners = new Map();
+    for (const property of membersOf(memberOf(node, 'properties'))) {
+        const aliases = memberOf(property.value, 'aliases');
+        if (!aliases || !ts.isArrayLiteralExpression(aliases)) {
+            continue;
+        }
+        for (const item of aliases.elements) {
+            const alias = valueOf(item);
+            if (typeof alias !== 'string') {
+                continue;
+            }
+            if (!/^@\w+$/.test(alias) && !/^[A-Z][A-Za-z ]*$/.test(alias)) {
+                report(item, `Alias "${alias}" is neither a JSDoc tag (@name) nor a docstring section (Name)`);
+            } else if (aliasOwners.has(alias) && aliasOwners.get(alias) !== property.name) {
+                report(item, `Alias "${alias}" is already used by the ${aliasOwners.get(alias)} property`);
+            } else {
+                aliasOwners.set(alias, property.name);
+            }
+        }
+    }
+
+    for (const scope of membersOf(memberOf(node, 'scopes'))) {
+        if (!ts.isArrayLiteralExpression(scope.value)) {
+            continue;
+        }
+        for (const item of scope.value.elements) {
+            const tag = valueOf(item);
+            if (typeof tag === 'string' && !tags.has(tag)) {
+                report(item, `Property "${tag}" is listed in the ${scope.name} scope but not defined in properties`);
+            }
+        }
+    }
+
+    for (const docTag of membersOf(memberOf(node, 'docTags'))) {
+        const tag = valueOf(docTag.value);
+        if (typeof tag === 'string' && !tags.has(tag)) {
+            report(docTag.value, `Property "${tag}" is mapped from ${docTag.name} in docTags but not defined in properties`);
+        }
+    }
+
+    for (const selector of membersOf(memberOf(node, 'scopeSelectors'))) {
+        if (!scopes.has(selector.name)) {
+            report(selector.nameNode, `Scope ${selector.name} has a selector but no property list in scopes`);
+        }
+        try {
+            compileSelector(selector.name, valueOf(selector.value));
+        } catch (error) {
+            report(selector.value, error.message);
+        }
+    }
+
+    for (const rule of membersOf(memberOf(node, 'rules'))) {
+        if (!RULES[rule.name]) {
+            report(rule.nameNode, `Unknown rule "${rule.name}"`, 'warning');
+        }
+        checkSeverity(rule.value, true);
+    }
+
+    for (const scope of membersOf(memberOf(node, 'returnsConsistency'))) {
+        const checks = membersOf(scope.value);
+        if (checks.length === 0) {
+            checkSeverity(scope.value, true);
+        }
+        for (const check of checks) {
+            checkSeverity(check.value, true);
+        }
+    }
+
+    const unused = memberOf(node, 'reportUnusedSuppressions');
+    if (unused) {
+        checkSeverity(unused, true);
+    }
+}
+
+/**
+ * Check the declaration patterns of custom languages
+ * @param {ts.Node} node - The `languages` object
+ * @param {Function} report - Records a problem: (node, message, severity)
+ * @param {Function} valueOf - Gets the JSON value of a node
+ */
+function checkLanguages(node, report, valueOf) {
+    for (const language of membersOf(node)) {
+        const declarations = memberOf(language.value, 'declarations');
+        if (!declarations || !ts.isArrayLiteralExpression(declarations)) {
+            continue;
+        }
+        for (const matcher of declarations.elements) {
+            const pattern = memberOf(matcher, 'pattern');
+            const flags = memberOf(matcher, 'flags');
+            if (!pattern) {
+                continue;
+            }
+            try {
+                new RegExp(valueOf(pattern), `gm${(flags ? valueOf(flags) : '').replace(/[gm]/g, '')}`);
+            } catch (error) {
+                report(pattern, error.message);
+            }
+        }
+    }
+}
+
+/**
+ * Check that every preset of `extends` can be found
+ * @param {ts.Node} node - The `extends` value
+ * @param {string} configPath - Absolute path of the config file
+ * @param {Function} report - Records a problem: (node, message, severity)
+ * @param {Function} valueOf - Gets the JSON value of a node
+ */
+function checkExtends(node, configPath, report, valueOf) {
+    if (!node) {
+        return;
+    }
+    const entries = ts.isArrayLiteralExpression(node) ? node.elements : [node];
+    for (const entry of entries) {
+        const name = valueOf(entry);
+        if (typeof name !== 'string') {
+            continue;
+        }
+        try {
+            if (!fs.existsSync(resolveExtends(name, configPath))) {
+                report(entry, `Cannot find preset "${name}"`);
+            }
+        } catch (error) {
+            report(entry, `Cannot find preset "${name}"`);
+        }
+    }
+}
+
+module.exports = {
+    validateConfigText
+};
@@ -0,0 +1,353 @@
+const { scanComments } = require('./comments');
+const { parseTags } = require('./tags');
+const {
+    DESCRIPTION,
+    NAMED_TAGS,
+    TYPE_BRACKETS,
+    styleOf: docStyleOf,
+    dedent,
+    readDocComment,
+    splitType,
+    namedEntries
+} = require('./docComments');
+
+/**
+ * Conversion between doc comments and property blocks.
+ * The `docTags` mapping of the configuration names the property each JSDoc
+ * tag (`@param`) or Google-style docstring section (`Args`) stands for; the
+ * text before the first tag or section is `@description`. Tags documenting
+ * one name per entry become `- name: text` list entries, with the type kept
+ * in the style's brackets (`- path: {string} File` for JSDoc,
+ * `- path: (str) File` for docstrings). Converting back uses the first tag
+ * or section mapped to each property. Tags, sections and properties without
+ * a mapping are kept as they are, so nothing is lost either way.
+ * Conversions are text edits ({ start, end, newText }) replacing whole comments.
+ */
+
+const TAG_MARKER = '[[OPEN:';
+
+/**
+ * Get the indentation of the line a comment starts on
+ * @param {string} text - The source text
+ * @param {number} offset - Offset of the comment
+ * @returns {string} The indentation, or '' if code precedes the comment
+ */
+function indentAt(text, offset) {
+    const prefix = text.substring(text.lastIndexOf('\n', offset - 1) + 1, offset);
+    return prefix.trim() === '' ? prefix : '';
+}
+
+/**
+ * Get the lines of a range, dedented
+ * Whitespace between the start of the line and the range counts as indentation.
+ * @param {string} text - The text
+ * @param {number} start - Start offset
+ * @param {number} end - End offset
+ * @returns {string[]} The lines (see dedent)
+ */
+function linesOf(text, start, end) {
+    const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+    const from = text.substring(lineStart, start).trim() === '' ? lineStart : start;
+    return dedent(text.substring(from, end).split('\n'));
+}
+
+/**
+ * Format a section that has no mapping as it appeared in the comment
+ * @param {Object} section - Section from readDocComment (see ./docComments)
+ * @param {string} style - 'jsdoc' or 'docstring'
+ * @returns {string[]} The lines
+ */
+function originalLines(section, style) {
+    const lines = section.lines.map(line => line.text);
+    if (section.tag === DESCRIPTION) {
+        return lines;
+    }
+    if (style === 'jsdoc') {
+        const [first = '', ...rest] = lines;
+        return [`${section.tag} ${first}`.trimEnd(), ...rest];
+    }
+    return [`${section.tag}:`, ...lines.map(line => (line ? `    ${line}` : line))];
+}
+
+/**
+ * Format the property block equivalent to a doc comment
+ * @param {Object[]} sections - Sections from readDocComment (see ./docComments)
+ * @param {Object} docTags - Property per JSDoc tag or docstring section
+ * @param {string} style - 'jsdoc' or 'docstring'
+ * @returns {string[]} Lines of the block, without comment markers
+ */
+function toPropertyLines(sections, docTags, style) {
+    const [open, close] = TYPE_BRACKETS[style];
+    const properties = new Map();
+    const unmapped = [];
+
+    for (const section of sections) {
+        const tag = docTags[section.tag];
+        const entries = tag && NAMED_TAGS.has(section.tag) ? namedEntries(section, style) : null;
+        if (!tag || (section.tag === DESCRIPTION && section.lines.length === 0) || (NAMED_TAGS.has(section.tag) && !entries)) {
+            unmapped.push(section);
+            continue;
+        }
+        if (!properties.has(tag)) {
+            properties.set(tag, { entries: [], paragraphs: [] });
+        }
+        const property = properties.get(tag);
+        if (entries) {
+            property.entries.push(...entries.map(entry =>
+                `- ${entry.name}: ${entry.type === null ? '' : `${open}${entry.type}${close} `}${entry.text}`.trimEnd()));
+        } else {
+            property.paragraphs.push(section.lines.map(line => line.text));
+        }
+    }
+
+    const blocks = [...properties].map(([tag, property]) => {
+        const content = [
+            ...property.entries,
+            ...property.paragraphs.flatMap((lines, index) => (index > 0 || property.entries.length > 0 ? ['', ...lines] : lines))
+        ];
+        return [`[[OPEN:${tag}]]`, ...content, `[[CLOSE:${tag}]]`];
+    });
+    const rest = unmapped.flatMap(section => originalLines(section, style));
+    if (rest.length > 0) {
+        blocks.push(rest);
+    }
+    return blocks.flatMap((lines, index) => (index > 0 ? ['', ...lines] : lines));
+}
+
+/**
+ * Find the JSDoc tag or docstring section a property converts back to
+ * @param {string} tag - Property tag
+ * @param {Object} docTags - Property per JSDoc tag or docstring section
+ * @param {string} style - 'jsdoc' or 'docstring'
+ * @returns {string|null} The first mapped tag or section of the style, or null
+ */
+function docTagFor(tag, docTags, style) {
+    const found = Object.keys(docTags).find(name => docTags[name] === tag &&
+        (name === DESCRIPTION || name.startsWith('@') === (style === 'jsdoc')));
+    return found === undefined ? null : found;
+}
+
+/**
+ * Format a property as a JSDoc tag or docstring section
+ * @param {string} docTag - The tag or section, from docTagFor
+ * @param {Object} property - Property from ./tags
+ * @param {string} text - Text of the comment holding the property
+ * @param {string} style - 'jsdoc' or 'docstring'
+ * @returns {string[]} The lines
+ */
+function docLines(docTag, property, text, style) {
+    const content = linesOf(text, property.contentStart, property.contentEnd);
+    if (docTag === DESCRIPTION) {
+        return content;
+    }
+
+    const entries = property.items.filter(item => item.key !== undefined);
+    // Names as written, with the `...`, `*` or `**` of rest parameters
+    const nameOf = item => text.substring(item.start, item.keyEnd).replace(/^[-*][ \t]+/, '');
+    const named = NAMED_TAGS.has(docTag) && entries.length > 0 && entries.length === property.items.length;
+    if (style === 'jsdoc') {
+        if (named) {
+            return entries.map(item => {
+                const { type, rest } = splitType(item.value, style);
+                return `${docTag} ${type === null ? '' : `{${type}} `}${nameOf(item)} ${rest}`.trimEnd();
+            });
+        }
+        // Examples are code, which starts on the line after the tag
+        const [first = '', ...rest] = docTag === '@example' ? ['', ...content] : content;
+        return [`${docTag} ${first}`.trimEnd(), ...rest];
+    }
+
+    const lines = named
+        ? entries.map(item => {
+            const { type, rest } = splitType(item.value, style);
+            return `${nameOf(item)}${type === null ? '' : ` (${type})`}: ${rest}`.trimEnd();
+        })
+        : content;
+    return [`${docTag}:`, ...lines.map(line => (line ? `    ${line}` : line))];
+}
+
+/**
+ * Format the doc comment equivalent to a property block
+ * @param {string} text - Text of the comment, with comment markers blanked (see ./comments)
+ * @param {Object[]} properties - Properties of the comment
+ * @param {Object} docTags - Property per JSDoc tag or docstring section
+ * @param {string} style - 'jsdoc' or 'docstring'
+ * @returns {string[]} Lines of the comment, without comment markers
+ */
+function toDocLines(text, properties, docTags, style) {
+    const description = [];
+    const blocks = [];
+
+    for (const property of properties) {
+        const docTag = docTagFor(property.tag, docTags, style);
+        if (docTag === null) {
+            blocks.push(linesOf(text, property.start, property.end));
+        } else if (docTag === DESCRIPTION) {
+            description.push(...(description.length > 0 ? [''] : []), ...linesOf(text, property.contentStart, property.contentEnd));
+        } else {
+            blocks.push(docLines(docTag, property, text, style));
+        }
+    }
+
+    // Text outside the properties, such as tags without a mapping, goes last
+    let outside = '';
+    let offset = 0;
+    for (const property of properties) {
+        outside += text.substring(offset, property.start);
+        offset = property.end;
+    }
+    outside += text.substring(offset);
+    const rest = style === 'jsdoc'
+        ? dedent(outside.replace(/^\/\*\*?/, '').replace(/\*\/$/, '').split('\n'))
+        : dedent(outside.slice(3, -3).split('\n'));
+    if (rest.length > 0) {
+        blocks.push(rest.filter((line, index) => line !== '' || rest[index - 1] !== ''));
+    }
+
+    // JSDoc tags follow each other; docstring sections are separated by blank lines
+    const separator = style === 'jsdoc' ? [] : [''];
+    const body = blocks.flatMap((lines, index) => (index > 0 ? [...separator, ...lines] : lines));
+    return description.length > 0 && body.length > 0 ? [...description, '', ...body] : [...description, ...body];
+}
+
+/**
+ * Wrap lines in a comment of the style
+ * @param {string[]} lines - Lines without comment markers
+ * @param {string} style - 'jsdoc' or 'docstring'
+ * @param {string} indent - Indentation of the comment
+ * @param {string} [quote] - Docstring quotes
+ * @param {boolean} [inline] - Start a docstring's text on the line of its opening quotes
+ * @returns {string} The comment, starting at its opening marker
+ */
+function formatDocComment(lines, style, indent, quote = '"""', inline = false) {
+    if (style === 'jsdoc') {
+        return ['/**', ...lines.map(line => (line ? ` * ${line}` : ' *')), ' */'].join(`\n${indent}`);
+    }
+    const indented = lines.map(line => (line ? indent + line : line));
+    if (inline && lines.length > 0) {
+        return [`${quote}${lines[0]}`, ...indented.slice(1), `${indent}${quote}`].join('\n');
+    }
+    return [quote, ...indented, `${indent}${quote}`].join('\n');
+}
+
+/**
+ * Get the style a property block converts to
+ * Any block comment becomes a JSDoc comment, not only `/** *\/` ones.
+ * @param {Object} comment - Comment from ./comments
+ * @param {string} raw - Its source text
+ * @returns {string|null} 'jsdoc', 'docstring', or null for line comments
+ */
+function targetStyleOf(comment, raw) {
+    if (comment.type === 'docstring') {
+        return 'docstring';
+    }
+    return comment.type === 'block' && raw.startsWith('/*') && raw.endsWith('*/') ? 'jsdoc' : null;
+}
+
+/**
+ * Get the comments of a text that overlap a range
+ * @param {string} text - The source text
+ * @param {Object} language - Language definition from the registry
+ * @param {{start: number, end: number}} [range] - The range; the whole text when omitted
+ * @returns {Object[]} Comments from ./comments
+ */
+function commentsIn(text, language, range) {
+    return scanComments(text, language).filter(comment => !range ||
+        (comment.start < range.end && comment.end > range.start) ||
+        (range.start === range.end && comment.start <= range.start && comment.end >= range.end));
+}
+
+/**
+ * Convert JSDoc comments and docstrings into property blocks
+ * Comments already holding property tags are left alone; those that also
+ * hold JSDoc tags or docstring sections are counted as skipped.
+ * @param {string} text - The source text
+ * @param {Object} language - Language definition from the registry
+ * @param {Object} docTags - Property per JSDoc tag or docstring section (`docTags` of the configuration)
+ * @param {{start: number, end: number}} [range] - Only convert comments overlapping this range
+ * @returns {{edits: Object[], skipped: number}} Edits replacing the converted comments
+ */
+function toPropertyTags(text, language, docTags, range) {
+    const edits = [];
+    let skipped = 0;
+    const mapping = docTags || {};
+
+    for (const comment of commentsIn(text, language, range)) {
+        const raw = text.substring(comment.start, comment.end);
+        const style = comment.type === 'line' ? null : docStyleOf(raw);
+        if (!style) {
+            continue;
+        }
+        const sections = readDocComment(raw, style);
+        if (raw.includes(TAG_MARKER)) {
+            skipped += sections.length > 1 ? 1 : 0;
+            continue;
+        }
+        if (sections.every(section => section.lines.length === 0)) {
+            continue;
+        }
+        edits.push({
+            start: comment.start,
+            end: comment.end,
+            newText: formatDocComment(toPropertyLines(sections, mapping, style), style, indentAt(text, comment.start), raw.slice(0, 3))
+        });
+    }
+
+    return { edits, skipped };
+}
+
+/**
+ * Convert property blocks into JSDoc comments or docstrings
+ * Blocks with malformed tags (see ./tags) and property blocks in line
+ * comments are counted as skipped.
+ * @param {string} text - The source text
+ * @param {Object} language - Language definition from the registry
+ * @param {Object} docTags - Property per JSDoc tag or docstring section (`docTags` of the configuration)
+ * @param {{start: number, end: number}} [range] - Only convert comments overlapping this range
+ * @returns {{edits: Object[], skipped: number}} Edits replacing the converted comments
+ */
+function toDocComments(text, language, docTags, range) {
+    const edits = [];
+    let skipped = 0;
+    const mapping = docTags || {};
+
+    for (const comment of commentsIn(text, language, range)) {
+        if (!comment.text.includes(TAG_MARKER)) {
+            continue;
+        }
+        const raw = text.substring(comment.start, comment.end);
+        const style = targetStyleOf(comment, raw);
+        const { properties, problems } = parseTags(comment.text);
+        if (!style || problems.length > 0 || properties.length === 0) {
+            skipped++;
+            continue;
+        }
+        const lines = toDocLines(comment.text, properties, mapping, style);
+        const inline = style === 'docstring' && docTagFor(properties[0].tag, mapping, style) === DESCRIPTION;
+        edits.push({
+            start: comment.start,
+            end: comment.end,
+            newText: formatDocComment(lines, style, indentAt(text, comment.start), raw.slice(0, 3), inline)
+        });
+    }
+
+    return { edits, skipped };
+}
+
+/**
+ * Apply conversion edits to the text they were computed for
+ * @param {string} text - The source text
+ * @param {Object[]} edits - Non-overlapping edits: { start, end, newText }
+ * @returns {string} The converted text
+ */
+function applyEdits(text, edits) {
+    return [...edits]
+        .sort((a, b) => b.start - a.start)
+        .reduce((result, edit) => result.substring(0, edit.start) + edit.newText + result.substring(edit.end), text);
+}
+
+module.exports = {
+    toPropertyTags,
+    toDocComments,
+    applyEdits
+};
@@ -0,0 +1,359 @@
+const { tokenizeTags, parseContent } = require('./tags');
+
+/**
+ * Reader for JSDoc comments and Google-style Python docstrings.
+ * A comment splits into sections: the text before the first JSDoc tag or
+ * docstring section, named `@description`, then one section per tag
+ * (`@param {string} path File`) or section (an `Args:` line followed by
+ * indented lines). Sections keep the offsets of their lines, so properties
+ * read through a property's `aliases` (see docProperties) are reported where
+ * they are written. Used by the linter and by ./converter.
+ */
+
+const DESCRIPTION = '@description';
+// JSDoc tags and docstring sections that document one name per entry
+const NAMED_TAGS = new Set([
+    '@param', '@arg', '@argument', '@property', '@prop',
+    'Args', 'Arguments', 'Parameters', 'Keyword Args', 'Keyword Arguments', 'Attributes'
+]);
+const JSDOC_TAG_PATTERN = /^(@\w+)(?:[ \t]|$)/;
+const SECTION_PATTERN = /^([A-Z][A-Za-z ]*):$/;
+const DOCSTRING_ENTRY_PATTERN = /^(\*{0,2}[\w.]+)[ \t]*(?:\((.*?)\))?[ \t]*:[ \t]*(.*)$/;
+// Brackets around types: JSDoc `{string}`, docstrings `(str)`
+const TYPE_BRACKETS = { jsdoc: ['{', '}'], docstring: ['(', ')'] };
+
+/**
+ * Get the doc comment style of a comment
+ * @param {string} text - Text of the comment, with its markers
+ * @returns {string|null} 'jsdoc' for `/** *\/`, 'docstring' for triple-quoted strings, otherwise null
+ */
+function styleOf(text) {
+    if (/^\/\*\*(?![*/])/.test(text) && text.endsWith('*/')) {
+        return 'jsdoc';
+    }
+    return /^("""|''')/.test(text) && text.length >= 6 && text.endsWith(text.slice(0, 3)) ? 'docstring' : null;
+}
+
+/**
+ * Split part of a text into lines
+ * @param {string} text - The text
+ * @param {number} start - Start offset
+ * @param {number} end - End offset
+ * @returns {Object[]} Lines: { text, offset }
+ */
+function splitLines(text, start, end) {
+    const lines = [];
+    let offset = start;
+    for (const line of text.substring(start, end).split('\n')) {
+        lines.push({ text: line, offset });
+        offset += line.length + 1;
+    }
+    return lines;
+}
+
+/**
+ * Remove the surrounding blank lines and the trailing whitespace of some lines
+ * @param {Object[]} lines - Lines: { text, offset }
+ * @returns {Object[]} The remaining lines
+ */
+function trimLines(lines) {
+    const trimmed = lines.map(line => ({ text: line.text.trimEnd(), offset: line.offset }));
+    while (trimmed.length > 0 && trimmed[0].text === '') {
+        trimmed.shift();
+    }
+    while (trimmed.length > 0 && trimmed[trimmed.length - 1].text === '') {
+        trimmed.pop();
+    }
+    return trimmed;
+}
+
+/**
+ * Remove the common indentation and the surrounding blank lines of some lines
+ * @param {Object[]} lines - Lines: { text, offset }
+ * @returns {Object[]} Dedented lines without trailing whitespace, offsets moved past the removed indentation
+ */
+function dedentLines(lines) {
+    const trimmed = trimLines(lines);
+    const indent = Math.min(...trimmed.filter(line => line.text).map(line => line.text.match(/^[ \t]*/)[0].length));
+    return trimmed.map(line => {
+        const cut = Math.min(indent, line.text.length);
+        return { text: line.text.substring(cut), offset: line.offset + cut };
+    });
+}
+
+/**
+ * Remove the common indentation and the surrounding blank lines of some texts
+ * @param {string[]} lines - The lines
+ * @returns {string[]} Dedented lines without trailing whitespace
+ */
+function dedent(lines) {
+    return dedentLines(lines.map(text => ({ text, offset: 0 }))).map(line => line.text);
+}
+
+/**
+ * Dedent the lines after the first one, which follows a tag or the opening marker on its line
+ * @param {Object[]} lines - Lines of a section: { text, offset }
+ * @returns {Object[]} Lines without surrounding blank lines
+ */
+function dedentContinuation(lines) {
+    const [first, ...rest] = lines;
+    const indent = first.text.match(/^[ \t]*/)[0].length;
+    const blank = rest.findIndex(line => line.text.trim() !== '');
+    return trimLines([
+        { text: first.text.trim(), offset: first.offset + indent },
+        ...rest.slice(0, Math.max(blank, 0)).map(line => ({ text: '', offset: line.offset })),
+        ...dedentLines(rest)
+    ]);
+}
+
+/**
+ * Finish a section: { tag, lines, start } gets its `end`, and the description its `start`
+ * @param {Object} section - The section
+ * @returns {Object} The section: { tag, lines, start, end }, where start is undefined for an empty description
+ */
+function closeSection(section) {
+    const last = section.lines[section.lines.length - 1];
+    const start = section.start !== undefined ? section.start : section.lines.length > 0 ? section.lines[0].offset : undefined;
+    const end = last ? last.offset + last.text.length : start === undefined ? undefined : start + section.tag.length;
+    return { tag: section.tag, lines: section.lines, start, end };
+}
+
+/**
+ * Split a JSDoc comment into its description and tags
+ * @param {string} text - The comment, from `/**` to `*\/`
+ * @returns {Object[]} Sections in order (see closeSection), the first being the description
+ */
+function readJsdoc(text) {
+    const sections = [{ tag: DESCRIPTION, lines: [] }];
+
+    for (const line of splitLines(text, 3, text.length - 2)) {
+        const prefix = line.text.match(/^[ \t]*\*?[ \t]?/)[0];
+        const content = { text: line.text.substring(prefix.length), offset: line.offset + prefix.length };
+        const match = content.text.match(JSDOC_TAG_PATTERN);
+        if (match) {
+            const rest = content.text.substring(match[1].length);
+            const space = rest.match(/^[ \t]*/)[0].length;
+            sections.push({
+                tag: match[1],
+                start: content.offset,
+                lines: [{ text: rest.substring(space), offset: content.offset + match[1].length + space }]
+            });
+        } else {
+            sections[sections.length - 1].lines.push(content);
+        }
+    }
+    return sections.map(section => closeSection({
+        ...section,
+        lines: section.lines.length > 0 ? dedentContinuation(section.lines) : []
+    }));
+}
+
+/**
+ * Split a Google-style docstring into its description and sections
+ * A section is a `Name:` line without indentation followed by indented lines.
+ * @param {string} text - The docstring, with its quotes
+ * @returns {Object[]} Sections in order (see closeSection), the first being the description
+ */
+function readDocstring(text) {
+    const lines = dedentContinuation(splitLines(text, 3, text.length - 3));
+    const sections = [{ tag: DESCRIPTION, lines: [] }];
+    let current = sections[0];
+
+    lines.forEach((line, index) => {
+        const match = line.text.match(SECTION_PATTERN);
+        const next = lines.slice(index + 1).find(candidate => candidate.text !== '');
+        if (match && next !== undefined && /^[ \t]/.test(next.text)) {
+            current = { tag: match[1], start: line.offset, lines: [] };
+            sections.push(current);
+            return;
+        }
+        if (current !== sections[0] && line.text !== '' && !/^[ \t]/.test(line.text)) {
+            // Unindented text ends the section; keep it with the description
+            current = sections[0];
+            current.lines.push({ text: '', offset: line.offset });
+        }
+        current.lines.push(line);
+    });
+    return sections.map(section => closeSection({ ...section, lines: dedentLines(section.lines) }));
+}
+
+/**
+ * Split a doc comment into its description and tags or sections
+ * @param {string} text - The comment, with its markers
+ * @param {string} style - 'jsdoc' or 'docstring' (see styleOf)
+ * @returns {Object[]} Sections in order: { tag, lines, start, end } with lines { text, offset },
+ *     the first being the description; offsets are relative to text
+ */
+function readDocComment(text, style) {
+    return style === 'jsdoc' ? readJsdoc(text) : readDocstring(text);
+}
+
+/**
+ * Split a leading type in brackets from a text
+ * @param {string} text - The text, e.g. `{Object<string, number>} counts`
+ * @param {string} style - 'jsdoc' or 'docstring', which choose the brackets
+ * @returns {{type: string|null, rest: string}} The type without its brackets, and the text after it
+ */
+function splitType(text, style) {
+    const [open, close] = TYPE_BRACKETS[style];
+    if (!text.startsWith(open)) {
+        return { type: null, rest: text };
+    }
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === open) {
+            depth++;
+        } else if (text[i] === close && --depth === 0) {
+            return { type: text.substring(1, i), rest: text.substring(i + 1).trim() };
+        }
+    }
+    return { type: null, rest: text };
+}
+
+/**
+ * Read the entries of a section documenting one name per entry
+ * @param {Object} section - Section from readDocComment
+ * @param {string} style - 'jsdoc' or 'docstring'
+ * @returns {Object[]|null} Entries: { name, type, text, start, end, nameStart }, or null if a line is not an entry
+ */
+function namedEntries(section, style) {
+    if (style === 'jsdoc') {
+        const joined = section.lines.map(line => line.text).join(' ').trim();
+        const { type, rest } = splitType(joined, style);
+        const match = rest.match(/^(\[[^\]]*\]|\S+)(?:[ \t]+-)?[ \t]*(.*)$/);
+        if (!match) {
+            return null;
+        }
+        // Optional names and their defaults (`[encoding=utf8]`) are read from the signature
+        const name = match[1].replace(/^\[([^=\]]*)(?:=[^\]]*)?\]$/, '$1').trim();
+        const first = section.lines[0];
+        const index = joined.indexOf(match[1], joined.length - rest.length) + (match[1].startsWith('[') ? 1 : 0);
+        return [{
+            name,
+            type,
+            text: match[2],
+            start: section.start,
+            end: section.end,
+            nameStart: index < first.text.length ? first.offset + index : section.start
+        }];
+    }
+
+    const entries = [];
+    for (const line of section.lines) {
+        const match = line.text.match(DOCSTRING_ENTRY_PATTERN);
+        if (match) {
+            entries.push({
+                name: match[1],
+                type: match[2] === undefined ? null : match[2],
+                text: match[3],
+                start: line.offset,
+                end: line.offset + line.text.length,
+                nameStart: line.offset
+            });
+        } else if (entries.length > 0 && /^[ \t]/.test(line.text)) {
+            const entry = entries[entries.length - 1];
+            entry.text = `${entry.text} ${line.text.trim()}`.trim();
+            entry.end = line.offset + line.text.length;
+        } else if (line.text.trim() !== '') {
+            return null;
+        }
+    }
+    return entries;
+}
+
+/**
+ * Collect the aliases of every property
+ * @param {Object} properties - `properties` section of the configuration
+ * @returns {Object} Property tag per JSDoc tag or docstring section
+ */
+function compileAliases(properties) {
+    const aliases = {};
+    for (const [tag, property] of Object.entries(properties || {})) {
+        for (const alias of property.aliases || []) {
+            aliases[alias] = tag;
+        }
+    }
+    return aliases;
+}
+
+/**
+ * Read the properties a doc comment provides through aliases
+ * Sections of one property are merged, so several `@param` tags make one
+ * `params` property whose `items` are the documented names.
+ * @param {string} text - Text of the comment, with its markers (line prefixes may be blanked)
+ * @param {Object} aliases - Property tag per JSDoc tag or docstring section (see compileAliases)
+ * @param {Object[]} [tagged] - Properties written as tags in the comment, which are not part of the doc comment
+ * @returns {Object[]} Properties shaped like those of ./tags, plus `alias`: the first tag or section read;
+ *     offsets are relative to text
+ */
+function docProperties(text, aliases, tagged = []) {
+    const style = styleOf(text);
+    if (!style || Object.keys(aliases).length === 0) {
+        return [];
+    }
+
+    // Blank property blocks and stray tags, keeping offsets
+    const ranges = [...tagged, ...tokenizeTags(text)];
+    const blanked = ranges.reduce((result, range) => result.substring(0, range.start) +
+        result.substring(range.start, range.end).replace(/[^\n]/g, ' ') +
+        result.substring(range.end), text);
+
+    const properties = new Map();
+    for (const section of readDocComment(blanked, style)) {
+        const tag = aliases[section.tag];
+        if (!tag || section.start === undefined) {
+            continue;
+        }
+        if (!properties.has(tag)) {
+            properties.set(tag, { tag, alias: section.tag, attributes: {}, sections: [], items: [], fields: {} });
+        }
+        const property = properties.get(tag);
+        property.sections.push(section);
+
+        const entries = NAMED_TAGS.has(section.tag) ? namedEntries(section, style) : null;
+        if (entries) {
+            // Rest parameters are documented by their name without `...`, `*` or `**`
+            property.items.push(...entries.map(entry => {
+                const prefix = entry.name.match(/^(?:\.{3}|\*{0,2})/)[0];
+                return {
+                    key: entry.name.substring(prefix.length),
+                    value: `${entry.type === null ? '' : `${TYPE_BRACKETS[style][0]}${entry.type}${TYPE_BRACKETS[style][1]} `}${entry.text}`.trimEnd(),
+                    start: entry.start,
+                    end: entry.end,
+                    keyStart: entry.nameStart + prefix.length,
+                    keyEnd: entry.nameStart + entry.name.length
+                };
+            }));
+        } else if (section.lines.length > 0) {
+            const { items, fields } = parseContent(blanked, section.lines[0].offset, section.end);
+            property.items.push(...items);
+            Object.assign(property.fields, fields);
+        }
+    }
+
+    return [...properties.values()].map(({ sections, ...property }) => {
+        const [first] = sections;
+        const last = sections[sections.length - 1];
+        return {
+            ...property,
+            content: sections.map(section => section.lines.map(line => line.text).join('\n')).join('\n\n').trim(),
+            start: first.start,
+            end: last.end,
+            contentStart: first.lines.length > 0 ? first.lines[0].offset : first.end,
+            contentEnd: last.end
+        };
+    });
+}
+
+module.exports = {
+    DESCRIPTION,
+    NAMED_TAGS,
+    TYPE_BRACKETS,
+    styleOf,
+    dedent,
+    readDocComment,
+    splitType,
+    namedEntries,
+    compileAliases,
+    docProperties
+};
@@ -0,0 +1,501 @@
+const fs = require('fs');
+const path = require('path');
+const PropertyLinter = require('./linter');
+const { positionAt } = require('./runner');
+const { escapeXml, relativePath } = require('./reporters');
+const { dedent } = require('./docComments');
+const { version, contributes } = require('../package.json');
+
+/**
+ * Documentation site generator.
+ * The file and function properties of every file (see documentText) are
+ * collected into a model grouped by folder and file, which is written as
+ * docs.json and rendered as Markdown or HTML pages: an index and one page per
+ * file. Pages are built from templates with `{{name}}` placeholders; a
+ * templates directory may replace any of them with `<name>.md` or
+ * `<name>.html`. Code spans and `{@link name}` naming a documented function
+ * or file become links to its section. Used by the Export Documentation
+ * command and `luke-lint --export-docs`.
+ */
+
+// Page file extension per site format
+const DOC_FORMATS = {
+    markdown: '.md',
+    html: '.html'
+};
+const DOCS_FILE = 'docs.json';
+const DEFAULT_DOCS_FORMAT = contributes.configuration.properties['lukeLinter.docs.format'].default;
+
+// Placeholders each template may use
+const TEMPLATE_FIELDS = {
+    page: ['title', 'siteTitle', 'home', 'content'],
+    index: ['folders', 'fileCount', 'functionCount'],
+    folder: ['path', 'files'],
+    fileEntry: ['name', 'path', 'href', 'summary'],
+    file: ['name', 'path', 'source', 'language', 'properties', 'functions'],
+    function: ['name', 'kind', 'anchor', 'line', 'source', 'properties'],
+    property: ['tag', 'anchor', 'content'],
+    example: ['code', 'language']
+};
+const PLACEHOLDER = /\{\{(\w+)\}\}/g;
+
+const DEFAULT_TEMPLATES = {
+    markdown: {
+        page: '[{{siteTitle}}]({{home}})\n\n# {{title}}\n\n{{content}}',
+        index: '{{fileCount}} files, {{functionCount}} functions\n\n{{folders}}',
+        folder: '## {{path}}\n\n{{files}}\n',
+        fileEntry: '- [{{name}}]({{href}}) {{summary}}',
+        file: 'Source: [{{path}}]({{source}})\n\n{{properties}}\n{{functions}}',
+        function: '<a id="{{anchor}}"></a>\n\n## {{name}}\n\n*{{kind}}*, [line {{line}}]({{source}})\n\n{{properties}}',
+        property: '**{{tag}}**\n\n{{content}}\n',
+        example: '```{{language}}\n{{code}}\n```'
+    },
+    html: {
+        page: [
+            '<!DOCTYPE html>',
+            '<html lang="en">',
+            '<head>',
+            '<meta charset="utf-8">',
+            '<title>{{title}} - {{siteTitle}}</title>',
+            '<style>',
+            'body { font-family: sans-serif; line-height: 1.5; max-width: 60em; margin: 2em auto; padding: 0 1em; }',
+            'pre { background: #f6f8fa; padding: 1em; overflow: auto; }',
+            'section section { margin-left: 1em; }',
+            '.kind { color: #666; }',
+            '</style>',
+            '</head>',
+            '<body>',
+            '<nav><a href="{{home}}">{{siteTitle}}</a></nav>',
+            '<h1>{{title}}</h1>',
+            '{{content}}',
+            '</body>',
+            '</html>',
+            ''
+        ].join('\n'),
+        index: '<p>{{fileCount}} files, {{functionCount}} functions</p>\n{{folders}}',
+        folder: '<section>\n<h2>{{path}}</h2>\n<ul>\n{{files}}\n</ul>\n</section>\n',
+        fileEntry: '<li><a href="{{href}}">{{name}}</a> {{summary}}</li>',
+        file: '<p>Source: <a href="{{source}}">{{path}}</a></p>\n{{properties}}\n{{functions}}',
+        function: '<section id="{{anchor}}">\n<h2>{{name}}</h2>\n<p class="kind">{{kind}}, <a href="{{source}}">line {{line}}</a></p>\n{{properties}}</section>\n',
+        property: '<section id="{{anchor}}">\n<h3>{{tag}}</h3>\n{{content}}\n</section>\n',
+        example: '<pre><code class="language-{{language}}">{{code}}</code></pre>'
+    }
+};
+
+/**
+ * Get the content of a property with its common indentation removed
+ * Content written on the line of its OPEN tag keeps that line as its first.
+ * @param {string} text - Text of the comment
+ * @param {Object} property - Property parsed from the comment
+ * @returns {string} The content
+ */
+function contentOf(text, property) {
+    // Doc comment sections are dedented when read
+    if (property.alias) {
+        return property.content;
+    }
+    const [first, ...rest] = text.substring(property.contentStart, property.contentEnd).split('\n');
+    return (first.trim() ? [first.trim(), ...dedent(rest)] : dedent(rest)).join('\n');
+}
+
+/**
+ * Read the properties of a property block for the documentation model
+ * @param {string} text - The file text
+ * @param {Object} block - The comment: { text, start }
+ * @param {string} scope - Scope of the block
+ * @param {PropertyLinter} linter - Linter holding the configuration
+ * @returns {Object[]} Properties: { tag, alias?, content, attributes, items, fields, line }
+ */
+function documentBlock(text, block, scope, linter) {
+    return linter.parseBlock(block.text, scope).properties.map(property => ({
+        tag: property.tag,
+        ...(property.alias ? { alias: property.alias } : {}),
+        content: contentOf(block.text, property),
+        attributes: property.attributes,
+        items: property.items.map(item => (item.key === undefined ? { value: item.value } : { key: item.key, value: item.value })),
+        fields: property.fields,
+        line: positionAt(text, block.start + property.start).line
+    }));
+}
+
+/**
+ * Collect the documentation of a text: its file-level properties and those of every declaration
+ * Blocks are read as the linter reads them, including properties written through `aliases`.
+ * @param {string} text - The file text
+ * @param {string} fileName - File name used to choose the language
+ * @param {PropertyLinter} linter - Linter holding the configuration that applies to the file
+ * @param {string} [languageId] - Editor language ID, preferred over the file extension
+ * @returns {Object} { language, scope, properties, functions: [{ name, kind, exported, scope, line, documented, properties }] }
+ */
+function documentText(text, fileName, linter, languageId) {
+    const firstComment = linter.getFirstComment(text, fileName, languageId);
+    const fileScope = linter.scopeOf(
+        { kind: 'file', name: path.basename(fileName), start: 0, end: text.length },
+        text,
+        fileName
+    );
+
+    return {
+        language: linter.languages.resolve(fileName, languageId).id,
+        scope: fileScope,
+        properties: firstComment ? documentBlock(text, firstComment, fileScope, linter) : [],
+        functions: linter.findFunctions(text, fileName, languageId).map(func => {
+            const scope = linter.scopeOf(func, text, fileName);
+            return {
+                name: func.name,
+                kind: func.kind,
+                exported: Boolean(func.exported),
+                scope,
+                line: positionAt(text, func.nameStart).line,
+                documented: Boolean(func.commentBlock),
+                properties: func.commentBlock ? documentBlock(text, func.commentBlock, scope, linter) : []
+            };
+        })
+    };
+}
+
+/**
+ * Collect the documentation of files from disk
+ * @param {string[]} files - Absolute file paths
+ * @param {Object} options - Runner options (root)
+ * @returns {Promise<Object[]>} Per file: documentText's result plus `path`, relative to the root
+ * @throws {ConfigError} If a configuration that applies to a file cannot be used
+ */
+async function documentFiles(files, options) {
+    const linter = new PropertyLinter();
+
+    const entries = [];
+    for (const filePath of files) {
+        await linter.loadProjectConfig(options.root, filePath);
+        if (linter.configError) {
+            throw linter.configError;
+        }
+        const text = await fs.promises.readFile(filePath, 'utf8');
+        entries.push({ path: relativePath(filePath, options.root), ...documentText(text, filePath, linter) });
+    }
+
+    return entries;
+}
+
+/**
+ * Group documented files by folder
+ * @param {Object[]} entries - Documented files, each with a forward-slash `path`
+ * @param {string} title - Title of the site
+ * @returns {Object} The model written to docs.json: { tool, version, title, folders: [{ path, files }] }
+ */
+function buildModel(entries, title) {
+    const folders = new Map();
+    for (const entry of entries) {
+        const folder = path.posix.dirname(entry.path);
+        if (!folders.has(folder)) {
+            folders.set(folder, { path: folder, files: [] });
+        }
+        folders.get(folder).files.push({ name: path.posix.basename(entry.path), ...entry });
+    }
+
+    const byPath = (a, b) => a.path.localeCompare(b.path);
+    return {
+        tool: 'luke-linter',
+        version,
+        title,
+        folders: [...folders.values()].sort(byPath).map(folder => ({ ...folder, files: folder.files.sort(byPath) }))
+    };
+}
+
+/**
+ * Read the templates of a site format, replacing the built-in ones with the files of a directory
+ * @param {string} format - Key of DOC_FORMATS
+ * @param {string} [directory] - Directory holding `<name>.md` or `<name>.html` templates
+ * @returns {Promise<Object>} Template text per name of TEMPLATE_FIELDS
+ * @throws {Error} If the directory cannot be read or a template uses an unknown placeholder
+ */
+async function loadTemplates(format, directory) {
+    const templates = { ...DEFAULT_TEMPLATES[format] };
+    if (directory) {
+        const names = new Set(await fs.promises.readdir(directory));
+        for (const name of Object.keys(TEMPLATE_FIELDS)) {
+            const fileName = `${name}${DOC_FORMATS[format]}`;
+            if (names.has(fileName)) {
+                templates[name] = await fs.promises.readFile(path.join(directory, fileName), 'utf8');
+            }
+        }
+    }
+
+    for (const [name, template] of Object.entries(templates)) {
+        for (const [, field] of template.matchAll(PLACEHOLDER)) {
+            if (!TEMPLATE_FIELDS[name].includes(field)) {
+                throw new Error(`Unknown placeholder {{${field}}} in the ${name} template (expected ${TEMPLATE_FIELDS[name].join(', ')})`);
+            }
+        }
+    }
+    return templates;
+}
+
+/**
+ * Fill the placeholders of a template
+ * @param {string} template - Template text
+ * @param {Object} values - Text per placeholder name, already formatted for the site
+ * @returns {string} The filled template
+ */
+function fill(template, values) {
+    return template.replace(PLACEHOLDER, (match, field) => String(values[field]));
+}
+
+/**
+ * Turn a name into an anchor ID
+ * @param {string} name - Function or property name
+ * @returns {string} Lowercase ID of letters, digits, `-` and `_`
+ */
+function slug(name) {
+    return name.toLowerCase().replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'section';
+}
+
+/**
+ * Get a link from one site page to another site path
+ * @param {string} from - Forward-slash path of the linking page
+ * @param {string} to - Forward-slash path of the target, which may start with `..`
+ * @returns {string} The relative link
+ */
+function hrefFrom(from, to) {
+    const fromParts = path.posix.dirname(from).split('/').filter(part => part && part !== '.');
+    const toParts = to.split('/');
+    let common = 0;
+    while (common < fromParts.length && common < toParts.length - 1 && fromParts[common] === toParts[common]) {
+        common++;
+    }
+    return '../'.repeat(fromParts.length - common) + toParts.slice(common).join('/');
+}
+
+/**
+ * Get the site path of a file's page
+ * Files outside the root keep their place under `__` folders, so no page is written outside the site.
+ * @param {string} filePath - Forward-slash path of the documented file
+ * @param {string} format - Key of DOC_FORMATS
+ * @returns {string} The page path
+ */
+function pagePath(filePath, format) {
+    return filePath.split('/').map(part => (part === '..' ? '__' : part)).join('/') + DOC_FORMATS[format];
+}
+
+/**
+ * Build the Markdown or HTML renderer of a site
+ * @param {Object} model - Model from buildModel
+ * @param {string} format - Key of DOC_FORMATS
+ * @returns {Object} { escape, anchors, inline(text, page, file), block(text, page, file) }
+ */
+function createRenderer(model, format) {
+    const escape = format === 'html' ? escapeXml : value => String(value);
+
+    // Section anchors of every function, and the link targets of documented names
+    const anchors = new Map();
+    const targets = new Map();
+    const addTarget = (name, target) => {
+        if (!targets.has(name)) {
+            targets.set(name, []);
+        }
+        targets.get(name).push(target);
+    };
+    for (const folder of model.folders) {
+        for (const file of folder.files) {
+            const page = pagePath(file.path, format);
+            const used = new Set();
+            addTarget(file.name, { file, page, anchor: null });
+            addTarget(file.path, { file, page, anchor: null });
+            for (const func of file.functions) {
+                let anchor = slug(func.name);
+                for (let index = 2; used.has(anchor); index++) {
+                    anchor = `${slug(func.name)}-${index}`;
+                }
+                used.add(anchor);
+                anchors.set(func, anchor);
+                if (func.documented) {
+                    addTarget(func.name, { file, page, anchor });
+                }
+            }
+        }
+    }
+
+    // Link to a documented name: one of the page's own file first, otherwise a unique one
+    const resolve = (name, page, file) => {
+        const found = targets.get(name.replace(/\(\)$/, '')) || [];
+        const own = found.filter(target => target.file === file);
+        const target = own.length === 1 ? own[0] : found.length === 1 ? found[0] : null;
+        if (!target) {
+            return null;
+        }
+        const href = target.page === page ? '' : hrefFrom(page, target.page);
+        return target.anchor ? `${href}#${target.anchor}` : href;
+    };
+
+    const INLINE = /\{@link\s+([^\s|}]+)(?:\s*\|\s*|\s+)?([^}]*)\}|`([^`\n]+)`/g;
+    const code = text => (format === 'html' ? `<code>${escapeXml(text)}</code>` : `\`${text}\``);
+    const link = (label, href) => (format === 'html' ? `<a href="${escapeXml(href)}">${label}</a>` : `[${label}](${href})`);
+
+    // One line of text, linking code spans and `{@link}` tags of documented names
+    const inline = (text, page, file) => {
+        let result = '';
+        let last = 0;
+        for (const match of text.matchAll(INLINE)) {
+            const [whole, linkName, label, span] = match;
+            const name = linkName || span;
+            const href = resolve(name, page, file);
+            const shown = linkName && label.trim() ? escape(label.trim()) : code(name);
+            result += escape(text.substring(last, match.index)) + (href !== null ? link(shown, href) : shown);
+            last = match.index + whole.length;
+        }
+        return result + escape(text.substring(last));
+    };
+
+    // Property content: Markdown as written, or HTML paragraphs and `- ` lists
+    const block = (text, page, file) => {
+        if (format !== 'html') {
+            return text.split('\n').map(line => inline(line, page, file)).join('\n');
+        }
+        return text.split(/\n[ \t]*\n/).filter(paragraph => paragraph.trim()).map(paragraph => {
+            const lines = paragraph.split('\n');
+            if (!/^\s*[-*]\s/.test(lines[0])) {
+                return `<p>${lines.map(line => inline(line.trim(), page, file)).join('<br>\n')}</p>`;
+            }
+            // Lines that are not bullets continue the entry above them
+            const entries = [];
+            for (const line of lines) {
+                const bullet = line.match(/^\s*[-*]\s+(.*)$/);
+                if (bullet) {
+                    entries.push(bullet[1]);
+                } else {
+                    entries[entries.length - 1] += ` ${line.trim()}`;
+                }
+            }
+            return `<ul>\n${entries.map(entry => `<li>${inline(entry, page, file)}</li>`).join('\n')}\n</ul>`;
+        }).join('\n');
+    };
+
+    return { escape, anchors, inline, block };
+}
+
+/**
+ * Render the documentation site
+ * @param {Object} model - Model from buildModel
+ * @param {Object} options - { format, templates (from loadTemplates), sourceBase: forward-slash
+ *     path from the site directory to the directory documented paths are relative to }
+ * @returns {Object[]} Files of the site: { path, content }, including docs.json
+ */
+function renderSite(model, options) {
+    const { format, templates, sourceBase } = options;
+    const renderer = createRenderer(model, format);
+    const { escape } = renderer;
+    const index = `index${DOC_FORMATS[format]}`;
+
+    const renderProperties = (properties, page, file, prefix) => properties.map(property => {
+        let content;
+        if (property.tag === 'example') {
+            content = fill(templates.example, { code: escape(property.content), language: escape(file.language) });
+        } else if (property.alias && property.items.length > 0) {
+            // Named JSDoc tags and docstring entries are listed by name
+            content = renderer.block(property.items
+                .map(item => (item.key === undefined ? `- ${item.value}` : `- \`${item.key}\` ${item.value}`))
+                .join('\n'), page, file);
+        } else {
+            content = renderer.block(property.content, page, file);
+        }
+        return fill(templates.property, {
+            tag: escape(property.tag),
+            anchor: escape(`${prefix}-${slug(property.tag)}`),
+            content
+        });
+    }).join('\n');
+
+    const page = (sitePath, title, content) => ({
+        path: sitePath,
+        content: fill(templates.page, {
+            title: escape(title),
+            siteTitle: escape(model.title),
+            home: hrefFrom(sitePath, index),
+            content
+        })
+    });
+
+    const pages = [];
+    let functionCount = 0;
+    const folders = model.folders.map(folder => fill(templates.folder, {
+        path: escape(folder.path),
+        files: folder.files.map(file => {
+            const sitePath = pagePath(file.path, format);
+            const source = hrefFrom(sitePath, path.posix.join(sourceBase, file.path));
+            const description = file.properties.find(property => property.tag === 'description');
+            functionCount += file.functions.length;
+
+            pages.push(page(sitePath, file.path, fill(templates.file, {
+                name: escape(file.name),
+                path: escape(file.path),
+                source: escape(source),
+                language: escape(file.language),
+                properties: renderProperties(file.properties, sitePath, file, 'file'),
+                functions: file.functions.map(func => fill(templates.function, {
+                    name: escape(func.name),
+                    kind: escape(func.kind),
+                    anchor: escape(renderer.anchors.get(func)),
+                    line: func.line,
+                    source: escape(`${source}#L${func.line}`),
+                    properties: renderProperties(func.properties, sitePath, file, renderer.anchors.get(func))
+                })).join('\n')
+            })));
+
+            return fill(templates.fileEntry, {
+                name: escape(file.name),
+                path: escape(file.path),
+                href: escape(hrefFrom(index, sitePath)),
+                summary: description ? renderer.inline(description.content.split('\n')[0], index, file) : ''
+            });
+        }).join('\n')
+    }));
+
+    const fileCount = model.folders.reduce((sum, folder) => sum + folder.files.length, 0);
+    return [
+        page(index, model.title, fill(templates.index, { folders: folders.join('\n'), fileCount, functionCount })),
+        ...pages,
+        { path: DOCS_FILE, content: JSON.stringify(model, null, 2) + '\n' }
+    ];
+}
+
+/**
+ * Render documented files as a site and write it to a directory
+ * Existing files of the directory are overwritten but never deleted.
+ * @param {Object[]} entries - Documented files (see documentFiles)
+ * @param {Object} options - { outputDirectory, root (directory the entry paths are relative to),
+ *     format, templatesDirectory?, title }
+ * @returns {Promise<{files: number, index: string}>} Number of files written and the path of the index page
+ * @throws {Error} If the templates or the site cannot be read or written
+ */
+async function writeDocumentation(entries, options) {
+    if (!DOC_FORMATS[options.format]) {
+        throw new Error(`Unknown documentation format ${options.format} (expected ${Object.keys(DOC_FORMATS).join(', ')})`);
+    }
+    const templates = await loadTemplates(options.format, options.templatesDirectory);
+    const site = renderSite(buildModel(entries, options.title), {
+        format: options.format,
+        templates,
+        sourceBase: relativePath(options.root, options.outputDirectory)
+    });
+
+    for (const file of site) {
+        const filePath = path.join(options.outputDirectory, ...file.path.split('/'));
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, file.content, 'utf8');
+    }
+    return { files: site.length, index: path.join(options.outputDirectory, site[0].path) };
+}
+
+module.exports = {
+    DOC_FORMATS,
+    DOCS_FILE,
+    DEFAULT_DOCS_FORMAT,
+    TEMPLATE_FIELDS,
+    DEFAULT_TEMPLATES,
+    documentText,
+    documentFiles,
+    buildModel,
+    loadTemplates,
+    renderSite,
+    writeDocumentation
+};
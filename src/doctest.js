@@ -0,0 +1,201 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const ts = require('typescript');
+const javascript = require('./parsers/javascript');
+
+/**
+ * Doctest mode: runs the `example` property of every documented function.
+ * The file is transpiled to CommonJS and handed to ./exampleWorker on a
+ * worker thread of its own, where it is evaluated in a vm context; each
+ * example then runs in a fresh context where the module's exports are
+ * globals. Lines ending in `// returns X` or `// => X` assert their value.
+ * All evaluation of one file shares a single timeout budget, after which the
+ * thread is terminated, so examples that never yield cannot hang the caller.
+ */
+
+const DEFAULT_TIMEOUT = 2000;
+const EXAMPLE_RULES = ['example-failed', 'example-error', 'example-timeout'];
+const ASSERTION_PATTERN = /^(.*?);?\s*\/\/\s*(?:returns|=>)\s*(.+?)\s*$/;
+const DECLARATION_PATTERN = /^(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=/;
+const WORKER_SCRIPT = path.join(__dirname, 'exampleWorker.js');
+// Time the worker gets past the file timeout to report its own timeouts before it is terminated
+const TERMINATE_GRACE = 250;
+
+/**
+ * Turn example text into the body of an async function, with every
+ * assertion comment replaced by a `__check` call
+ * @param {string} source - Example content
+ * @returns {string} The compiled example
+ */
+function compileExample(source) {
+    return source.split('\n').map((line, index) => {
+        if (/^\s*```/.test(line)) {
+            return '';
+        }
+        const match = line.match(ASSERTION_PATTERN);
+        if (!match || !match[1].trim()) {
+            return line;
+        }
+
+        const code = match[1].trim();
+        const expected = JSON.stringify(match[2]);
+        const declaration = code.match(DECLARATION_PATTERN);
+        if (declaration) {
+            return `${code}; __check(await ${declaration[1]}, ${expected}, ${index + 1});`;
+        }
+        return `__check(await (${code}), ${expected}, ${index + 1});`;
+    }).join('\n');
+}
+
+/**
+ * Transpile a JavaScript or TypeScript file to CommonJS
+ * @param {string} text - File content
+ * @param {string} filePath - File path
+ * @returns {string} The module code
+ */
+function transpile(text, filePath) {
+    return ts.transpileModule(text, {
+        fileName: filePath,
+        compilerOptions: {
+            module: ts.ModuleKind.CommonJS,
+            target: ts.ScriptTarget.ES2020,
+            jsx: ts.JsxEmit.React,
+            esModuleInterop: true
+        }
+    }).outputText;
+}
+
+/**
+ * Run compiled examples on a worker thread, terminating it once the file timeout has passed
+ * @param {Object} job - { code, filePath, examples: [{ functionName, source }], timeout }
+ * @returns {Promise<{results: Object[], failure: string|null}>} Result per example index: { rule, message },
+ *     where rule is null when it passed, or nothing when it did not finish; and why the worker died, if it did
+ */
+function runInWorker(job) {
+    return new Promise(resolve => {
+        const results = [];
+        let failure = null;
+        let timer;
+        const worker = new Worker(WORKER_SCRIPT, { workerData: job });
+
+        const finish = () => {
+            clearTimeout(timer);
+            worker.removeAllListeners();
+            worker.terminate();
+            resolve({ results, failure });
+        };
+
+        worker.on('online', () => {
+            timer = setTimeout(finish, job.timeout + TERMINATE_GRACE);
+        });
+        worker.on('message', message => {
+            if (message.done) {
+                finish();
+            } else {
+                results[message.index] = message;
+            }
+        });
+        worker.on('error', error => {
+            failure = `${error.name}: ${error.message}`;
+            finish();
+        });
+        worker.on('exit', code => {
+            failure = `the example thread exited with code ${code}`;
+            finish();
+        });
+    });
+}
+
+/**
+ * Find the example properties of every documented function
+ * @param {string} text - File content
+ * @param {string} filePath - File path
+ * @param {PropertyLinter} linter - Linter holding the configuration
+ * @returns {Object[]} Examples: { functionName, source, start, end, block }
+ */
+function findExamples(text, filePath, linter) {
+    const examples = [];
+    for (const func of linter.findFunctions(text, filePath)) {
+        if (!func.commentBlock) {
+            continue;
+        }
+        for (const property of linter.parseProperties(func.commentBlock.text)) {
+            if (property.tag === 'example' && property.content) {
+                examples.push({
+                    functionName: func.name,
+                    source: property.content.split('\n').map(line => line.trim()).join('\n'),
+                    start: func.commentBlock.start + property.start,
+                    end: func.commentBlock.start + property.end,
+                    block: { start: func.commentBlock.start, end: func.commentBlock.end }
+                });
+            }
+        }
+    }
+    return examples;
+}
+
+/**
+ * Run the examples of a JavaScript or TypeScript file
+ * @param {string} text - File content
+ * @param {string} filePath - Absolute file path
+ * @param {PropertyLinter} linter - Linter holding the configuration
+ * @param {Object} [options] - { timeout } in milliseconds for the whole file
+ * @returns {Promise<Object[]>} Findings on the failing example tags, after suppressions and `rules`
+ */
+async function runExamples(text, filePath, linter, options = {}) {
+    if (!javascript.supports(filePath)) {
+        return [];
+    }
+    const examples = findExamples(text, filePath, linter);
+    if (examples.length === 0) {
+        return [];
+    }
+
+    const timeout = options.timeout || DEFAULT_TIMEOUT;
+    const { results, failure } = await runInWorker({
+        code: transpile(text, filePath),
+        filePath,
+        examples: examples.map(example => ({ functionName: example.functionName, source: compileExample(example.source) })),
+        timeout
+    });
+
+    const findings = [];
+    // The first example without a result was running when the thread was stopped
+    let interrupted = false;
+    for (const [index, example] of examples.entries()) {
+        let result = results[index];
+        if (!result && !interrupted) {
+            interrupted = true;
+            result = failure
+                ? { rule: 'example-error', message: `Example of "${example.functionName}" stopped: ${failure}` }
+                : { rule: 'example-timeout', message: `Example of "${example.functionName}" did not finish within the ${timeout} ms file timeout` };
+        } else if (!result) {
+            result = failure
+                ? { rule: 'example-error', message: `Example not run: ${failure}` }
+                : { rule: 'example-timeout', message: `Example not run: the ${timeout} ms file timeout was exceeded` };
+        }
+        if (!result.rule) {
+            continue;
+        }
+        findings.push({
+            rule: result.rule,
+            message: result.message,
+            severity: 'error',
+            start: example.start,
+            end: example.end,
+            scope: 'function',
+            property: 'example',
+            functionName: example.functionName,
+            block: example.block
+        });
+    }
+
+    return linter.filterFindings(text, filePath, undefined, findings, false);
+}
+
+module.exports = {
+    DEFAULT_TIMEOUT,
+    EXAMPLE_RULES,
+    compileExample,
+    runExamples
+};
@@ -0,0 +1,199 @@
+const path = require('path');
+const util = require('util');
+const vm = require('vm');
+const { createRequire } = require('module');
+const { parentPort, workerData } = require('worker_threads');
+
+/**
+ * Worker thread entry point of ./doctest.
+ * Evaluates one transpiled file and runs its compiled examples, posting
+ * { index, rule, message } as each example finishes (rule is null when it
+ * passed) and { done: true } at the end. Synchronous code is stopped by the
+ * vm timeout; code that keeps the thread busy from a promise continuation is
+ * stopped by ./doctest terminating the thread at the deadline.
+ * Example code has full Node access through `require`.
+ */
+
+// Host objects examples may use; timers are left out so nothing outlives a run
+const SANDBOX_GLOBALS = {
+    Buffer,
+    URL,
+    URLSearchParams,
+    TextEncoder,
+    TextDecoder,
+    console: Object.fromEntries(['log', 'info', 'warn', 'error', 'debug'].map(method => [method, () => {}]))
+};
+
+/**
+ * Error raised by a failing `// returns` assertion
+ */
+class ExampleAssertionError extends Error {
+    /**
+     * @param {number} line - Example line holding the assertion (1-based)
+     * @param {string} expected - Expected value as written
+     * @param {*} actual - Value the expression produced
+     */
+    constructor(line, expected, actual) {
+        super(`expected ${expected}, got ${util.inspect(actual, { depth: 4 })}`);
+        this.line = line;
+    }
+}
+
+/**
+ * Check whether an actual value matches the expected value text
+ * The text is evaluated as an expression in the example's context; text
+ * that is not a valid expression is compared with the printed value.
+ * @param {vm.Context} context - The example context
+ * @param {*} actual - Value the expression produced
+ * @param {string} expected - Expected value as written
+ * @returns {boolean} True if the values match
+ */
+function matches(context, actual, expected) {
+    let expectedValue;
+    try {
+        expectedValue = vm.runInContext(`(${expected})`, context, { timeout: 100 });
+    } catch (error) {
+        return String(actual) === expected || util.inspect(actual) === expected;
+    }
+    // Values from different contexts have different prototypes, so also compare their printed form
+    return util.isDeepStrictEqual(actual, expectedValue) ||
+        util.inspect(actual, { depth: null }) === util.inspect(expectedValue, { depth: null });
+}
+
+/**
+ * Await a promise for at most a number of milliseconds
+ * @param {Promise} promise - The promise
+ * @param {number} ms - Time limit
+ * @returns {Promise<*>} The promise's value
+ * @throws {Error} With code ERR_SCRIPT_EXECUTION_TIMEOUT when the limit is reached
+ */
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error('Example timed out');
+            error.code = 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+            reject(error);
+        }, ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Evaluate transpiled CommonJS code as a module in its own context
+ * @param {string} code - The module code
+ * @param {string} filePath - Absolute file path, used to resolve its requires
+ * @param {number} timeout - Time limit in milliseconds
+ * @returns {*} The module's exports
+ */
+function loadModule(code, filePath, timeout) {
+    const module = { exports: {} };
+    const context = vm.createContext({
+        ...SANDBOX_GLOBALS,
+        module,
+        require: createRequire(filePath),
+        __filename: filePath,
+        __dirname: path.dirname(filePath)
+    });
+
+    vm.runInContext(
+        `(function (exports, require, module, __filename, __dirname) {${code}\n})` +
+        '.call(module.exports, module.exports, require, module, __filename, __dirname);',
+        context,
+        { filename: filePath, timeout }
+    );
+    return module.exports;
+}
+
+/**
+ * Get the globals an example sees for a module's exports
+ * Named exports keep their names; a function or class exported as the whole
+ * module or as `default` is available under its own name.
+ * @param {*} moduleExports - The module's exports
+ * @returns {Object} Globals
+ */
+function exportGlobals(moduleExports) {
+    const globals = { exports: moduleExports };
+    const named = value => (typeof value === 'function' && value.name ? { [value.name]: value } : {});
+
+    if (typeof moduleExports === 'function') {
+        return { ...globals, ...named(moduleExports), ...moduleExports };
+    }
+    if (moduleExports && typeof moduleExports === 'object') {
+        return { ...globals, ...named(moduleExports.default), ...moduleExports };
+    }
+    return globals;
+}
+
+/**
+ * Describe an error thrown by example code, which may come from another context
+ * @param {*} error - The thrown value
+ * @returns {string} Description
+ */
+function describeError(error) {
+    if (error && typeof error === 'object' && 'message' in error) {
+        return `${error.name || 'Error'}: ${error.message}`;
+    }
+    return util.inspect(error);
+}
+
+/**
+ * Run the examples of the file given as worker data
+ * @param {Object} job - { code, filePath, examples: [{ functionName, source }], timeout }
+ * @param {Function} post - Receives each result message
+ */
+async function runJob(job, post) {
+    const { code, filePath, examples, timeout } = job;
+    const deadline = Date.now() + timeout;
+    const remaining = () => Math.max(1, deadline - Date.now());
+
+    let moduleExports;
+    try {
+        moduleExports = loadModule(code, filePath, remaining());
+    } catch (error) {
+        examples.forEach((example, index) => post({
+            index,
+            rule: 'example-error',
+            message: `Example not run: the module failed to load (${describeError(error)})`
+        }));
+        return;
+    }
+
+    for (const [index, example] of examples.entries()) {
+        if (Date.now() >= deadline) {
+            post({ index, rule: 'example-timeout', message: `Example not run: the ${timeout} ms file timeout was exceeded` });
+            continue;
+        }
+
+        const context = vm.createContext({
+            ...SANDBOX_GLOBALS,
+            ...exportGlobals(moduleExports),
+            require: createRequire(filePath)
+        });
+        context.__check = (actual, expected, line) => {
+            if (!matches(context, actual, expected)) {
+                throw new ExampleAssertionError(line, expected, actual);
+            }
+        };
+
+        try {
+            const run = vm.runInContext(`(async () => {\n${example.source}\n})()`, context, {
+                filename: `${filePath} (example of ${example.functionName})`,
+                timeout: remaining()
+            });
+            await withTimeout(run, remaining());
+            post({ index, rule: null, message: null });
+        } catch (error) {
+            if (error instanceof ExampleAssertionError) {
+                post({ index, rule: 'example-failed', message: `Example of "${example.functionName}" failed on line ${error.line}: ${error.message}` });
+            } else if (error && error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+                post({ index, rule: 'example-timeout', message: `Example of "${example.functionName}" did not finish within the ${timeout} ms file timeout` });
+            } else {
+                post({ index, rule: 'example-error', message: `Example of "${example.functionName}" threw ${describeError(error)}` });
+            }
+        }
+    }
+}
+
+runJob(workerData, message => parentPort.postMessage(message))
+    .then(() => parentPort.postMessage({ done: true }));
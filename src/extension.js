@@ -1,10 +1,67 @@
 const vscode = require('vscode');
+const path = require('path');
 const PropertyLinter = require('./linter');
+const python = require('./parsers/python');
+const { REPORT_FORMATS, formatReport } = require('./reporters');
+const { MASTER_FORMULA, formatComment } = require('./templates');
+const PropertyCodeActionProvider = require('./codeActions');
+const { runExamples, EXAMPLE_RULES } = require('./doctest');
+const { CONFIG_FILE, resolveConfig } = require('./config');
+const { validateConfigText } = require('./configValidation');
+const { IGNORE_FILE, GITIGNORE_FILE, createIgnoreMatcher } = require('./ignore');
+const { lintInWorkers } = require('./workerPool');
+const { toPropertyTags, toDocComments } = require('./converter');
+const { documentText, writeDocumentation } = require('./docsite');
+const { positionAt } = require('./runner');
+const {
+    BASELINE_FILE,
+    createBaseline,
+    applyBaseline,
+    pruneDeletedFiles,
+    readBaseline,
+    writeBaseline
+} = require('./baseline');
 
 // Create diagnostic collection
 let diagnosticCollection;
+// Example results are kept apart so re-linting does not clear them
+let exampleDiagnostics;
+// Problems found in .luke-linter.json files
+let configDiagnostics;
+// Summaries of workspace checks
+let outputChannel;
+// Config errors already shown as notifications, so each is shown once until a config changes
+const shownConfigErrors = new Set();
+// docs/rules.md inside the installed extension, linked from diagnostic codes
+let rulesDocumentation;
 const linter = new PropertyLinter();
 
+// Latest lint result per document URI, used by the quick fixes
+const lintResults = new Map();
+// Debounce timers of on-type analyses and the number of the latest analysis, per document URI
+const pendingAnalyses = new Map();
+const analysisRuns = new Map();
+// Tail of the chain of runs using the shared linter (see withLinter)
+let linterQueue = Promise.resolve();
+// Ignore matcher per root, kept until the ignore settings or an ignore file change
+const ignoreMatchers = new Map();
+
+// Directions of the doc comment conversion commands
+const CONVERSIONS = {
+    tags: {
+        convert: toPropertyTags,
+        label: 'Convert doc comments to property tags',
+        source: 'JSDoc comments or docstrings',
+        skipReason: 'mix property tags with JSDoc tags or docstring sections'
+    },
+    docs: {
+        convert: toDocComments,
+        label: 'Convert property tags to doc comments',
+        source: 'property blocks',
+        skipReason: 'have malformed tags or are line comments'
+    }
+};
+
 // This will store our decoration type
 let testDecorationType;
 
@@ -73,11 +130,200 @@ async function unfoldAllInFile(document) {
     await vscode.commands.executeCommand('editor.unfoldAll');
 }
 
+/**
+ * Convert severity string to VSCode DiagnosticSeverity
+ * @param {string} severity - Severity level from config
+ * @returns {vscode.DiagnosticSeverity} VSCode severity level
+ */
+function toSeverity(severity) {
+    switch ((severity || '').toLowerCase()) {
+        case 'error':
+            return vscode.DiagnosticSeverity.Error;
+        case 'warning':
+            return vscode.DiagnosticSeverity.Warning;
+        case 'info':
+            return vscode.DiagnosticSeverity.Information;
+        default:
+            return vscode.DiagnosticSeverity.Hint;
+    }
+}
+
+/**
+ * Convert a linter finding into a VSCode diagnostic
+ * @param {vscode.TextDocument} document - Document the finding belongs to
+ * @param {Object} finding - Finding produced by PropertyLinter.lintText, or a config problem without a rule
+ * @returns {vscode.Diagnostic} The diagnostic to publish
+ */
+function toDiagnostic(document, finding) {
+    return createDiagnostic(
+        new vscode.Range(document.positionAt(finding.start), document.positionAt(finding.end)),
+        finding
+    );
+}
+
+/**
+ * Convert a finding with 1-based line and column information into a VSCode diagnostic
+ * Used for files linted from disk, which have no document to map offsets.
+ * @param {Object} finding - Finding with line, column, endLine and endColumn
+ * @returns {vscode.Diagnostic} The diagnostic to publish
+ */
+function toLocatedDiagnostic(finding) {
+    return createDiagnostic(
+        new vscode.Range(finding.line - 1, finding.column - 1, finding.endLine - 1, finding.endColumn - 1),
+        finding
+    );
+}
+
+/**
+ * Create the diagnostic of a finding
+ * @param {vscode.Range} range - Where the finding is
+ * @param {Object} finding - The finding
+ * @returns {vscode.Diagnostic} The diagnostic to publish
+ */
+function createDiagnostic(range, finding) {
+    const diagnostic = new vscode.Diagnostic(range, finding.message, toSeverity(finding.severity));
+    diagnostic.source = 'luke-linter';
+    if (finding.rule) {
+        diagnostic.code = rulesDocumentation
+            ? { value: finding.rule, target: rulesDocumentation.with({ fragment: finding.rule }) }
+            : finding.rule;
+    }
+    return diagnostic;
+}
+
+/**
+ * Get the custom properties of the user, workspace and folder settings as configuration layers
+ * @param {vscode.Uri} [uri] - Resource whose folder settings apply
+ * @returns {Object[]} Layers, lowest precedence first: { source, config }
+ */
+function settingsLayersFor(uri) {
+    const inspected = vscode.workspace.getConfiguration('lukeLinter', uri).inspect('customProperties') || {};
+    return [
+        ['User settings', inspected.globalValue],
+        ['Workspace settings', inspected.workspaceValue],
+        ['Workspace folder settings', inspected.workspaceFolderValue]
+    ]
+        .filter(([, properties]) => properties && Object.keys(properties).length > 0)
+        .map(([source, properties]) => ({ source: `${source} (lukeLinter.customProperties)`, config: { properties } }));
+}
+
+/**
+ * Load the configuration that applies to a document
+ * @param {vscode.TextDocument} document - The document
+ */
+async function loadDocumentConfig(document) {
+    await loadUriConfig(document.uri);
+}
+
+/**
+ * Load the configuration that applies to a resource, open or not
+ * Saved files use every .luke-linter.json above them; other resources use their workspace folder's.
+ * @param {vscode.Uri} uri - The resource
+ */
+async function loadUriConfig(uri) {
+    const workspaceFolder = vscode.workspace.getWorkspaceFolder(uri);
+    linter.settingsLayers = settingsLayersFor(uri);
+    await linter.loadProjectConfig(
+        workspaceFolder ? workspaceFolder.uri.fsPath : null,
+        uri.scheme === 'file' ? uri.fsPath : undefined
+    );
+    if (linter.configError) {
+        reportConfigError(linter.configError);
+    }
+}
+
+/**
+ * Tell the user that a configuration cannot be used, once per error
+ * @param {Error} error - The error, with `configPath` when a file is at fault
+ */
+async function reportConfigError(error) {
+    if (shownConfigErrors.has(error.message)) {
+        return;
+    }
+    shownConfigErrors.add(error.message);
+
+    const actions = error.configPath ? ['Open Configuration'] : [];
+    const choice = await vscode.window.showErrorMessage(
+        `Luke Linter: ${error.message}. The default configuration is used until this is fixed.`,
+        ...actions
+    );
+    if (choice) {
+        await vscode.window.showTextDocument(vscode.Uri.file(error.configPath));
+    }
+}
+
+/**
+ * Check a .luke-linter.json document and publish its problems
+ * @param {vscode.TextDocument} document - The document; others are ignored
+ */
+async function validateConfigDocument(document) {
+    if (path.basename(document.fileName) !== CONFIG_FILE) {
+        return;
+    }
+
+    // Tags and scopes defined by the defaults, parent configs and presets may be used too
+    let inherited = linter.defaultConfig;
+    try {
+        ({ config: inherited } = await resolveConfig(
+            linter.defaultConfig,
+            path.dirname(document.fileName),
+            undefined,
+            settingsLayersFor(document.uri)
+        ));
+    } catch (error) {
+        // The document itself may be the broken config; its problems are reported below
+    }
+
+    const problems = validateConfigText(document.getText(), document.fileName, {
+        tags: Object.keys(inherited.properties),
+        scopes: Object.keys(inherited.scopes)
+    });
+    configDiagnostics.set(document.uri, problems.map(problem => toDiagnostic(document, problem)));
+}
+
+/**
+ * Run a task that uses the shared linter once every earlier one has finished
+ * The linter holds the configuration of the document being linted, so runs must not interleave.
+ * @param {Function} task - Async function using the linter
+ * @returns {Promise<*>} The result of the task
+ */
+function withLinter(task) {
+    const run = linterQueue.then(task);
+    linterQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Analyze a document once the user stops typing for `lukeLinter.debounceDelay` milliseconds
+ * @param {vscode.TextDocument} document - The edited document
+ */
+function scheduleAnalysis(document) {
+    const key = document.uri.toString();
+    clearTimeout(pendingAnalyses.get(key));
+    const delay = vscode.workspace.getConfiguration('lukeLinter').get('debounceDelay');
+    pendingAnalyses.set(key, setTimeout(() => {
+        pendingAnalyses.delete(key);
+        validateConfigDocument(document);
+        analyzeDiagnostics(document);
+    }, delay));
+}
+
 /**
  * Analyze the document and update diagnostics
+ * Only the latest run of a document publishes its results; earlier runs still waiting for the linter are skipped.
  * @param {vscode.TextDocument} document 
+ * @param {Map<string, Object>} [baselines] - Baselines shared by a workspace check (see withoutFolderBaseline),
+ *     used instead of reading and writing the baseline file
+ * @returns {Promise<Object[]|undefined>} The findings of the document, or undefined if it is not linted
  */
-async function analyzeDiagnostics(document) {
+async function analyzeDiagnostics(document, baselines) {
+    const key = document.uri.toString();
+    clearTimeout(pendingAnalyses.get(key));
+    pendingAnalyses.delete(key);
+    const run = (analysisRuns.get(key) || 0) + 1;
+    analysisRuns.set(key, run);
+    const isLatest = () => analysisRuns.get(key) === run;
+
     // Check if linting is enabled
     const config = vscode.workspace.getConfiguration('lukeLinter');
     if (!config.get('enableLinting')) {
@@ -92,103 +338,555 @@ async function analyzeDiagnostics(document) {
     }
 
     // Check if file should be ignored
-    const ignorePatterns = config.get('ignorePatterns');
-    if (ignorePatterns.some(pattern =>
-        new RegExp(pattern.replace(/\*/g, '.*').replace(/[.+?^${}()|[\]\\]/g, '\\$&')).test(document.fileName))) {
+    if (await isIgnoredDocument(document)) {
         return;
     }
 
-    // Load project-specific configuration if available
-    await linter.loadProjectConfig(document.fileName);
+    const linted = await withLinter(async () => {
+        if (!isLatest()) {
+            return null;
+        }
+        // Load project-specific configuration if available
+        await loadDocumentConfig(document);
+        return {
+            version: document.version,
+            findings: linter.lintText(document.getText(), document.fileName, document.languageId),
+            isChecked: checkedRules(rule => !EXAMPLE_RULES.includes(rule)),
+            // The configuration that produced these findings, for the quick fixes
+            context: {
+                config: linter.propertyConfig,
+                language: languageOf(document),
+                parseProperties: text => linter.parseProperties(text)
+            }
+        };
+    });
+    if (!linted) {
+        return;
+    }
 
-    const text = document.getText();
-    const diagnostics = [];
+    const findings = await withoutBaseline(document, linted.findings, linted.isChecked, baselines);
+    if (!isLatest()) {
+        return findings;
+    }
+
+    lintResults.set(key, { version: linted.version, findings, context: linted.context });
+
+    // Update diagnostics
+    diagnosticCollection.set(document.uri, findings.map(finding => toDiagnostic(document, finding)));
+    return findings;
+}
+
+/**
+ * Get the ignore matcher of a directory for the current settings
+ * Matchers read ignore files once, so they are cached until ignoreSettingsChanged is called.
+ * @param {string} root - Workspace folder; ignore patterns are relative to it
+ * @returns {Object} Matcher from createIgnoreMatcher
+ */
+function ignoreMatcherFor(root) {
+    if (!ignoreMatchers.has(root)) {
+        const config = vscode.workspace.getConfiguration('lukeLinter');
+        ignoreMatchers.set(root, createIgnoreMatcher(root, {
+            patterns: config.get('ignorePatterns'),
+            useGitignore: config.get('useGitignore')
+        }));
+    }
+    return ignoreMatchers.get(root);
+}
+
+/**
+ * Drop cached ignore matchers and re-analyze every open document, which may now be ignored or linted
+ */
+function ignoreSettingsChanged() {
+    ignoreMatchers.clear();
+    vscode.workspace.textDocuments.forEach(document => {
+        analyzeDiagnostics(document);
+    });
+}
+
+/**
+ * Check whether a document is ignored by the settings and ignore files of its workspace folder
+ * Files outside a workspace folder use their own directory as the root; unsaved documents are never ignored.
+ * @param {vscode.TextDocument} document - The document
+ * @returns {Promise<boolean>} True if the document should not be linted
+ */
+async function isIgnoredDocument(document) {
+    if (document.uri.scheme !== 'file') {
+        return false;
+    }
+    const workspaceFolder = vscode.workspace.getWorkspaceFolder(document.uri);
+    const root = workspaceFolder ? workspaceFolder.uri.fsPath : path.dirname(document.fileName);
+    return ignoreMatcherFor(root).isIgnored(document.fileName);
+}
 
-    // Get file-level properties from first comment block
-    const firstComment = linter.getFirstComment(text);
-    if (firstComment) {
-        const fileProperties = linter.parseProperties(firstComment);
-        const fileDiagnostics = linter.validateProperties(fileProperties, 'file');
+/**
+ * Find the workspace files to lint
+ * @returns {Promise<vscode.Uri[]>} Files of a linted type that are not ignored
+ */
+async function findWorkspaceFiles() {
+    const config = vscode.workspace.getConfiguration('lukeLinter');
+    const ignorePatterns = config.get('ignorePatterns');
+    const pattern = `**/*{${config.get('fileTypes').join(',')}}`;
+
+    // Excluding in findFiles saves walking ignored directories, but negated patterns have to see every file
+    const exclude = ignorePatterns.length > 0 && !ignorePatterns.some(ignorePattern => ignorePattern.startsWith('!'))
+        ? `{${ignorePatterns.join(',')}}`
+        : undefined;
+    const files = await vscode.workspace.findFiles(pattern, exclude);
 
-        // Adjust diagnostic ranges to point to the actual location in the first comment
-        const commentStart = text.indexOf(firstComment);
-        for (const diagnostic of fileDiagnostics) {
-            const startPos = document.positionAt(commentStart + diagnostic.range.start.character);
-            const endPos = document.positionAt(commentStart + diagnostic.range.end.character);
-            diagnostic.range = new vscode.Range(startPos, endPos);
+    const included = [];
+    for (const file of files) {
+        const workspaceFolder = vscode.workspace.getWorkspaceFolder(file);
+        if (!workspaceFolder) {
+            continue;
         }
+        if (!await ignoreMatcherFor(workspaceFolder.uri.fsPath).isIgnored(file.fsPath)) {
+            included.push(file);
+        }
+    }
+    return included;
+}
 
-        diagnostics.push(...fileDiagnostics);
-    } else {
-        // If no first comment block found, add diagnostic for missing file properties
-        diagnostics.push(new vscode.Diagnostic(
-            new vscode.Range(0, 0, 0, 0),
-            'Missing file-level properties block (including masterFormula)',
-            vscode.DiagnosticSeverity.Error
-        ));
+/**
+ * Tell which baseline entries the findings of the linter's current configuration can prune
+ * Nothing is pruned while the configuration cannot be used, nor entries of rules it turns off.
+ * @param {Function} coversRule - Tells whether the findings cover a rule ID
+ * @returns {Function} isChecked for applyBaseline
+ */
+function checkedRules(coversRule) {
+    if (linter.configError) {
+        return () => false;
     }
+    const disabledRules = linter.disabledRules();
+    return rule => coversRule(rule) && !disabledRules.includes(rule);
+}
 
-    // Find functions and validate their properties
-    const functions = linter.findFunctions(text);
-    for (const func of functions) {
-        if (func.commentBlock) {
-            // Only validate properties found in this specific comment block
-            const functionProperties = linter.parseProperties(func.commentBlock);
-            const functionDiagnostics = linter.validateProperties(functionProperties, 'function');
-
-            // Adjust diagnostic ranges to point to the actual location in the comment
-            const commentStart = text.indexOf(func.commentBlock);
-            for (const diagnostic of functionDiagnostics) {
-                const startPos = document.positionAt(commentStart + diagnostic.range.start.character);
-                const endPos = document.positionAt(commentStart + diagnostic.range.end.character);
-                diagnostic.range = new vscode.Range(startPos, endPos);
+/**
+ * Hide the findings of a document that are recorded in its workspace folder's baseline
+ * Fixed entries are pruned once the document is saved, so unsaved edits never shrink the baseline.
+ * @param {vscode.TextDocument} document - The linted document
+ * @param {Object[]} findings - Findings of the document
+ * @param {Function} isChecked - Tells whether the findings cover a rule ID
+ * @param {Map<string, Object>} [baselines] - Baselines shared by a workspace check, used instead of the baseline file
+ * @returns {Promise<Object[]>} Findings not in the baseline
+ */
+async function withoutBaseline(document, findings, isChecked, baselines) {
+    const workspaceFolder = vscode.workspace.getWorkspaceFolder(document.uri);
+    if (!workspaceFolder || document.uri.scheme !== 'file') {
+        return findings;
+    }
+    const prunable = document.isDirty ? () => false : isChecked;
+    if (baselines) {
+        return withoutFolderBaseline(baselines, { filePath: document.fileName, findings }, prunable);
+    }
+
+    const baselinePath = path.join(workspaceFolder.uri.fsPath, BASELINE_FILE);
+    let baseline;
+    try {
+        baseline = await readBaseline(baselinePath);
+    } catch (error) {
+        console.error(`Error reading ${baselinePath}:`, error);
+        return findings;
+    }
+    if (!baseline) {
+        return findings;
+    }
+
+    const applied = applyBaseline(
+        baseline,
+        [{ filePath: document.fileName, findings }],
+        workspaceFolder.uri.fsPath,
+        prunable
+    );
+    if (applied.changed) {
+        await writeBaseline(baselinePath, applied.baseline);
+    }
+    return applied.results[0].findings;
+}
+
+/**
+ * Record the current findings of every workspace file in each folder's baseline
+ */
+async function createWorkspaceBaseline() {
+    if (!vscode.workspace.workspaceFolders || vscode.workspace.workspaceFolders.length === 0) {
+        vscode.window.showErrorMessage('No workspace folder is open');
+        return;
+    }
+
+    const files = await findWorkspaceFiles();
+    const openDocuments = new Map(vscode.workspace.textDocuments.map(document => [document.uri.toString(), document]));
+
+    // Group results by workspace folder, each of which has its own baseline.
+    // Open documents are linted as shown; other files are read from disk on worker threads.
+    const resultsByFolder = new Map(vscode.workspace.workspaceFolders.map(folder => [folder.uri.fsPath, []]));
+    const jobs = [];
+    for (const file of files) {
+        const workspaceFolder = vscode.workspace.getWorkspaceFolder(file);
+        if (!workspaceFolder) {
+            continue;
+        }
+        const document = openDocuments.get(file.toString());
+        if (!document) {
+            jobs.push({ filePath: file.fsPath, root: workspaceFolder.uri.fsPath, settingsLayers: settingsLayersFor(file) });
+            continue;
+        }
+        try {
+            const findings = await withLinter(async () => {
+                await loadDocumentConfig(document);
+                return linter.lintText(document.getText(), document.fileName, document.languageId);
+            });
+            resultsByFolder.get(workspaceFolder.uri.fsPath).push({ filePath: file.fsPath, findings });
+        } catch (error) {
+            console.error(`Error processing file ${file.fsPath}:`, error);
+        }
+    }
+
+    try {
+        await lintInWorkers(jobs, {
+            onResult: result => {
+                if (result.error) {
+                    console.error(`Error processing file ${result.filePath}:`, result.error);
+                    return;
+                }
+                if (result.configError) {
+                    reportConfigError(result.configError);
+                }
+                const workspaceFolder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(result.filePath));
+                resultsByFolder.get(workspaceFolder.uri.fsPath).push({ filePath: result.filePath, findings: result.findings });
             }
+        });
+    } catch (error) {
+        vscode.window.showErrorMessage(`Failed to create baseline: ${error.message}`);
+        return;
+    }
 
-            diagnostics.push(...functionDiagnostics);
-        } else {
-            // If no comment block found before function, add diagnostic
-            const funcPos = document.positionAt(func.start);
-            diagnostics.push(new vscode.Diagnostic(
-                new vscode.Range(funcPos, funcPos),
-                `Missing property block for function "${func.name}" (including masterFormula)`,
-                vscode.DiagnosticSeverity.Error
-            ));
+    let total = 0;
+    try {
+        for (const [root, results] of resultsByFolder) {
+            await writeBaseline(path.join(root, BASELINE_FILE), createBaseline(results, root));
+            total += results.reduce((sum, result) => sum + result.findings.length, 0);
         }
+    } catch (error) {
+        vscode.window.showErrorMessage(`Failed to write baseline: ${error.message}`);
+        return;
     }
 
-    // Update diagnostics
-    diagnosticCollection.set(document.uri, diagnostics);
+    vscode.workspace.textDocuments.forEach(document => {
+        analyzeDiagnostics(document);
+    });
+    vscode.window.showInformationMessage(`Baseline created: ${total} existing finding${total === 1 ? '' : 's'} will no longer be reported`);
+}
+
+/**
+ * Run the examples of the active document and publish failures as diagnostics
+ * Examples run only on request; the results are cleared when the document changes.
+ */
+async function runDocumentExamples() {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) {
+        return;
+    }
+    const document = editor.document;
+    if (document.isUntitled) {
+        vscode.window.showErrorMessage('Save the file before running its examples');
+        return;
+    }
+
+    const timeout = vscode.workspace.getConfiguration('lukeLinter').get('examples.timeout');
+
+    try {
+        const examples = await withLinter(async () => {
+            await loadDocumentConfig(document);
+            return {
+                results: await runExamples(document.getText(), document.fileName, linter, { timeout }),
+                isChecked: checkedRules(rule => EXAMPLE_RULES.includes(rule))
+            };
+        });
+        const findings = await withoutBaseline(document, examples.results, examples.isChecked);
+        exampleDiagnostics.set(document.uri, findings.map(finding => toDiagnostic(document, finding)));
+        vscode.window.showInformationMessage(findings.length === 0
+            ? 'All examples passed'
+            : `${findings.length} example${findings.length === 1 ? '' : 's'} failed`);
+    } catch (error) {
+        vscode.window.showErrorMessage(`Failed to run examples: ${error.message}`);
+    }
 }
 
 /**
  * Check all files in the workspace
+ * Open documents are linted as shown in the editor; all other files are read
+ * from disk and linted on worker threads. Diagnostics are published as each
+ * file finishes, and the check can be cancelled from its progress notification.
  */
 async function checkWorkspace() {
-    const config = vscode.workspace.getConfiguration('lukeLinter');
-    const fileTypes = config.get('fileTypes');
-    const pattern = `**/*{${fileTypes.join(',')}}`;
+    const files = await findWorkspaceFiles();
+    const openDocuments = new Map(vscode.workspace.textDocuments.map(document => [document.uri.toString(), document]));
+    const results = [];
+    let failure = null;
+
+    // Baselines are read once, shared by open documents and worker results, and written back once if the check pruned them
+    const baselines = new Map();
+    for (const folder of vscode.workspace.workspaceFolders || []) {
+        const baselinePath = path.join(folder.uri.fsPath, BASELINE_FILE);
+        try {
+            baselines.set(folder.uri.fsPath, { path: baselinePath, baseline: await readBaseline(baselinePath), changed: false });
+        } catch (error) {
+            console.error(`Error reading ${baselinePath}:`, error);
+        }
+    }
 
-    const files = await vscode.workspace.findFiles(pattern, '{' + config.get('ignorePatterns').join(',') + '}');
-    let checkedCount = 0;
-    let problemCount = 0;
+    const cancelled = await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: 'Luke Linter: Checking workspace',
+        cancellable: true
+    }, async (progress, token) => {
+        const increment = 100 / Math.max(files.length, 1);
+        let done = 0;
+        const finished = (filePath, findings) => {
+            if (findings) {
+                results.push({ filePath, findings });
+            }
+            done++;
+            progress.report({ increment, message: `${done} of ${files.length} files` });
+        };
 
-    for (const file of files) {
+        // Open documents may have unsaved edits
+        const jobs = [];
+        for (const file of files) {
+            const document = openDocuments.get(file.toString());
+            if (!document) {
+                const workspaceFolder = vscode.workspace.getWorkspaceFolder(file);
+                jobs.push({
+                    filePath: file.fsPath,
+                    root: workspaceFolder ? workspaceFolder.uri.fsPath : null,
+                    settingsLayers: settingsLayersFor(file)
+                });
+                continue;
+            }
+            if (token.isCancellationRequested) {
+                return true;
+            }
+            const findings = await analyzeDiagnostics(document, baselines);
+            finished(file.fsPath, findings && findings.map(finding => withLocation(document, finding)));
+        }
+
+        const controller = new AbortController();
+        token.onCancellationRequested(() => controller.abort());
         try {
-            const document = await vscode.workspace.openTextDocument(file);
-            await analyzeDiagnostics(document);
-            checkedCount++;
+            await lintInWorkers(jobs, {
+                signal: controller.signal,
+                onResult: result => {
+                    if (result.error) {
+                        console.error(`Error processing file ${result.filePath}:`, result.error);
+                        finished(result.filePath, null);
+                        return;
+                    }
+                    if (result.configError) {
+                        reportConfigError(result.configError);
+                    }
+                    // A config that cannot be used says nothing about what was fixed
+                    const findings = withoutFolderBaseline(baselines, result, rule => !result.configError
+                        && !EXAMPLE_RULES.includes(rule) && !result.disabledRules.includes(rule));
+                    diagnosticCollection.set(vscode.Uri.file(result.filePath), findings.map(toLocatedDiagnostic));
+                    finished(result.filePath, findings);
+                }
+            });
+        } catch (error) {
+            // Stop like a cancelled check, so the progress notification closes
+            console.error('Error checking workspace:', error);
+            failure = error;
+            return true;
+        }
+        return token.isCancellationRequested;
+    });
 
-            // Count problems for this file
-            const diagnostics = diagnosticCollection.get(document.uri) || [];
-            problemCount += diagnostics.length;
+    for (const [root, entry] of baselines) {
+        try {
+            // Files deleted or renamed since the baseline was created no longer need their entries
+            const pruned = entry.baseline && !cancelled && await pruneDeletedFiles(entry.baseline, root);
+            if (pruned && pruned.changed) {
+                entry.baseline = pruned.baseline;
+                entry.changed = true;
+            }
+            if (entry.changed) {
+                await writeBaseline(entry.path, entry.baseline);
+            }
         } catch (error) {
-            console.error(`Error processing file ${file.fsPath}:`, error);
+            console.error(`Error pruning ${entry.path}:`, error);
         }
     }
 
+    const summary = summarizeWorkspace(results);
+    showWorkspaceSummary(summary, files.length, failure ? 'failed' : cancelled ? 'cancelled' : 'complete');
+    const problemCount = results.reduce((sum, result) => sum + result.findings.length, 0);
+    if (failure) {
+        vscode.window.showErrorMessage(
+            `Workspace check failed after ${results.length} of ${files.length} files: ${failure.message}`,
+            'Show Summary'
+        ).then(choice => choice && outputChannel.show());
+        return;
+    }
+    if (cancelled) {
+        vscode.window.showWarningMessage(
+            `Workspace check cancelled: ${results.length} of ${files.length} files checked, ${problemCount} problems found`,
+            'Show Summary'
+        ).then(choice => choice && outputChannel.show());
+        return;
+    }
+
+    const reportPath = await writeWorkspaceReport(results);
     vscode.window.showInformationMessage(
-        `Workspace check complete: ${checkedCount} files checked, ${problemCount} problems found`
+        `Workspace check complete: ${results.length} files checked, ${problemCount} problems found` +
+        (reportPath ? `. Report written to ${reportPath}` : ''),
+        'Show Summary'
+    ).then(choice => choice && outputChannel.show());
+}
+
+/**
+ * Hide the findings of a file that are recorded in its workspace folder's baseline, as read by a workspace check
+ * @param {Map<string, Object>} baselines - Baseline entry per folder path: { path, baseline, changed };
+ *     pruned entries are kept there for writing once the check ends
+ * @param {Object} result - Lint result: { filePath, findings }
+ * @param {Function} isChecked - Tells whether the findings cover a rule ID
+ * @returns {Object[]} Findings not in the baseline
+ */
+function withoutFolderBaseline(baselines, result, isChecked) {
+    const workspaceFolder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(result.filePath));
+    const entry = workspaceFolder && baselines.get(workspaceFolder.uri.fsPath);
+    if (!entry || !entry.baseline) {
+        return result.findings;
+    }
+
+    const applied = applyBaseline(
+        entry.baseline,
+        [{ filePath: result.filePath, findings: result.findings }],
+        workspaceFolder.uri.fsPath,
+        isChecked
     );
+    if (applied.changed) {
+        entry.baseline = applied.baseline;
+        entry.changed = true;
+    }
+    return applied.results[0].findings;
+}
+
+/**
+ * Count the findings of a workspace check per workspace folder, directory and rule
+ * @param {Object[]} results - Results of the check: { filePath, findings }
+ * @returns {Object[]} Per folder, in folder order: { name, files, problems, rules: { [rule]: count },
+ *     directories }, where directories are { name, files, problems, rules } named and sorted
+ *     by their path relative to the folder, ending in a slash
+ */
+function summarizeWorkspace(results) {
+    const folders = new Map();
+    const count = (group, findings) => {
+        group.files++;
+        for (const finding of findings) {
+            const rule = finding.rule || 'unknown';
+            group.problems++;
+            group.rules[rule] = (group.rules[rule] || 0) + 1;
+        }
+    };
+
+    for (const result of results) {
+        const workspaceFolder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(result.filePath));
+        const name = workspaceFolder ? workspaceFolder.name : path.dirname(result.filePath);
+        if (!folders.has(name)) {
+            folders.set(name, { name, files: 0, problems: 0, rules: {}, directories: new Map() });
+        }
+        const folder = folders.get(name);
+        const directory = workspaceFolder
+            ? path.relative(workspaceFolder.uri.fsPath, path.dirname(result.filePath)).split(path.sep).join('/') || '.'
+            : '.';
+        if (!folder.directories.has(directory)) {
+            folder.directories.set(directory, { name: `${directory}/`, files: 0, problems: 0, rules: {} });
+        }
+        count(folder, result.findings);
+        count(folder.directories.get(directory), result.findings);
+    }
+
+    const order = (vscode.workspace.workspaceFolders || []).map(folder => folder.name);
+    return [...folders.values()]
+        .sort((a, b) => order.indexOf(a.name) - order.indexOf(b.name))
+        .map(folder => ({
+            ...folder,
+            directories: [...folder.directories.values()].sort((a, b) => a.name.localeCompare(b.name))
+        }));
+}
+
+/**
+ * Write the summary of a workspace check to the Luke Linter output channel
+ * @param {Object[]} summary - Folder summaries from summarizeWorkspace
+ * @param {number} total - Number of files the check was to lint
+ * @param {string} status - How the check ended: 'complete', 'cancelled' or 'failed'
+ */
+function showWorkspaceSummary(summary, total, status) {
+    const checked = summary.reduce((sum, folder) => sum + folder.files, 0);
+    const appendGroup = (group, indent) => {
+        outputChannel.appendLine(`${indent}${group.name}: ${group.problems} problems in ${group.files} files`);
+        const rules = Object.entries(group.rules).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+        for (const [rule, count] of rules) {
+            outputChannel.appendLine(`${indent}  ${rule}: ${count}`);
+        }
+    };
+
+    outputChannel.appendLine(`Workspace check ${status} at ${new Date().toLocaleString()}: ` +
+        `${checked} of ${total} files checked`);
+    for (const folder of summary) {
+        appendGroup(folder, '  ');
+        // Directories without problems would only repeat the file count
+        for (const directory of folder.directories.filter(directory => directory.problems > 0)) {
+            appendGroup(directory, '    ');
+        }
+    }
+    outputChannel.appendLine('');
+}
+
+/**
+ * Add 1-based line and column information to a finding
+ * @param {vscode.TextDocument} document - Document the finding belongs to
+ * @param {Object} finding - Finding produced by PropertyLinter.lintText
+ * @returns {Object} The finding with line, column, endLine and endColumn
+ */
+function withLocation(document, finding) {
+    const start = document.positionAt(finding.start);
+    const end = document.positionAt(finding.end);
+    return {
+        ...finding,
+        line: start.line + 1,
+        column: start.character + 1,
+        endLine: end.line + 1,
+        endColumn: end.character + 1
+    };
+}
+
+/**
+ * Write the workspace check results in the configured report format
+ * @param {Object[]} results - Lint results ({ filePath, findings })
+ * @returns {Promise<string|null>} Path of the written report, or null if reporting is disabled
+ */
+async function writeWorkspaceReport(results) {
+    const config = vscode.workspace.getConfiguration('lukeLinter');
+    const format = config.get('report.format');
+    if (!REPORT_FORMATS[format] || !vscode.workspace.workspaceFolders) {
+        return null;
+    }
+
+    const workspaceRoot = vscode.workspace.workspaceFolders[0].uri.fsPath;
+    const outputPath = path.resolve(
+        workspaceRoot,
+        config.get('report.outputPath') || `luke-linter-report${REPORT_FORMATS[format]}`
+    );
+
+    try {
+        await vscode.workspace.fs.writeFile(
+            vscode.Uri.file(outputPath),
+            Buffer.from(formatReport(format, results, workspaceRoot) + '\n', 'utf-8')
+        );
+        return outputPath;
+    } catch (error) {
+        vscode.window.showErrorMessage(`Failed to write report: ${error.message}`);
+        return null;
+    }
 }
 
 /**
@@ -196,7 +894,49 @@ async function checkWorkspace() {
  * @returns {string} The master formula text
  */
 function getMasterFormula() {
-    return `▽ = ⨍(⏵▷, τ𝑡, ⌬ⵣ, ↯〰⥂⥮, ☀♬⨳❄, eℰ∈∃, ⍨☯, Ψ?⍰⸮, ℳ⚖)`;
+    return MASTER_FORMULA;
+}
+
+/**
+ * Get the registry language of a document
+ * @param {vscode.TextDocument} document
+ * @returns {Object} Language definition from the linter's registry
+ */
+function languageOf(document) {
+    return linter.languages.resolve(document.fileName, document.languageId);
+}
+
+/**
+ * Check whether a document uses Python comment syntax
+ * @param {vscode.TextDocument} document
+ * @returns {boolean} True for Python documents
+ */
+function isPython(document) {
+    return languageOf(document).declarations === 'python';
+}
+
+/**
+ * Wrap template lines in the document's preferred comment syntax
+ * (the first comment style of its language: docstring, block or line comments)
+ * @param {vscode.TextDocument} document - Document the template is inserted into
+ * @param {string} body - Template lines without comment delimiters
+ * @param {string} [indent] - Indentation added to every non-empty line
+ * @returns {string} The comment block, ending with a newline
+ */
+function wrapComment(document, body, indent = '') {
+    return formatComment(languageOf(document), body, indent);
+}
+
+/**
+ * Find the Python declaration whose header contains a position
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Position} position
+ * @returns {Object|null} The declaration, or null if the position is not on a def/class header
+ */
+function pythonHeaderAt(document, position) {
+    const offset = document.offsetAt(position);
+    return python.parseDeclarations(document.getText())
+        .find(declaration => declaration.start <= offset && offset <= declaration.headerEnd) || null;
 }
 
 /**
@@ -208,18 +948,14 @@ async function addFileProperties(editor) {
         return;
     }
 
-    const template = `/*
-${getMasterFormula()}
+    const template = wrapComment(editor.document, `${getMasterFormula()}
 [[OPEN:author]]
 Your Name
 [[CLOSE:author]]
 
 [[OPEN:description]]
 Description of this file
-[[CLOSE:description]]
-*/
-
-`;
+[[CLOSE:description]]`) + '\n';
 
     await editor.edit(editBuilder => {
         editBuilder.insert(editor.selection.start, template);
@@ -228,6 +964,7 @@ Description of this file
 
 /**
  * Add function-level property template at cursor position
+ * In Python, a cursor on a def/class header inserts the template as its docstring.
  * @param {vscode.TextEditor} editor 
  */
 async function addFunctionProperties(editor) {
@@ -235,8 +972,7 @@ async function addFunctionProperties(editor) {
         return;
     }
 
-    const template = `/*
-${getMasterFormula()}
+    const body = `${getMasterFormula()}
 [[OPEN:description]]
 Description of what this function does
 [[CLOSE:description]]
@@ -251,16 +987,47 @@ Description of return value
 
 [[OPEN:example]]
 Usage example
-[[CLOSE:example]]
-*/
+[[CLOSE:example]]`;
 
-`;
+    const document = editor.document;
+    const header = isPython(document) ? pythonHeaderAt(document, editor.selection.start) : null;
+    if (header) {
+        const headerLine = document.lineAt(document.positionAt(header.headerEnd).line);
+        const docstring = wrapComment(document, body, ' '.repeat(header.bodyIndent));
+        await editor.edit(editBuilder => {
+            editBuilder.insert(headerLine.range.end, '\n' + docstring.replace(/\n$/, ''));
+        });
+        return;
+    }
 
     await editor.edit(editBuilder => {
-        editBuilder.insert(editor.selection.start, template);
+        editBuilder.insert(editor.selection.start, wrapComment(document, body) + '\n');
     });
 }
 
+/**
+ * Get the edit that adds the master formula at the start of an existing comment
+ * @param {vscode.TextDocument} document
+ * @param {{text: string, start: number}} comment - Comment from PropertyLinter
+ * @param {string} formula - The master formula
+ * @returns {{position: vscode.Position, text: string}} Where and what to insert
+ */
+function formulaInsertion(document, comment, formula) {
+    const start = document.positionAt(comment.start);
+    const indent = document.lineAt(start.line).text.match(/^\s*/)[0];
+
+    if (comment.type === 'line' || document.getText().charAt(comment.start) === '#') {
+        // Run of line comments: prepend another comment line with the same prefix
+        const lineStyle = languageOf(document).comments.find(style =>
+            style.type === 'line' && document.getText().startsWith(style.prefix, comment.start));
+        const prefix = lineStyle ? lineStyle.prefix : '#';
+        return { position: new vscode.Position(start.line, 0), text: `${indent}${prefix} ${formula}\n` };
+    }
+
+    // Block comment or docstring: add it after the opening line
+    return { position: start.translate(1, 0), text: `${indent}${formula}\n\n` };
+}
+
 /**
  * Add master formula to all functions and files in the document
  * @param {vscode.TextEditor} editor 
@@ -272,35 +1039,38 @@ async function addMasterFormula(editor) {
 
     const document = editor.document;
     const text = document.getText();
-    const linter = new PropertyLinter();
-    const functions = linter.findFunctions(text);
+    const functions = linter.findFunctions(text, document.fileName, document.languageId);
     const edits = new vscode.WorkspaceEdit();
     const formula = getMasterFormula();
+    const hasFormula = comment => comment.text.includes('masterFormula') || comment.text.includes(formula);
 
     // Add to file header if it doesn't have one
-    const firstComment = linter.getFirstComment(text);
+    const firstComment = linter.getFirstComment(text, document.fileName, document.languageId);
     if (!firstComment) {
         // No comment block exists, create a new one
         const position = new vscode.Position(0, 0);
-        edits.insert(document.uri, position, `/*\n${formula}\n*/\n\n`);
-    } else if (!firstComment.includes('masterFormula') && !firstComment.includes(formula)) {
+        edits.insert(document.uri, position, wrapComment(document, formula) + '\n');
+    } else if (!hasFormula(firstComment)) {
         // Comment block exists but no master formula, add it at the start of the block
-        const commentStart = document.positionAt(text.indexOf(firstComment));
-        const insertPos = commentStart.translate(1, 0); // After the /* line
-        edits.insert(document.uri, insertPos, formula + '\n\n');
+        const { position, text: insertText } = formulaInsertion(document, firstComment, formula);
+        edits.insert(document.uri, position, insertText);
     }
 
     // Add to each function if it doesn't have one
     for (const func of functions) {
-        if (func.commentBlock && !func.commentBlock.includes('masterFormula') && !func.commentBlock.includes(formula)) {
+        if (func.commentBlock && !hasFormula(func.commentBlock)) {
             // If function has a comment block but no master formula, add it at the start
-            const commentStart = document.positionAt(text.indexOf(func.commentBlock));
-            const insertPos = commentStart.translate(1, 0); // After the /* line
-            edits.insert(document.uri, insertPos, formula + '\n\n');
+            const { position, text: insertText } = formulaInsertion(document, func.commentBlock, formula);
+            edits.insert(document.uri, position, insertText);
+        } else if (!func.commentBlock && func.headerEnd !== undefined) {
+            // Python: add a docstring with master formula below the header
+            const headerLine = document.lineAt(document.positionAt(func.headerEnd).line);
+            const docstring = wrapComment(document, formula, ' '.repeat(func.bodyIndent));
+            edits.insert(document.uri, headerLine.range.end, '\n' + docstring.replace(/\n$/, ''));
         } else if (!func.commentBlock) {
             // If function has no comment block, add a new one with master formula
             const funcStart = document.positionAt(func.start);
-            edits.insert(document.uri, funcStart, `/*\n${formula}\n*/\n\n`);
+            edits.insert(document.uri, funcStart, wrapComment(document, formula) + '\n');
         }
     }
 
@@ -310,28 +1080,253 @@ async function addMasterFormula(editor) {
 }
 
 /**
- * Show the current property configuration
+ * Compute the conversion edits of a document with the configuration that applies to it
+ * @param {vscode.TextDocument} document - The document
+ * @param {Object} conversion - Entry of CONVERSIONS
+ * @param {vscode.Range} [range] - Only convert comments overlapping this range
+ * @returns {Promise<{edits: Object[], skipped: number}>} Edits with offsets into the document (see ./converter)
+ */
+function conversionEdits(document, conversion, range) {
+    return withLinter(async () => {
+        await loadDocumentConfig(document);
+        return conversion.convert(
+            document.getText(),
+            linter.languages.resolve(document.fileName, document.languageId),
+            linter.propertyConfig.docTags,
+            range && { start: document.offsetAt(range.start), end: document.offsetAt(range.end) }
+        );
+    });
+}
+
+/**
+ * Compute the conversion edits of a file that is not open, as saved on disk
+ * @param {vscode.Uri} file - The file
+ * @param {string} text - Content of the file
+ * @param {Object} conversion - Entry of CONVERSIONS
+ * @returns {Promise<{edits: Object[], skipped: number}>} Edits with offsets into the text (see ./converter)
+ */
+function fileConversionEdits(file, text, conversion) {
+    return withLinter(async () => {
+        await loadUriConfig(file);
+        return conversion.convert(text, linter.languages.resolve(file.fsPath), linter.propertyConfig.docTags);
+    });
+}
+
+/**
+ * Convert between doc comments and property blocks, showing the changes in the refactor preview first
+ * Workspace files that are not open are converted as saved on disk, in the same preview.
+ * @param {string} direction - Key of CONVERSIONS
+ * @param {string} target - 'document', 'selection' (comments overlapping the selections) or 'workspace'
+ */
+async function convertDocComments(direction, target) {
+    const conversion = CONVERSIONS[direction];
+    const editor = vscode.window.activeTextEditor;
+    if (target !== 'workspace' && !editor) {
+        return;
+    }
+
+    const edit = new vscode.WorkspaceEdit();
+    const metadata = { needsConfirmation: true, label: conversion.label };
+    // Several selections may overlap the same comment
+    const seen = new Set();
+    let skipped = 0;
+    const addEdits = (uri, toPosition, result) => {
+        for (const change of result.edits) {
+            const key = `${uri}:${change.start}`;
+            if (!seen.has(key)) {
+                seen.add(key);
+                edit.replace(uri, new vscode.Range(toPosition(change.start), toPosition(change.end)), change.newText, metadata);
+            }
+        }
+        skipped += result.skipped;
+    };
+    const addDocumentEdits = (document, result) => addEdits(document.uri, offset => document.positionAt(offset), result);
+
+    if (target === 'workspace') {
+        const files = await findWorkspaceFiles();
+        const openDocuments = new Map(vscode.workspace.textDocuments.map(document => [document.uri.toString(), document]));
+        const cancelled = await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: `Luke Linter: ${conversion.label}`,
+            cancellable: true
+        }, async (progress, token) => {
+            for (const file of files) {
+                if (token.isCancellationRequested) {
+                    return true;
+                }
+                try {
+                    const document = openDocuments.get(file.toString());
+                    if (document) {
+                        addDocumentEdits(document, await conversionEdits(document, conversion));
+                    } else {
+                        const text = Buffer.from(await vscode.workspace.fs.readFile(file)).toString('utf-8');
+                        addEdits(file, offset => {
+                            const { line, column } = positionAt(text, offset);
+                            return new vscode.Position(line - 1, column - 1);
+                        }, await fileConversionEdits(file, text, conversion));
+                    }
+                } catch (error) {
+                    console.error(`Error processing file ${file.fsPath}:`, error);
+                }
+                progress.report({ increment: 100 / files.length });
+            }
+            return false;
+        });
+        if (cancelled) {
+            return;
+        }
+    } else if (target === 'selection') {
+        for (const selection of editor.selections) {
+            addDocumentEdits(editor.document, await conversionEdits(editor.document, conversion, selection));
+        }
+    } else {
+        addDocumentEdits(editor.document, await conversionEdits(editor.document, conversion));
+    }
+
+    if (skipped > 0) {
+        vscode.window.showWarningMessage(
+            `${skipped} comment${skipped === 1 ? ' was' : 's were'} not converted because they ${conversion.skipReason}`
+        );
+    }
+    if (seen.size === 0) {
+        vscode.window.showInformationMessage(`No ${conversion.source} to convert`);
+        return;
+    }
+
+    await vscode.workspace.applyEdit(edit, { isRefactoring: true });
+}
+
+/**
+ * Export the properties of every workspace file as a documentation site
+ * Open documents are documented as shown in the editor, all other files as saved.
+ * The site is written to `lukeLinter.docs.outputPath` in the first workspace folder.
+ */
+async function exportDocumentation() {
+    const folders = vscode.workspace.workspaceFolders;
+    if (!folders || folders.length === 0) {
+        vscode.window.showErrorMessage('No workspace folder is open');
+        return;
+    }
+
+    const config = vscode.workspace.getConfiguration('lukeLinter');
+    const workspaceRoot = folders[0].uri.fsPath;
+    // Documented paths are relative to the directory holding every workspace folder
+    const root = folders.map(folder => folder.uri.fsPath).reduce((common, folderPath) => {
+        while (path.relative(common, folderPath).startsWith('..') && path.dirname(common) !== common) {
+            common = path.dirname(common);
+        }
+        return common;
+    });
+    const files = await findWorkspaceFiles();
+    const openDocuments = new Map(vscode.workspace.textDocuments.map(document => [document.uri.toString(), document]));
+    const entries = [];
+
+    const cancelled = await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: 'Luke Linter: Exporting documentation',
+        cancellable: true
+    }, async (progress, token) => {
+        for (const file of files) {
+            if (token.isCancellationRequested) {
+                return true;
+            }
+            try {
+                const document = openDocuments.get(file.toString());
+                const text = document ? document.getText() : Buffer.from(await vscode.workspace.fs.readFile(file)).toString('utf-8');
+                const workspaceFolder = vscode.workspace.getWorkspaceFolder(file);
+                const documentation = await withLinter(async () => {
+                    linter.settingsLayers = settingsLayersFor(file);
+                    await linter.loadProjectConfig(workspaceFolder.uri.fsPath, file.fsPath);
+                    if (linter.configError) {
+                        reportConfigError(linter.configError);
+                    }
+                    return documentText(text, file.fsPath, linter, document && document.languageId);
+                });
+                entries.push({ path: path.relative(root, file.fsPath).split(path.sep).join('/'), ...documentation });
+            } catch (error) {
+                console.error(`Error processing file ${file.fsPath}:`, error);
+            }
+            progress.report({ increment: 100 / files.length, message: `${entries.length} of ${files.length} files` });
+        }
+        return false;
+    });
+    if (cancelled) {
+        return;
+    }
+
+    let site;
+    try {
+        const templates = config.get('docs.templates');
+        site = await writeDocumentation(entries, {
+            outputDirectory: path.resolve(workspaceRoot, config.get('docs.outputPath') || 'luke-linter-docs'),
+            root,
+            format: config.get('docs.format'),
+            templatesDirectory: templates ? path.resolve(workspaceRoot, templates) : null,
+            title: vscode.workspace.name || folders[0].name
+        });
+    } catch (error) {
+        vscode.window.showErrorMessage(`Failed to export documentation: ${error.message}`);
+        return;
+    }
+
+    const choice = await vscode.window.showInformationMessage(
+        `Documentation of ${entries.length} file${entries.length === 1 ? '' : 's'} exported to ${path.dirname(site.index)}`,
+        'Open Index'
+    );
+    if (choice) {
+        vscode.commands.executeCommand('vscode.open', vscode.Uri.file(site.index));
+    }
+}
+
+/**
+ * Show the configuration that applies to the active document, and where each value came from
  */
 async function showPropertyConfig() {
     const config = vscode.workspace.getConfiguration('lukeLinter');
-    const customProperties = config.get('customProperties');
+    const editor = vscode.window.activeTextEditor;
+    const { propertyConfig, configSources, configFiles, configError } = await withLinter(async () => {
+        if (editor) {
+            await loadDocumentConfig(editor.document);
+        } else {
+            const workspaceFolder = (vscode.workspace.workspaceFolders || [])[0];
+            linter.settingsLayers = settingsLayersFor(workspaceFolder && workspaceFolder.uri);
+            await linter.loadProjectConfig(workspaceFolder ? workspaceFolder.uri.fsPath : null);
+        }
+        return {
+            propertyConfig: linter.propertyConfig,
+            configSources: linter.configSources,
+            configFiles: linter.configFiles,
+            configError: linter.configError
+        };
+    });
+    const withSource = (key, value) => ({ value, source: configSources[key] || 'Built-in defaults' });
 
     // Create a formatted configuration display
     const configDisplay = {
-        "Default Properties": {
-            "File Level": linter.propertyConfig.scopes.file.map(tag => ({
-                name: tag,
-                ...linter.propertyConfig.properties[tag]
-            })),
-            "Function Level": linter.propertyConfig.scopes.function.map(tag => ({
-                name: tag,
-                ...linter.propertyConfig.properties[tag]
-            }))
-        },
-        "Custom Properties": customProperties,
+        "Configuration For": editor ? editor.document.fileName : 'Workspace',
+        "Precedence": 'Built-in defaults < user settings < workspace settings < workspace folder settings < ' +
+            '.luke-linter.json files (farthest directory first; presets before the file extending them; matching overrides after their file)',
+        "Configuration Files": configFiles,
+        ...(configError ? { "Configuration Error": configError.message } : {}),
+        "Scopes": Object.fromEntries(Object.entries(propertyConfig.scopes).map(([scope, tags]) =>
+            [scope, withSource(`scopes.${scope}`, tags)])),
+        "Scope Selectors": Object.fromEntries(Object.entries(propertyConfig.scopeSelectors || {}).map(([scope, selector]) =>
+            [scope, withSource(`scopeSelectors.${scope}`, selector)])),
+        "Properties": Object.fromEntries(Object.entries(propertyConfig.properties).map(([tag, property]) =>
+            [tag, Object.fromEntries(Object.entries(property).map(([field, value]) =>
+                [field, withSource(`properties.${tag}.${field}`, value)]))])),
+        "Returns Consistency": Object.fromEntries(Object.entries(propertyConfig.returnsConsistency || {}).map(([scope, checks]) =>
+            [scope, Object.fromEntries(Object.entries(checks).map(([check, value]) =>
+                [check, withSource(`returnsConsistency.${scope}.${check}`, value)]))])),
+        "Rules": Object.fromEntries(Object.entries(propertyConfig.rules || {}).map(([rule, value]) =>
+            [rule, withSource(`rules.${rule}`, value)])),
+        "Report Unused Suppressions": withSource('reportUnusedSuppressions', propertyConfig.reportUnusedSuppressions),
+        "Doc Tags": Object.fromEntries(Object.entries(propertyConfig.docTags || {}).map(([docTag, tag]) =>
+            [docTag, withSource(`docTags.${docTag}`, tag)])),
         "Settings": {
             "Enabled File Types": config.get('fileTypes'),
             "Ignore Patterns": config.get('ignorePatterns'),
+            "Use .gitignore": config.get('useGitignore'),
             "Linting Enabled": config.get('enableLinting')
         }
     };
@@ -368,15 +1363,22 @@ async function initProjectConfig() {
             // File doesn't exist yet, that's fine
         }
 
-        // Create new config by merging existing with defaults
+        // Create new config by merging existing with the built-in defaults, never with the
+        // effective config of a linted file, which includes settings and other config files
+        const defaults = linter.defaultConfig;
         const newConfig = {
+            ...existingConfig,
             properties: {
-                ...linter.propertyConfig.properties,
+                ...defaults.properties,
                 ...(existingConfig.properties || {})
             },
             scopes: {
-                ...linter.propertyConfig.scopes,
+                ...defaults.scopes,
                 ...(existingConfig.scopes || {})
+            },
+            returnsConsistency: {
+                ...defaults.returnsConsistency,
+                ...(existingConfig.returnsConsistency || {})
             }
         };
 
@@ -397,25 +1399,111 @@ async function initProjectConfig() {
     }
 }
 
+/**
+ * Drop cached configurations and re-analyze every open document
+ * A fixed or newly broken config should be reported again, and may apply to every open file.
+ */
+function configChanged() {
+    linter.clearConfigCache();
+    shownConfigErrors.clear();
+    vscode.workspace.textDocuments.forEach(document => {
+        analyzeDiagnostics(document);
+    });
+}
+
 function activate(context) {
     // Initialize diagnostic collection
     diagnosticCollection = vscode.languages.createDiagnosticCollection('property-linter');
     context.subscriptions.push(diagnosticCollection);
+    rulesDocumentation = vscode.Uri.joinPath(context.extensionUri, 'docs', 'rules.md');
+    exampleDiagnostics = vscode.languages.createDiagnosticCollection('luke-linter-examples');
+    context.subscriptions.push(exampleDiagnostics);
+    configDiagnostics = vscode.languages.createDiagnosticCollection('luke-linter-config');
+    context.subscriptions.push(configDiagnostics);
+    outputChannel = vscode.window.createOutputChannel('Luke Linter');
+    context.subscriptions.push(outputChannel);
 
     // Register document change listener
     context.subscriptions.push(
         vscode.workspace.onDidChangeTextDocument(event => {
-            analyzeDiagnostics(event.document);
+            if (event.contentChanges.length === 0) {
+                return;
+            }
+            exampleDiagnostics.delete(event.document.uri);
+            scheduleAnalysis(event.document);
+        })
+    );
+
+    // Custom properties in settings apply to every open document
+    context.subscriptions.push(
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('lukeLinter')) {
+                linter.clearConfigCache();
+                ignoreMatchers.clear();
+                vscode.workspace.textDocuments.forEach(document => {
+                    validateConfigDocument(document);
+                    analyzeDiagnostics(document);
+                });
+            }
         })
     );
 
     // Register document open listener
     context.subscriptions.push(
         vscode.workspace.onDidOpenTextDocument(document => {
+            validateConfigDocument(document);
             analyzeDiagnostics(document);
         })
     );
 
+    // Configs are cached until a config file changes on disk, whether saved here or by another program
+    const configWatcher = vscode.workspace.createFileSystemWatcher(`**/${CONFIG_FILE}`);
+    configWatcher.onDidCreate(configChanged);
+    configWatcher.onDidChange(configChanged);
+    configWatcher.onDidDelete(configChanged);
+    context.subscriptions.push(configWatcher);
+    // Ignore matchers likewise, whichever ignore file changes
+    const ignoreWatcher = vscode.workspace.createFileSystemWatcher(`**/{${GITIGNORE_FILE},${IGNORE_FILE}}`);
+    ignoreWatcher.onDidCreate(ignoreSettingsChanged);
+    ignoreWatcher.onDidChange(ignoreSettingsChanged);
+    ignoreWatcher.onDidDelete(ignoreSettingsChanged);
+    context.subscriptions.push(ignoreWatcher);
+
+    // Saving prunes baseline entries the edits fixed
+    context.subscriptions.push(
+        vscode.workspace.onDidSaveTextDocument(document => {
+            if (path.basename(document.fileName) === CONFIG_FILE) {
+                return;
+            }
+            // Presets live outside the watched config files
+            if (linter.usesConfigFile(document.fileName)) {
+                configChanged();
+                return;
+            }
+            analyzeDiagnostics(document);
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.workspace.onDidCloseTextDocument(document => {
+            const key = document.uri.toString();
+            clearTimeout(pendingAnalyses.get(key));
+            pendingAnalyses.delete(key);
+            analysisRuns.delete(key);
+            lintResults.delete(key);
+            configDiagnostics.delete(document.uri);
+        })
+    );
+
+    // Register quick fixes
+    context.subscriptions.push(
+        vscode.languages.registerCodeActionsProvider(
+            [{ scheme: 'file' }, { scheme: 'untitled' }],
+            new PropertyCodeActionProvider(document => lintResults.get(document.uri.toString())),
+            { providedCodeActionKinds: PropertyCodeActionProvider.providedCodeActionKinds }
+        )
+    );
+
     // Register commands
     context.subscriptions.push(
         vscode.commands.registerCommand('lukeLinter.checkDocument', () => {
@@ -458,8 +1546,29 @@ function activate(context) {
         })
     );
 
+    context.subscriptions.push(
+        vscode.commands.registerCommand('lukeLinter.runExamples', runDocumentExamples)
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('lukeLinter.createBaseline', createWorkspaceBaseline)
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('lukeLinter.exportDocumentation', exportDocumentation)
+    );
+
+    for (const [direction, name] of [['tags', 'ToPropertyTags'], ['docs', 'ToDocComments']]) {
+        context.subscriptions.push(
+            vscode.commands.registerCommand(`lukeLinter.convert${name}`, () => convertDocComments(direction, 'document')),
+            vscode.commands.registerCommand(`lukeLinter.convertSelection${name}`, () => convertDocComments(direction, 'selection')),
+            vscode.commands.registerCommand(`lukeLinter.convertWorkspace${name}`, () => convertDocComments(direction, 'workspace'))
+        );
+    }
+
     // Analyze all open documents
     vscode.workspace.textDocuments.forEach(document => {
+        validateConfigDocument(document);
         analyzeDiagnostics(document);
     });
 
@@ -848,6 +1957,9 @@ async function applyFoldState(editor) {
 }
 
 function deactivate() {
+    pendingAnalyses.forEach(timer => clearTimeout(timer));
+    pendingAnalyses.clear();
+
     if (testDecorationType) {
         testDecorationType.dispose();
     }
@@ -0,0 +1,333 @@
+const { formatComment, propertyLines, scopeTemplate } = require('./templates');
+
+/**
+ * Editor-independent quick fixes for linter findings.
+ * Fixes are lists of text edits ({ start, end, newText }) against the linted
+ * text, computed with the same configuration and language that produced the
+ * findings. The context passed to every function is:
+ *   { config, language, parseProperties }
+ */
+
+// Characters allowed before a tag on its line: indentation and comment markers
+const PREFIX_PATTERN = /^[\s*#/!;-]*$/;
+
+/**
+ * Get the offset of the start of the line containing an offset
+ * @param {string} text - The text
+ * @param {number} offset - The offset
+ * @returns {number} Line start offset
+ */
+function lineStart(text, offset) {
+    return text.lastIndexOf('\n', offset - 1) + 1;
+}
+
+/**
+ * Get the offset of the end of the line containing an offset (before the newline)
+ * @param {string} text - The text
+ * @param {number} offset - The offset
+ * @returns {number} Line end offset
+ */
+function lineEnd(text, offset) {
+    const index = text.indexOf('\n', offset);
+    return index === -1 ? text.length : index;
+}
+
+/**
+ * Get the indentation and comment marker that precede a tag on its line
+ * @param {string} text - The text
+ * @param {number} offset - Offset of the tag
+ * @returns {string} Prefix to repeat on inserted lines
+ */
+function prefixAt(text, offset) {
+    const prefix = text.substring(lineStart(text, offset), offset);
+    return PREFIX_PATTERN.test(prefix) ? prefix : prefix.match(/^\s*/)[0];
+}
+
+/**
+ * Get the line prefix for inserting into a comment block that has no tags yet
+ * @param {string} text - The text
+ * @param {{start: number, end: number}} block - The comment range
+ * @param {Object} language - Language definition from the registry
+ * @returns {{offset: number, newText: function(string[]): string}} Where and how to insert lines
+ */
+function emptyBlockInsertion(text, block, language) {
+    const raw = text.substring(block.start, block.end);
+    const style = language.comments.find(candidate => candidate.close && raw.endsWith(candidate.close));
+
+    if (!style) {
+        // Run of line comments: append lines with the same marker
+        const lastLine = lineStart(text, block.end);
+        const indent = text.substring(lastLine).match(/^\s*/)[0];
+        const lineStyle = language.comments.find(candidate =>
+            candidate.type === 'line' && text.startsWith(candidate.prefix, lastLine + indent.length));
+        const marker = lineStyle ? `${lineStyle.prefix} ` : '';
+        return {
+            offset: block.end,
+            newText: lines => lines.map(line => `\n${indent}${marker}${line}`).join('')
+        };
+    }
+
+    const closeStart = block.end - style.close.length;
+    const closeLine = lineStart(text, closeStart);
+    const beforeClose = text.substring(closeLine, closeStart);
+    if (beforeClose.trim() === '' && closeLine > block.start) {
+        // Closing delimiter on its own line: insert above it
+        const secondLine = raw.split('\n')[1] || '';
+        const usesMarker = style.linePrefix && secondLine.trim().startsWith(style.linePrefix);
+        const prefix = beforeClose + (usesMarker ? `${style.linePrefix} ` : '');
+        return {
+            offset: closeLine,
+            newText: lines => lines.map(line => `${prefix}${line}\n`).join('')
+        };
+    }
+
+    // Single-line comment: break it open before the closing delimiter
+    const indent = text.substring(lineStart(text, block.start), block.start).match(/^\s*/)[0];
+    return {
+        offset: closeStart,
+        newText: lines => `\n${lines.map(line => indent + line).join('\n')}\n${indent}`
+    };
+}
+
+/**
+ * Insert missing tags into an existing comment block, in scope order
+ * @param {string} text - The linted text
+ * @param {{start: number, end: number}} block - The comment range
+ * @param {string} scope - Scope the block is validated against
+ * @param {string[]} tags - Tags to insert
+ * @param {Object} context - Fix context ({ config, language, parseProperties })
+ * @returns {Object[]} Text edits
+ */
+function insertMissingTags(text, block, scope, tags, context) {
+    const order = context.config.scopes[scope] || [];
+    const rank = tag => (order.includes(tag) ? order.indexOf(tag) : order.length);
+    // Tags outside the scope may be removed by another fix, so they are never anchors
+    const present = context.parseProperties(text.substring(block.start, block.end))
+        .filter(property => order.includes(property.tag))
+        .map(property => ({ ...property, start: property.start + block.start, end: property.end + block.start }));
+    const insertions = new Map();
+
+    for (const tag of [...tags].sort((a, b) => rank(a) - rank(b))) {
+        const lines = propertyLines(tag, context.config);
+        const next = present.find(property => rank(property.tag) > rank(tag));
+        let offset;
+        let newText;
+
+        if (next) {
+            const prefix = prefixAt(text, next.start);
+            if (PREFIX_PATTERN.test(text.substring(lineStart(text, next.start), next.start))) {
+                offset = lineStart(text, next.start);
+                newText = added => added.map(line => `${prefix}${line}\n`).join('');
+            } else {
+                // Tag shares its line with the opening delimiter: insert in front of it
+                offset = next.start;
+                newText = added => added.map(line => `${line}\n${prefix}`).join('');
+            }
+        } else if (present.length > 0) {
+            const previous = present[present.length - 1];
+            const prefix = prefixAt(text, previous.start);
+            const end = lineEnd(text, previous.end);
+            offset = text.substring(previous.end, end).trim() === '' ? end : previous.end;
+            newText = added => added.map(line => `\n${prefix}${line}`).join('');
+        } else {
+            ({ offset, newText } = emptyBlockInsertion(text, block, context.language));
+        }
+
+        const insertion = insertions.get(offset) || { newText, lines: [] };
+        insertion.lines.push(...lines);
+        insertions.set(offset, insertion);
+    }
+
+    return [...insertions.entries()].map(([offset, insertion]) => ({
+        start: offset,
+        end: offset,
+        newText: insertion.newText(insertion.lines)
+    }));
+}
+
+/**
+ * Remove a tag, together with its lines when nothing else is on them
+ * @param {string} text - The linted text
+ * @param {Object} finding - Finding pointing at the tag
+ * @returns {Object[]} Text edits
+ */
+function removeTag(text, finding) {
+    const start = lineStart(text, finding.start);
+    const end = lineEnd(text, finding.end);
+    const before = text.substring(start, finding.start);
+    const after = text.substring(finding.end, end);
+
+    if (PREFIX_PATTERN.test(before) && after.trim() === '') {
+        return [{ start, end: Math.min(end + 1, text.length), newText: '' }];
+    }
+    return [{ start: finding.start, end: finding.end, newText: '' }];
+}
+
+/**
+ * Create a full property block for an undocumented declaration
+ * Docstring languages get the block as the first statement of the body.
+ * @param {string} text - The linted text
+ * @param {Object} finding - missing-function-block finding
+ * @param {Object} context - Fix context ({ config, language })
+ * @returns {Object[]} Text edits
+ */
+function createFunctionBlock(text, finding, context) {
+    const { declaration } = finding;
+    const body = scopeTemplate(finding.scope || 'function', context.config);
+
+    if (context.language.comments[0].type === 'docstring' && declaration.bodyIndent !== undefined) {
+        const offset = lineEnd(text, declaration.headerEnd);
+        const docstring = formatComment(context.language, body, ' '.repeat(declaration.bodyIndent));
+        return [{ start: offset, end: offset, newText: '\n' + docstring.replace(/\n$/, '') }];
+    }
+
+    const start = lineStart(text, declaration.start);
+    const indent = text.substring(start, declaration.start).match(/^\s*/)[0];
+    return [{ start, end: start, newText: formatComment(context.language, body, indent) }];
+}
+
+/**
+ * Create the file-level property block at the top of the file (after a shebang line)
+ * @param {string} text - The linted text
+ * @param {Object} finding - missing-file-block finding
+ * @param {Object} context - Fix context ({ config, language })
+ * @returns {Object[]} Text edits
+ */
+function createFileBlock(text, finding, context) {
+    const offset = text.startsWith('#!') ? Math.min(lineEnd(text, 0) + 1, text.length) : 0;
+    const block = formatComment(context.language, scopeTemplate(finding.scope || 'file', context.config)) + '\n';
+    return [{ start: offset, end: offset, newText: block }];
+}
+
+/**
+ * Check whether two findings belong to the same comment block
+ * @param {Object} a - A finding
+ * @param {Object} b - Another finding
+ * @returns {boolean} True if both have the same block range
+ */
+function sameBlock(a, b) {
+    return Boolean(a.block && b.block && a.block.start === b.block.start && a.block.end === b.block.end);
+}
+
+/**
+ * Compute the quick fixes available for one finding
+ * @param {string} text - The linted text
+ * @param {Object} finding - The finding to fix
+ * @param {Object[]} findings - All findings of the text, to offer block-wide fixes
+ * @param {Object} context - Fix context ({ config, language, parseProperties })
+ * @returns {Object[]} Fixes: { title, edits, preferred }
+ */
+function computeFixes(text, finding, findings, context) {
+    switch (finding.rule) {
+        case 'missing-property': {
+            const fixes = [{
+                title: `Add missing ${finding.property} property`,
+                edits: insertMissingTags(text, finding.block, finding.scope, [finding.property], context),
+                preferred: true
+            }];
+            const siblings = findings.filter(other =>
+                other.rule === 'missing-property' && other.scope === finding.scope && sameBlock(other, finding));
+            if (siblings.length > 1) {
+                fixes.push({
+                    title: 'Add all missing properties to this block',
+                    edits: insertMissingTags(text, finding.block, finding.scope, siblings.map(other => other.property), context),
+                    preferred: false
+                });
+            }
+            return fixes;
+        }
+        case 'missing-function-block':
+            return [{
+                title: `Add property block for "${finding.functionName}"`,
+                edits: createFunctionBlock(text, finding, context),
+                preferred: true
+            }];
+        case 'missing-file-block':
+            return [{
+                title: 'Add file-level property block',
+                edits: createFileBlock(text, finding, context),
+                preferred: true
+            }];
+        case 'missing-returns':
+            return [{
+                title: 'Add returns property',
+                edits: insertMissingTags(text, finding.block, finding.scope, ['returns'], context),
+                preferred: true
+            }];
+        case 'unexpected-returns':
+            return [{
+                title: 'Remove returns property',
+                edits: removeTag(text, finding),
+                preferred: true
+            }];
+        case 'mismatched-tag':
+            return [{
+                title: `Rename to [[CLOSE:${finding.expected}]]`,
+                edits: [{ start: finding.start, end: finding.end, newText: `[[CLOSE:${finding.expected}]]` }],
+                preferred: true
+            }];
+        case 'orphaned-close-tag':
+            return [{
+                title: `Remove [[CLOSE:${finding.property}]]`,
+                edits: removeTag(text, finding),
+                preferred: true
+            }];
+        case 'property-not-in-scope':
+            return [{
+                title: `Remove ${finding.property} property (not valid in ${finding.scope} scope)`,
+                edits: removeTag(text, finding),
+                preferred: true
+            }];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Compute the edits fixing every fixable finding of a text
+ * Missing tags are merged per block; overlapping edits are dropped.
+ * @param {string} text - The linted text
+ * @param {Object[]} findings - All findings of the text
+ * @param {Object} context - Fix context ({ config, language, parseProperties })
+ * @returns {Object[]} Non-overlapping text edits
+ */
+function computeFixAll(text, findings, context) {
+    const edits = [];
+    const handledBlocks = [];
+
+    for (const finding of findings) {
+        if (finding.rule === 'missing-property') {
+            if (handledBlocks.some(block => sameBlock({ block }, finding))) {
+                continue;
+            }
+            handledBlocks.push(finding.block);
+            // A comment can be both the file block and a function block: add each tag once
+            const tags = [...new Set(findings
+                .filter(other => other.rule === 'missing-property' && sameBlock(other, finding))
+                .map(other => other.property))];
+            edits.push(...insertMissingTags(text, finding.block, finding.scope, tags, context));
+        } else {
+            const [fix] = computeFixes(text, finding, findings, context);
+            if (fix) {
+                edits.push(...fix.edits);
+            }
+        }
+    }
+
+    const accepted = [];
+    for (const edit of edits.sort((a, b) => a.start - b.start || a.end - b.end)) {
+        const overlaps = accepted.some(other =>
+            edit.start < other.end && other.start < edit.end ||
+            (edit.start === edit.end && other.start < edit.start && edit.start < other.end) ||
+            (other.start === other.end && edit.start < other.start && other.start < edit.end));
+        if (!overlaps) {
+            accepted.push(edit);
+        }
+    }
+    return accepted;
+}
+
+module.exports = {
+    computeFixes,
+    computeFixAll
+};
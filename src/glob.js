@@ -0,0 +1,109 @@
+/**
+ * Minimal glob matching for ignore rules, config overrides and scope selectors.
+ * Patterns are matched against forward-slash paths relative to a root,
+ * the same way VS Code's findFiles interprets lukeLinter.ignorePatterns.
+ */
+
+/**
+ * Convert a glob pattern into a regular expression
+ * Supports `**`, `*`, `?`, `{a,b}` alternation and `[...]` character classes.
+ * A trailing `/**` also matches the directory itself, so `dist/**` prunes `dist`.
+ * @param {string} pattern - The glob pattern
+ * @returns {RegExp} Anchored regular expression for the pattern
+ */
+function globToRegExp(pattern) {
+    let glob = pattern.replace(/\\/g, '/').replace(/^\.\//, '');
+    let suffix = '';
+    if (glob.endsWith('/**')) {
+        glob = glob.slice(0, -3);
+        suffix = '(?:/.*)?';
+    }
+
+    let source = '';
+    let groupDepth = 0;
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        switch (char) {
+            case '*':
+                if (glob[i + 1] === '*') {
+                    const segmentStart = i === 0 || glob[i - 1] === '/';
+                    if (segmentStart && glob[i + 2] === '/') {
+                        // `**/` matches zero or more directories
+                        source += '(?:.*/)?';
+                        i += 2;
+                    } else {
+                        source += '.*';
+                        i += 1;
+                    }
+                } else {
+                    source += '[^/]*';
+                }
+                break;
+            case '?':
+                source += '[^/]';
+                break;
+            case '{':
+                groupDepth++;
+                source += '(?:';
+                break;
+            case '}':
+                if (groupDepth > 0) {
+                    groupDepth--;
+                    source += ')';
+                } else {
+                    source += '\\}';
+                }
+                break;
+            case ',':
+                source += groupDepth > 0 ? '|' : ',';
+                break;
+            case '[': {
+                const close = glob.indexOf(']', i + 1);
+                if (close === -1) {
+                    source += '\\[';
+                    break;
+                }
+                const body = glob.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\');
+                source += `[${body}]`;
+                i = close;
+                break;
+            }
+            default:
+                source += char.replace(/[.+^$()|\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${source}${suffix}$`);
+}
+
+// Regular expressions per pattern: overrides and scope selectors test the same few patterns against every file
+const compiledGlobs = new Map();
+
+/**
+ * Get the regular expression of a glob pattern, converting each pattern only once
+ * @param {string} pattern - The glob pattern
+ * @returns {RegExp} Anchored regular expression for the pattern (see globToRegExp)
+ */
+function compileGlob(pattern) {
+    if (!compiledGlobs.has(pattern)) {
+        compiledGlobs.set(pattern, globToRegExp(pattern));
+    }
+    return compiledGlobs.get(pattern);
+}
+
+/**
+ * Check whether a relative path matches any of the given glob patterns
+ * @param {string} relativePath - Path relative to the lint root
+ * @param {string[]} patterns - Glob patterns
+ * @returns {boolean} True if any pattern matches
+ */
+function matchesAny(relativePath, patterns) {
+    const normalized = relativePath.replace(/\\/g, '/');
+    return patterns.some(pattern => compileGlob(pattern).test(normalized));
+}
+
+module.exports = {
+    globToRegExp,
+    compileGlob,
+    matchesAny
+};
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp } = require('./glob');
+
+/**
+ * Ignore rules shared by the extension and the headless runner.
+ * Paths are ignored by, in increasing precedence:
+ * - .gitignore files, unless disabled
+ * - .lukelinterignore files, in .gitignore syntax
+ * - `ignorePatterns` (setting or --ignore): globs relative to the root
+ * Ignore files apply below their own directory. The last matching pattern
+ * wins and `!` re-includes; as in git, nothing inside an ignored directory
+ * can be re-included.
+ */
+
+const IGNORE_FILE = '.lukelinterignore';
+const GITIGNORE_FILE = '.gitignore';
+
+/**
+ * Compile a glob of `ignorePatterns`
+ * @param {string} pattern - Glob relative to the root, optionally starting with `!`
+ * @returns {Object} Rule: { base, negated, directoryOnly, regex }
+ */
+function compileGlob(pattern) {
+    const negated = pattern.startsWith('!');
+    return {
+        base: '',
+        negated,
+        directoryOnly: false,
+        regex: globToRegExp(negated ? pattern.slice(1) : pattern)
+    };
+}
+
+/**
+ * Compile the lines of an ignore file in .gitignore syntax
+ * Patterns containing a `/` other than a trailing one are relative to the
+ * file's directory; others match at any depth. A trailing `/` matches
+ * directories only.
+ * @param {string} text - Content of the ignore file
+ * @param {string} base - Directory of the file, relative to the root ('' for the root)
+ * @returns {Object[]} Rules: { base, negated, directoryOnly, regex }
+ */
+function compileIgnoreFile(text, base) {
+    const rules = [];
+    for (const line of text.split(/\r?\n/)) {
+        let pattern = line.replace(/(?<!\\)\s+$/, '');
+        if (!pattern || pattern.startsWith('#')) {
+            continue;
+        }
+
+        const negated = pattern.startsWith('!');
+        if (negated) {
+            pattern = pattern.slice(1);
+        } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+            pattern = pattern.slice(1);
+        }
+
+        const directoryOnly = pattern.endsWith('/');
+        pattern = pattern.replace(/\/+$/, '');
+        if (!pattern) {
+            continue;
+        }
+        const anchored = pattern.includes('/');
+        pattern = pattern.replace(/^\//, '');
+
+        rules.push({
+            base,
+            negated,
+            directoryOnly,
+            regex: globToRegExp(anchored ? pattern : `**/${pattern}`)
+        });
+    }
+    return rules;
+}
+
+/**
+ * Check whether a rule matches a path
+ * @param {Object} rule - Compiled rule
+ * @param {string} relative - Forward-slash path relative to the root
+ * @param {boolean} isDirectory - Whether the path is a directory
+ * @returns {boolean} True if the rule matches
+ */
+function ruleMatches(rule, relative, isDirectory) {
+    if (rule.directoryOnly && !isDirectory) {
+        return false;
+    }
+    if (!rule.base) {
+        return rule.regex.test(relative);
+    }
+    return relative.startsWith(`${rule.base}/`) && rule.regex.test(relative.slice(rule.base.length + 1));
+}
+
+/**
+ * Read the ignore files of a directory
+ * @param {string} directory - Absolute directory path
+ * @param {string} base - The directory relative to the root
+ * @param {boolean} useGitignore - Whether to read .gitignore
+ * @returns {Promise<{git: Object[], luke: Object[]}>} Rules of each file
+ */
+async function readIgnoreFiles(directory, base, useGitignore) {
+    const read = async name => {
+        try {
+            return compileIgnoreFile(await fs.promises.readFile(path.join(directory, name), 'utf8'), base);
+        } catch (error) {
+            return [];
+        }
+    };
+    return {
+        git: useGitignore ? await read(GITIGNORE_FILE) : [],
+        luke: await read(IGNORE_FILE)
+    };
+}
+
+/**
+ * Create the ignore matcher of a root directory
+ * Ignore files and directory results are cached, so one matcher should serve
+ * a whole run and a new one should be created when ignore files change.
+ * @param {string} root - Root directory (workspace folder or CLI root)
+ * @param {Object} [options] - { patterns: ignorePatterns globs, useGitignore: default true }
+ * @returns {{isIgnored: Function}} Matcher whose `isIgnored(filePath, isDirectory)` resolves to a boolean
+ */
+function createIgnoreMatcher(root, options = {}) {
+    const patternRules = (options.patterns || []).map(compileGlob);
+    const useGitignore = options.useGitignore !== false;
+    const ignoreFiles = new Map();
+    const directories = new Map();
+
+    const filesIn = base => {
+        if (!ignoreFiles.has(base)) {
+            ignoreFiles.set(base, readIgnoreFiles(path.join(root, base), base, useGitignore));
+        }
+        return ignoreFiles.get(base);
+    };
+
+    // The rules of every ignore file above the path apply, in precedence order
+    async function matchRules(relative, isDirectory) {
+        const segments = relative.split('/');
+        const git = [];
+        const luke = [];
+        for (let i = 0; i < segments.length; i++) {
+            const files = await filesIn(segments.slice(0, i).join('/'));
+            git.push(...files.git);
+            luke.push(...files.luke);
+        }
+
+        let ignored = false;
+        for (const rule of [...git, ...luke, ...patternRules]) {
+            if (ruleMatches(rule, relative, isDirectory)) {
+                ignored = !rule.negated;
+            }
+        }
+        return ignored;
+    }
+
+    const directoryIgnored = relative => {
+        if (!directories.has(relative)) {
+            directories.set(relative, matchRules(relative, true));
+        }
+        return directories.get(relative);
+    };
+
+    async function isIgnored(filePath, isDirectory = false) {
+        const relative = path.relative(root, filePath).split(path.sep).join('/');
+        if (!relative || relative.startsWith('../') || relative === '..' || path.isAbsolute(relative)) {
+            return false;
+        }
+
+        const segments = relative.split('/');
+        for (let i = 1; i < segments.length; i++) {
+            if (await directoryIgnored(segments.slice(0, i).join('/'))) {
+                return true;
+            }
+        }
+        return isDirectory ? directoryIgnored(relative) : matchRules(relative, false);
+    }
+
+    return { isIgnored };
+}
+
+module.exports = {
+    IGNORE_FILE,
+    GITIGNORE_FILE,
+    compileIgnoreFile,
+    createIgnoreMatcher
+};
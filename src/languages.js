@@ -0,0 +1,231 @@
+const path = require('path');
+
+/**
+ * Built-in language definitions.
+ * - extensions / languageIds: how files and editor documents map to a language
+ * - comments: comment styles understood by src/comments.js
+ * - strings: quote characters whose contents are never scanned for comments
+ * - declarations: 'javascript' or 'python' for the dedicated parsers, or a list
+ *   of { pattern, kind, flags } matchers whose `name` group is the declaration
+ *   name and whose optional `export` group marks it as exported
+ * Projects can add or override languages under `languages` in .luke-linter.json.
+ */
+const C_BLOCK = { type: 'block', open: '/*', close: '*/', linePrefix: '*' };
+const NOT_A_KEYWORD = '(?!(?:if|for|while|switch|catch|return|new|else|throw|await|typeof)\\b)';
+
+const BUILTIN_LANGUAGES = {
+    javascript: {
+        extensions: ['.js', '.mjs', '.cjs', '.jsx'],
+        languageIds: ['javascript', 'javascriptreact'],
+        comments: [C_BLOCK],
+        strings: ['"', '\'', '`'],
+        declarations: 'javascript'
+    },
+    typescript: {
+        extensions: ['.ts', '.mts', '.cts', '.tsx'],
+        languageIds: ['typescript', 'typescriptreact'],
+        comments: [C_BLOCK],
+        strings: ['"', '\'', '`'],
+        declarations: 'javascript'
+    },
+    python: {
+        extensions: ['.py', '.pyi'],
+        languageIds: ['python'],
+        comments: [
+            { type: 'docstring', open: '"""', close: '"""' },
+            { type: 'docstring', open: '\'\'\'', close: '\'\'\'' },
+            { type: 'line', prefix: '#' }
+        ],
+        strings: ['"', '\''],
+        declarations: 'python'
+    },
+    go: {
+        extensions: ['.go'],
+        languageIds: ['go'],
+        comments: [C_BLOCK, { type: 'line', prefix: '//' }],
+        strings: ['"', '`'],
+        declarations: [
+            { pattern: '^func\\s+\\([^)]*\\)\\s*(?<export>(?=[A-Z]))?(?<name>\\w+)', kind: 'method' },
+            { pattern: '^func\\s+(?<export>(?=[A-Z]))?(?<name>\\w+)', kind: 'function' },
+            { pattern: '^type\\s+(?<export>(?=[A-Z]))?(?<name>\\w+)\\s+(?:struct|interface)\\b', kind: 'class' }
+        ]
+    },
+    rust: {
+        extensions: ['.rs'],
+        languageIds: ['rust'],
+        comments: [C_BLOCK, { type: 'line', prefix: '///' }, { type: 'line', prefix: '//!' }],
+        strings: ['"'],
+        declarations: [
+            {
+                pattern: '^\\s*(?<export>pub(?:\\([^)]*\\))?\\s+)?(?:const\\s+)?(?:async\\s+)?(?:unsafe\\s+)?(?:extern\\s+"[^"]*"\\s+)?fn\\s+(?<name>\\w+)',
+                kind: 'function'
+            },
+            { pattern: '^\\s*(?<export>pub(?:\\([^)]*\\))?\\s+)?(?:struct|enum|trait|union)\\s+(?<name>\\w+)', kind: 'class' }
+        ]
+    },
+    java: {
+        extensions: ['.java'],
+        languageIds: ['java'],
+        comments: [C_BLOCK],
+        strings: ['"', '\''],
+        declarations: [
+            {
+                pattern: '^\\s*(?<export>public\\s+)?(?:(?:protected|private|static|final|abstract|sealed|non-sealed|strictfp)\\s+)*(?:class|interface|enum|record)\\s+(?<name>\\w+)',
+                kind: 'class'
+            },
+            {
+                pattern: `^\\s*${NOT_A_KEYWORD}(?<export>public\\s+)?(?:(?:protected|private|static|final|abstract|synchronized|native|default)\\s+)*(?:<[^>]+>\\s+)?[\\w<>\\[\\],.?]+\\s+${NOT_A_KEYWORD}(?<name>\\w+)\\s*\\([^)]*\\)\\s*(?:throws\\s+[\\w.,\\s]+)?\\{`,
+                kind: 'method'
+            }
+        ]
+    },
+    csharp: {
+        extensions: ['.cs'],
+        languageIds: ['csharp'],
+        comments: [C_BLOCK, { type: 'line', prefix: '///' }],
+        strings: ['"', '\''],
+        declarations: [
+            {
+                pattern: '^\\s*(?<export>public\\s+)?(?:(?:internal|protected|private|static|sealed|abstract|partial|readonly)\\s+)*(?:class|interface|struct|enum|record)\\s+(?<name>\\w+)',
+                kind: 'class'
+            },
+            {
+                pattern: `^\\s*${NOT_A_KEYWORD}(?<export>public\\s+)?(?:(?:internal|protected|private|static|virtual|override|abstract|sealed|async|extern|unsafe|new)\\s+)*[\\w<>\\[\\],.?]+\\s+${NOT_A_KEYWORD}(?<name>\\w+)\\s*(?:<[^>]+>)?\\s*\\([^)]*\\)\\s*(?:where\\s+[^{]+)?(?:\\{|=>)`,
+                kind: 'method'
+            }
+        ]
+    },
+    ruby: {
+        extensions: ['.rb'],
+        languageIds: ['ruby'],
+        comments: [{ type: 'line', prefix: '#' }, { type: 'block', open: '=begin', close: '=end' }],
+        strings: ['"', '\''],
+        declarations: [
+            { pattern: '^\\s*def\\s+(?:self\\.)?(?<name>[\\w?!=]+)', kind: 'function' },
+            { pattern: '^\\s*(?:class|module)\\s+(?<name>[\\w:]+)', kind: 'class' }
+        ]
+    },
+    shell: {
+        extensions: ['.sh', '.bash', '.zsh'],
+        languageIds: ['shellscript'],
+        comments: [{ type: 'line', prefix: '#' }],
+        strings: ['"', '\''],
+        declarations: [
+            { pattern: '^\\s*function\\s+(?<name>[\\w.:-]+)', kind: 'function' },
+            { pattern: '^\\s*(?<name>[\\w.:-]+)\\s*\\(\\)', kind: 'function' }
+        ]
+    },
+    sql: {
+        extensions: ['.sql'],
+        languageIds: ['sql'],
+        comments: [C_BLOCK, { type: 'line', prefix: '--' }],
+        strings: ['\''],
+        declarations: [
+            {
+                pattern: '^\\s*create\\s+(?:or\\s+replace\\s+)?(?:function|procedure)\\s+(?<name>[\\w."]+)',
+                kind: 'function',
+                flags: 'i'
+            }
+        ]
+    },
+    html: {
+        extensions: ['.html', '.htm'],
+        languageIds: ['html'],
+        comments: [{ type: 'block', open: '<!--', close: '-->' }],
+        strings: [],
+        declarations: []
+    },
+    vue: {
+        extensions: ['.vue'],
+        languageIds: ['vue'],
+        comments: [{ type: 'block', open: '<!--', close: '-->' }, C_BLOCK],
+        strings: [],
+        declarations: [
+            { pattern: '^\\s*(?:export\\s+)?(?:async\\s+)?function\\s+(?<name>\\w+)', kind: 'function' },
+            { pattern: `^\\s+(?:async\\s+)?${NOT_A_KEYWORD}(?<name>\\w+)\\s*\\([^)]*\\)\\s*\\{`, kind: 'method' }
+        ]
+    }
+};
+
+// Used for files no language claims: C-style comments and keyword matching
+const DEFAULT_LANGUAGE = {
+    id: 'default',
+    extensions: [],
+    languageIds: [],
+    comments: [C_BLOCK],
+    strings: [],
+    declarations: 'keywords'
+};
+
+/**
+ * Maps file extensions and editor language IDs to language definitions
+ */
+class LanguageRegistry {
+    /**
+     * @param {Object} [customLanguages] - `languages` section of .luke-linter.json
+     */
+    constructor(customLanguages = {}) {
+        this.languages = new Map();
+        this.byExtension = new Map();
+        this.byLanguageId = new Map();
+
+        for (const [id, definition] of Object.entries(BUILTIN_LANGUAGES)) {
+            this.register(id, definition);
+        }
+        for (const [id, definition] of Object.entries(customLanguages || {})) {
+            this.register(id, { ...this.languages.get(id), ...definition });
+        }
+    }
+
+    /**
+     * Add or replace a language definition
+     * @param {string} id - Language identifier
+     * @param {Object} definition - Language definition (see BUILTIN_LANGUAGES)
+     * @throws {Error} If a declaration pattern is not a valid regular expression
+     */
+    register(id, definition) {
+        const declarations = Array.isArray(definition.declarations)
+            ? definition.declarations.map(matcher => ({
+                ...matcher,
+                regex: new RegExp(matcher.pattern, `gm${(matcher.flags || '').replace(/[gm]/g, '')}`)
+            }))
+            : definition.declarations || 'keywords';
+
+        const language = {
+            id,
+            extensions: definition.extensions || [],
+            languageIds: definition.languageIds || [],
+            comments: definition.comments || DEFAULT_LANGUAGE.comments,
+            strings: definition.strings || [],
+            declarations
+        };
+
+        this.languages.set(id, language);
+        for (const extension of language.extensions) {
+            this.byExtension.set(extension.toLowerCase(), language);
+        }
+        for (const languageId of language.languageIds) {
+            this.byLanguageId.set(languageId, language);
+        }
+    }
+
+    /**
+     * Find the language of a file
+     * @param {string} [fileName] - File name or path
+     * @param {string} [languageId] - Editor language ID, preferred when known
+     * @returns {Object} The language definition (DEFAULT_LANGUAGE if none matches)
+     */
+    resolve(fileName, languageId) {
+        if (languageId && this.byLanguageId.has(languageId)) {
+            return this.byLanguageId.get(languageId);
+        }
+        const extension = path.extname(fileName || '').toLowerCase();
+        return this.byExtension.get(extension) || DEFAULT_LANGUAGE;
+    }
+}
+
+module.exports = {
+    BUILTIN_LANGUAGES,
+    DEFAULT_LANGUAGE,
+    LanguageRegistry
+};
@@ -0,0 +1,32 @@
+const fs = require('fs');
+const { parentPort } = require('worker_threads');
+const PropertyLinter = require('./linter');
+const { locateFinding } = require('./runner');
+
+/**
+ * Worker thread entry point of ./workerPool.
+ * Lints one file per message and posts back { filePath, findings,
+ * disabledRules, configError } with located findings and the rules the
+ * file's configuration turns off, or { filePath, error } when the file
+ * cannot be read. A config that cannot be used is reported alongside the
+ * findings of the built-in defaults, as in the editor.
+ */
+
+const linter = new PropertyLinter();
+
+parentPort.on('message', async job => {
+    try {
+        linter.settingsLayers = job.settingsLayers || [];
+        await linter.loadProjectConfig(job.root, job.filePath);
+        const text = await fs.promises.readFile(job.filePath, 'utf8');
+        const configError = linter.configError;
+        parentPort.postMessage({
+            filePath: job.filePath,
+            findings: linter.lintText(text, job.filePath).map(finding => locateFinding(text, finding)),
+            disabledRules: linter.disabledRules(),
+            configError: configError && { message: configError.message, configPath: configError.configPath }
+        });
+    } catch (error) {
+        parentPort.postMessage({ filePath: job.filePath, error: error.message });
+    }
+});
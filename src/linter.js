@@ -1,203 +1,869 @@
-const vscode = require('vscode');
+const path = require('path');
 const propertyConfig = require('./propertyConfig.json');
+const javascript = require('./parsers/javascript');
+const python = require('./parsers/python');
+const { LanguageRegistry } = require('./languages');
+const { scanComments, preferTagged } = require('./comments');
+const { compileValidators } = require('./validators');
+const { isDirectiveComment, isDirectiveGap, applySuppressions } = require('./suppressions');
+const { RULES, applyRuleSettings } = require('./rules');
+const { ConfigError, readProjectLayers, applyingOverrides, mergeLayers } = require('./config');
+const { compileScopeSelectors, selectScope } = require('./scopes');
+const { parseTags } = require('./tags');
+const { compileAliases, docProperties } = require('./docComments');
+
+// Offsets a declaration and its findings carry, relative to the declaration start when cached
+const OFFSET_FIELDS = new Set(['start', 'end', 'nameStart', 'nameEnd', 'bodyStart', 'bodyEnd', 'headerEnd']);
+// Cached function findings kept per configuration
+const FINDING_CACHE_SIZE = 5000;
+// Config chains and resolved configurations kept, each
+const CONFIG_CACHE_SIZE = 200;
+
+/**
+ * Get a value from a cache holding the most recently used entries, computing it when missing
+ * @param {Map} cache - The cache, in order of use
+ * @param {*} key - Key of the value
+ * @param {Function} compute - Computes the value
+ * @returns {*} The cached or computed value
+ */
+function cached(cache, key, compute) {
+    if (cache.has(key)) {
+        const value = cache.get(key);
+        cache.delete(key);
+        cache.set(key, value);
+        return value;
+    }
+    const value = compute();
+    cache.set(key, value);
+    if (cache.size > CONFIG_CACHE_SIZE) {
+        cache.delete(cache.keys().next().value);
+    }
+    return value;
+}
+
+/**
+ * Move a finding and the ranges it carries by a number of characters
+ * @param {Object} finding - Finding with absolute offsets
+ * @param {number} delta - Characters to move by
+ * @returns {Object} A shifted copy of the finding
+ */
+function shiftFinding(finding, delta) {
+    const shifted = { ...finding, start: finding.start + delta, end: finding.end + delta };
+    if (finding.block) {
+        shifted.block = { start: finding.block.start + delta, end: finding.block.end + delta };
+    }
+    if (finding.declaration) {
+        const { start, headerEnd } = finding.declaration;
+        shifted.declaration = {
+            ...finding.declaration,
+            start: start + delta,
+            headerEnd: headerEnd === undefined ? undefined : headerEnd + delta
+        };
+    }
+    return shifted;
+}
+
+/**
+ * Get the config error to report for an error raised while resolving a configuration
+ * @param {Error} error - The error
+ * @returns {ConfigError} The error itself if it is a ConfigError
+ */
+function asConfigError(error) {
+    return error instanceof ConfigError ? error : new ConfigError(`Invalid configuration: ${error.message}`);
+}
+
+// This module must stay free of any `vscode` import: it is the shared core
+// behind both the extension and the headless `luke-lint` command.
 
 class PropertyLinter {
     constructor() {
-        // Match property tags within multiline comments
-        this.propertyPattern = /\[\[OPEN:(\w+)\]\]([\s\S]*?)\[\[CLOSE:\1\]\]/g;
-        this.functionPattern = /(?:function|class|const|let|var)\s+(\w+)/g;
-        this.multilineCommentPattern = /\/\*[\s\S]*?\*\//g;
+        // Fallback declaration pattern for languages without a detector
+        this.functionPattern = /(function|class|const|let|var)\s+(\w+)/g;
 
         // Store default property configuration
         this.defaultConfig = propertyConfig;
         this.propertyConfig = propertyConfig;
+        // Editor settings applied below config files: [{ source, config }]
+        this.settingsLayers = [];
+        // Config files the current configuration was merged from, where each
+        // setting came from, and why it could not be loaded
+        this.configFiles = [];
+        this.configSources = {};
+        this.configError = null;
+        this.contentValidators = compileValidators(propertyConfig.properties);
+        this.docAliases = compileAliases(propertyConfig.properties);
+        this.scopeSelectors = compileScopeSelectors(propertyConfig.scopeSelectors);
+
+        // Comment syntax and declaration detectors per language
+        this.languages = new LanguageRegistry();
+        this.commentCache = null;
+
+        // Config layers read per directory, resolved configurations per config file set,
+        // applying overrides and settings, and the files they were read from
+        this.layerCache = new Map();
+        this.configCache = new Map();
+        this.cachedConfigFiles = new Set();
+        // Findings of unchanged declarations, per configuration (see reuseFindings)
+        this.findingCache = new WeakMap();
+    }
+
+    /**
+     * Load the project configuration that applies to a file or directory
+     * Every .luke-linter.json from the file's directory upwards applies over
+     * `settingsLayers`, see ./config. If a config cannot be used, the defaults
+     * apply and `configError` holds the reason. Config files are read once per
+     * directory, and configurations are resolved once per set of config files,
+     * applying overrides and settings, until clearConfigCache is called.
+     * @param {string|null} rootPath - Directory to search from when there is no file (workspace folder or CLI root)
+     * @param {string} [filePath] - Linted file: the search starts at its directory and its `overrides` apply
+     */
+    async loadProjectConfig(rootPath, filePath) {
+        const directory = filePath ? path.dirname(filePath) : rootPath;
+        const { layers, error } = await cached(this.layerCache, directory, () => this.readLayers(directory));
+        if (error) {
+            Object.assign(this, { ...this.defaultState(), configError: error });
+            return;
+        }
+        const key = JSON.stringify([layers.map(layer => layer.file), applyingOverrides(layers, filePath), this.settingsLayers]);
+        Object.assign(this, cached(this.configCache, key, () => this.resolveProjectConfig(layers, filePath)));
     }
 
     /**
-     * Load project-specific configuration if available
-     * @param {string} documentPath - Path to the current document
+     * Read the config files that apply to a directory
+     * @param {string|null} directory - Directory to start the config search from
+     * @returns {Promise<{layers: Object[], error: ConfigError|null}>} Config layers, or the
+     *     reason they cannot be read
      */
-    async loadProjectConfig(documentPath) {
+    async readLayers(directory) {
         try {
-            // Find the workspace folder containing this document
-            const workspaceFolder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(documentPath));
-            if (!workspaceFolder) {
-                this.propertyConfig = this.defaultConfig;
-                return;
+            const layers = await readProjectLayers(directory);
+            layers.forEach(layer => this.cachedConfigFiles.add(path.resolve(layer.file)));
+            return { layers, error: null };
+        } catch (error) {
+            if (error.configPath) {
+                this.cachedConfigFiles.add(path.resolve(error.configPath));
             }
+            return { layers: [], error: asConfigError(error) };
+        }
+    }
 
-            // Try to read project-specific config
-            const configPath = vscode.Uri.file(`${workspaceFolder.uri.fsPath}/.luke-linter.json`);
-            try {
-                const configFile = await vscode.workspace.fs.readFile(configPath);
-                const projectConfig = JSON.parse(configFile.toString());
-
-                // Merge project config with defaults
-                this.propertyConfig = {
-                    properties: {
-                        ...this.defaultConfig.properties,
-                        ...projectConfig.properties
-                    },
-                    scopes: {
-                        ...this.defaultConfig.scopes,
-                        ...projectConfig.scopes
-                    }
-                };
-            } catch (error) {
-                // If no project config found, use defaults
-                this.propertyConfig = this.defaultConfig;
-            }
+    /**
+     * Resolve the project configuration and everything compiled from it
+     * @param {Object[]} layers - Config layers from readLayers
+     * @param {string} [filePath] - Linted file, to select `overrides`
+     * @returns {Object} Linter state: propertyConfig, configFiles, configSources,
+     *     configError, contentValidators, docAliases, scopeSelectors and languages
+     */
+    resolveProjectConfig(layers, filePath) {
+        try {
+            const { config, files, sources } = mergeLayers(this.defaultConfig, layers, filePath, this.settingsLayers);
+            return {
+                propertyConfig: config,
+                configFiles: files,
+                configSources: sources,
+                configError: null,
+                contentValidators: compileValidators(config.properties),
+                docAliases: compileAliases(config.properties),
+                scopeSelectors: compileScopeSelectors(config.scopeSelectors),
+                languages: new LanguageRegistry(config.languages)
+            };
         } catch (error) {
-            console.error('Error loading project config:', error);
-            this.propertyConfig = this.defaultConfig;
+            // Lint with the defaults, but keep the error so callers can report it
+            return { ...this.defaultState(), configError: asConfigError(error) };
         }
     }
 
     /**
-     * Get the first multiline comment in the text
+     * Forget every cached configuration, e.g. after a config or preset changed
+     */
+    clearConfigCache() {
+        this.layerCache.clear();
+        this.configCache.clear();
+        this.cachedConfigFiles.clear();
+    }
+
+    /**
+     * Check whether a cached configuration was read from a file
+     * @param {string} filePath - Path of a config or preset file
+     * @returns {boolean} True if changing the file makes the cache stale
+     */
+    usesConfigFile(filePath) {
+        return this.cachedConfigFiles.has(path.resolve(filePath));
+    }
+
+    /**
+     * Get the linter state of the built-in defaults
+     * @returns {Object} State as returned by resolveProjectConfig
+     */
+    defaultState() {
+        return {
+            propertyConfig: this.defaultConfig,
+            configFiles: [],
+            configSources: {},
+            configError: null,
+            contentValidators: compileValidators(this.defaultConfig.properties),
+            docAliases: compileAliases(this.defaultConfig.properties),
+            scopeSelectors: compileScopeSelectors(this.defaultConfig.scopeSelectors),
+            languages: new LanguageRegistry()
+        };
+    }
+
+    /**
+     * Reset properties, validators and languages to the built-in defaults
+     */
+    useDefaultConfig() {
+        Object.assign(this, this.defaultState());
+    }
+
+    /**
+     * Get all comments of a text in its language's comment syntax
+     * The last scan is cached, since every declaration looks up its comment.
+     * @param {string} text - The text to scan
+     * @param {Object} language - Language definition from the registry
+     * @returns {Object[]} Comments: { text, start, end, type }
+     */
+    getComments(text, language) {
+        const cache = this.commentCache;
+        if (cache && cache.text === text && cache.language === language) {
+            return cache.comments;
+        }
+        // Comments holding only a suppression directive never carry properties
+        const comments = scanComments(text, language).filter(comment => !isDirectiveComment(comment.text));
+        this.commentCache = { text, language, comments };
+        return comments;
+    }
+
+    /**
+     * Get the first comment in the text (for Python, the module docstring or leading `#` block)
      * @param {string} text - The text to search
-     * @returns {Object|null} The comment match or null if none found
+     * @param {string} [fileName] - File name used to choose the comment syntax
+     * @param {string} [languageId] - Editor language ID, preferred over the file extension
+     * @returns {{text: string, start: number, end: number}|null} The comment or null if none found
      */
-    getFirstComment(text) {
-        const match = text.match(this.multilineCommentPattern);
-        return match ? match[0] : null;
+    getFirstComment(text, fileName, languageId) {
+        const language = this.languages.resolve(fileName, languageId);
+        if (language.declarations === 'python') {
+            return python.findModuleComment(text);
+        }
+
+        const comments = this.getComments(text, language);
+        return comments.length > 0 ? comments[0] : null;
     }
 
     /**
-     * Get the immediate multiline comment before a position
+     * Get the immediate comment before a position
      * @param {string} text - The text to search
      * @param {number} position - The position to look before
-     * @returns {Object|null} The comment match or null if none found
-     */
-    getCommentBeforePosition(text, position) {
-        // Get the text before the position
-        const textBefore = text.substring(0, position);
-
-        // Find all multiline comments
-        const comments = [...textBefore.matchAll(this.multilineCommentPattern)];
-
-        // Get the last comment that appears immediately before the position
-        // (only whitespace allowed between comment and position)
-        if (comments.length > 0) {
-            const lastComment = comments[comments.length - 1];
-            const textBetween = text.substring(lastComment.index + lastComment[0].length, position).trim();
-            if (textBetween === '') {
-                return lastComment[0];
+     * @param {string} [fileName] - File name used to choose the comment syntax
+     * @param {string} [languageId] - Editor language ID, preferred over the file extension
+     * @returns {{text: string, start: number, end: number}|null} The comment or null if none found
+     */
+    getCommentBeforePosition(text, position, fileName, languageId) {
+        const comments = this.getComments(text, this.languages.resolve(fileName, languageId));
+
+        // Binary search for the last comment ending at or before the position
+        let low = 0;
+        let high = comments.length - 1;
+        let last = -1;
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            if (comments[middle].end <= position) {
+                last = middle;
+                low = middle + 1;
+            } else {
+                high = middle - 1;
             }
         }
+
+        // Only whitespace and suppression directives allowed between comment and position
+        if (last !== -1 && isDirectiveGap(text.substring(comments[last].end, position))) {
+            return comments[last];
+        }
         return null;
     }
 
+    /**
+     * Get a docstring-style comment opening the body of a declaration
+     * @param {string} text - The text to search
+     * @param {number} headerEnd - Offset where the declaration header ends
+     * @param {Object} language - Language definition from the registry
+     * @returns {{text: string, start: number, end: number}|null} The docstring or null if none found
+     */
+    getDocstringAfter(text, headerEnd, language) {
+        const lineEnd = text.indexOf('\n', headerEnd);
+        if (lineEnd === -1) {
+            return null;
+        }
+        return this.getComments(text, language).find(comment =>
+            comment.type === 'docstring' &&
+            comment.start > lineEnd &&
+            text.substring(lineEnd, comment.start).trim() === '') || null;
+    }
+
     /**
      * Parse property tags from text
+     * Malformed tags are left out; parseBlock reports them.
      * @param {string} text - The text to parse
      * @returns {Object[]} Array of found properties with their locations
      */
     parseProperties(text) {
-        const properties = [];
-        let match;
-
-        while ((match = this.propertyPattern.exec(text)) !== null) {
-            properties.push({
-                tag: match[1],
-                content: match[2].trim(),
-                start: match.index,
-                end: match.index + match[0].length
-            });
-        }
+        return parseTags(text).properties;
+    }
 
-        return properties;
+    /**
+     * Parse a property block and turn its structural problems into findings
+     * In a JSDoc comment or docstring, properties of the scope with `aliases`
+     * may also be written as those JSDoc tags or docstring sections. A
+     * property written as a tag takes precedence over its aliases.
+     * @param {string} text - Text of the comment
+     * @param {string} scope - Scope the block is validated against
+     * @returns {{properties: Object[], findings: Object[]}} Properties, and findings with offsets relative to text
+     */
+    parseBlock(text, scope) {
+        const { properties, problems } = parseTags(text);
+        const tagged = new Set(properties.map(property => property.tag));
+        const scopeTags = this.propertyConfig.scopes[scope] || [];
+        const aliased = docProperties(text, this.docAliases, properties)
+            .filter(property => !tagged.has(property.tag) && scopeTags.includes(property.tag));
+        return {
+            properties: [...properties, ...aliased].sort((a, b) => a.start - b.start),
+            findings: problems.map(problem => ({ ...problem, severity: RULES[problem.rule].severity, scope }))
+        };
     }
 
     /**
-     * Find function declarations in text
+     * Find all declarations in text using the language's detector
+     * JavaScript and TypeScript files are parsed into an AST, Python files by
+     * indentation, registry languages by their declaration patterns; anything
+     * else falls back to keyword matching.
      * @param {string} text - The text to analyze
-     * @returns {Object[]} Array of found functions with their locations
+     * @param {string} [fileName] - File name used to choose the detector
+     * @param {string} [languageId] - Editor language ID, preferred over the file extension
+     * @returns {Object[]} Declarations: { kind, name, start, end, nameStart, nameEnd, exported, documentable }
      */
-    findFunctions(text) {
-        const functions = [];
+    findDeclarations(text, fileName, languageId) {
+        const language = this.languages.resolve(fileName, languageId);
+
+        if (language.declarations === 'javascript') {
+            return javascript.parseDeclarations(text, fileName);
+        }
+        if (language.declarations === 'python') {
+            return python.parseDeclarations(text);
+        }
+        if (Array.isArray(language.declarations)) {
+            return this.matchDeclarations(text, language);
+        }
+
+        const declarations = [];
         let match;
 
         while ((match = this.functionPattern.exec(text)) !== null) {
-            functions.push({
-                name: match[1],
+            const kind = match[1] === 'function' || match[1] === 'class' ? match[1] : 'variable';
+            const nameStart = match.index + match[0].length - match[2].length;
+            declarations.push({
+                kind,
+                name: match[2],
                 start: match.index,
                 end: match.index + match[0].length,
-                commentBlock: this.getCommentBeforePosition(text, match.index)
+                nameStart,
+                nameEnd: nameStart + match[2].length,
+                exported: false,
+                documentable: kind !== 'variable'
             });
         }
 
-        return functions;
+        return declarations;
+    }
+
+    /**
+     * Find declarations with a language's `declarations` patterns
+     * Matches that start inside a comment are skipped.
+     * @param {string} text - The text to analyze
+     * @param {Object} language - Language definition from the registry
+     * @returns {Object[]} Declarations sorted by position
+     */
+    matchDeclarations(text, language) {
+        const comments = this.getComments(text, language);
+        const inComment = offset => comments.some(comment => comment.start <= offset && offset < comment.end);
+        const declarations = [];
+        const seen = new Set();
+
+        for (const matcher of language.declarations) {
+            matcher.regex.lastIndex = 0;
+            let match;
+            while ((match = matcher.regex.exec(text)) !== null) {
+                if (match[0] === '') {
+                    matcher.regex.lastIndex++;
+                    continue;
+                }
+                const groups = match.groups || {};
+                const name = groups.name || match[1];
+                const start = match.index + (match[0].length - match[0].trimStart().length);
+                if (!name || seen.has(start) || inComment(start)) {
+                    continue;
+                }
+                seen.add(start);
+
+                const nameStart = match.index + match[0].lastIndexOf(name);
+                const kind = matcher.kind || 'function';
+                declarations.push({
+                    kind,
+                    name,
+                    start,
+                    end: match.index + match[0].length,
+                    nameStart,
+                    nameEnd: nameStart + name.length,
+                    headerEnd: match.index + match[0].length,
+                    exported: groups.export !== undefined,
+                    documentable: matcher.documentable !== undefined
+                        ? matcher.documentable
+                        : javascript.DOCUMENTABLE_KINDS.has(kind)
+                });
+            }
+        }
+
+        return declarations.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Find documentable declarations (functions, methods and classes) in text
+     * Each one gets the comment directly above it, or a docstring opening its
+     * body for languages with docstring comments.
+     * @param {string} text - The text to analyze
+     * @param {string} [fileName] - File name used to choose the detector
+     * @param {string} [languageId] - Editor language ID, preferred over the file extension
+     * @returns {Object[]} Array of found functions with their locations and comment blocks
+     */
+    findFunctions(text, fileName, languageId) {
+        const language = this.languages.resolve(fileName, languageId);
+        const hasDocstrings = language.comments.some(style => style.type === 'docstring');
+
+        return this.findDeclarations(text, fileName, languageId)
+            .filter(declaration => declaration.documentable)
+            .map(declaration => {
+                // Parsers that read docstrings supply the comment themselves
+                let commentBlock = declaration.comment;
+                if (commentBlock === undefined) {
+                    const before = this.getCommentBeforePosition(text, declaration.start, fileName, languageId);
+                    const after = hasDocstrings && declaration.headerEnd !== undefined
+                        ? this.getDocstringAfter(text, declaration.headerEnd, language)
+                        : null;
+                    commentBlock = preferTagged([after, before]);
+                }
+                return { ...declaration, commentBlock };
+            });
     }
 
     /**
      * Validate properties against configuration rules
      * @param {Object[]} properties - Array of found properties
-     * @param {string} scope - Scope to validate against ('file' or 'function')
-     * @returns {vscode.Diagnostic[]} Array of diagnostics
+     * @param {string} scope - Scope to validate against ('file', 'function' or a user-defined scope)
+     * @returns {Object[]} Array of findings with offsets relative to the parsed text
      */
     validateProperties(properties, scope) {
-        const diagnostics = [];
+        const findings = [];
         const foundTags = new Set(properties.map(p => p.tag));
-        const requiredTags = this.propertyConfig.scopes[scope].filter(
-            tag => this.propertyConfig.properties[tag].required
+        // Tags without a definition are reported in .luke-linter.json itself
+        const scopeTags = this.propertyConfig.scopes[scope] || [];
+        const requiredTags = scopeTags.filter(
+            tag => this.propertyConfig.properties[tag] && this.propertyConfig.properties[tag].required
         );
 
         // Check for missing required tags
         for (const tag of requiredTags) {
             if (!foundTags.has(tag)) {
-                diagnostics.push(new vscode.Diagnostic(
-                    new vscode.Range(0, 0, 0, 0),
-                    `Missing required ${tag} property in ${scope} scope`,
-                    this.getSeverity(this.propertyConfig.properties[tag].severity)
-                ));
+                findings.push({
+                    rule: 'missing-property',
+                    message: `Missing required ${tag} property in ${scope} scope`,
+                    severity: this.propertyConfig.properties[tag].severity,
+                    start: 0,
+                    end: 0,
+                    scope,
+                    property: tag
+                });
             }
         }
 
         // Validate existing tags
         for (const prop of properties) {
-            const config = this.propertyConfig.properties[prop.tag];
+            const config = this.propertyConfig.properties[prop.tag] || { severity: 'error' };
 
             // Check if property is valid for this scope
-            if (!this.propertyConfig.scopes[scope].includes(prop.tag)) {
-                diagnostics.push(new vscode.Diagnostic(
-                    new vscode.Range(0, prop.start, 0, prop.end),
-                    `Property ${prop.tag} is not valid in ${scope} scope`,
-                    vscode.DiagnosticSeverity.Error
-                ));
+            if (!scopeTags.includes(prop.tag)) {
+                findings.push({
+                    rule: 'property-not-in-scope',
+                    message: `Property ${prop.tag} is not valid in ${scope} scope`,
+                    severity: RULES['property-not-in-scope'].severity,
+                    start: prop.start,
+                    end: prop.end,
+                    scope,
+                    property: prop.tag
+                });
                 continue;
             }
 
             // Check content is not empty
             if (!prop.content.trim()) {
-                diagnostics.push(new vscode.Diagnostic(
-                    new vscode.Range(0, prop.start, 0, prop.end),
-                    `Empty content for ${prop.tag} property`,
-                    this.getSeverity(config.severity)
-                ));
+                findings.push({
+                    rule: 'empty-property',
+                    message: `Empty content for ${prop.tag} property`,
+                    severity: config.severity,
+                    start: prop.start,
+                    end: prop.end,
+                    scope,
+                    property: prop.tag
+                });
+                continue;
+            }
+
+            // Check content against the property's validators
+            const content = prop.content.split('\n').map(line => line.trim()).join('\n');
+            for (const validator of this.contentValidators.get(prop.tag) || []) {
+                if (!validator.test(content, prop)) {
+                    findings.push({
+                        rule: 'invalid-property-content',
+                        message: validator.message,
+                        severity: validator.severity,
+                        start: prop.start,
+                        end: prop.end,
+                        scope,
+                        property: prop.tag,
+                        validator: validator.name
+                    });
+                }
             }
         }
 
-        return diagnostics;
+        return findings;
+    }
+
+    /**
+     * Check that a function documents `returns` exactly when it returns a value
+     * Generators always count as returning a value; async functions only when
+     * they return one. Each check is set per scope under `returnsConsistency`
+     * to a severity or 'off'.
+     * @param {Object[]} properties - Properties parsed from the function's comment
+     * @param {Object} commentBlock - The function's comment ({ start })
+     * @param {Object} func - Declaration with `returns` (undefined when the detector cannot analyze it)
+     * @param {string} [scope] - Scope the function is validated against
+     * @returns {Object[]} Findings with absolute offsets
+     */
+    validateReturns(properties, commentBlock, func, scope = 'function') {
+        // User-defined scopes without settings of their own use those of `function`
+        const returnsConsistency = this.propertyConfig.returnsConsistency || {};
+        const settings = returnsConsistency[scope] || returnsConsistency.function;
+        if (!func.returns || !settings || !(this.propertyConfig.scopes[scope] || []).includes('returns')) {
+            return [];
+        }
+
+        const returnsValue = func.returns.value || func.returns.generator;
+        const property = properties.find(p => p.tag === 'returns');
+        const kind = func.kind === 'arrow' ? 'function' : func.kind;
+        const label = `${kind.charAt(0).toUpperCase()}${kind.slice(1)} "${func.name}"`;
+
+        if (returnsValue && !property && settings.missing && settings.missing !== 'off') {
+            return [{
+                rule: 'missing-returns',
+                message: func.returns.generator
+                    ? `${label} is a generator but has no returns property`
+                    : `${label} returns a value but has no returns property`,
+                severity: settings.missing,
+                start: func.nameStart,
+                end: func.nameEnd,
+                scope,
+                property: 'returns'
+            }];
+        }
+        if (!returnsValue && property && settings.unexpected && settings.unexpected !== 'off') {
+            return [{
+                rule: 'unexpected-returns',
+                message: `${label} does not return a value but has a returns property`,
+                severity: settings.unexpected,
+                start: commentBlock.start + property.start,
+                end: commentBlock.start + property.end,
+                scope,
+                property: 'returns'
+            }];
+        }
+        return [];
+    }
+
+    /**
+     * Get the parameters a params property documents
+     * Either its `- name: description` list entries (a leading `...`, `*` or
+     * `**` marks rest parameters), or its `name` attribute when the tag
+     * documents a single parameter: `[[OPEN:param name=a]]`.
+     * @param {Object} property - The property, with offsets relative to its comment
+     * @returns {Object[]} Entries: { name, start, end } with offsets relative to the comment
+     */
+    parseParamEntries(property) {
+        const { name } = property.attributes || {};
+        if (typeof name === 'string') {
+            return [{ name, start: property.start, end: property.contentStart }];
+        }
+        return (property.items || [])
+            .filter(item => item.key !== undefined && /^[A-Za-z_$][\w$]*$/.test(item.key))
+            .map(item => ({ name: item.key, start: item.keyStart, end: item.keyEnd }));
     }
 
     /**
-     * Convert severity string to VSCode DiagnosticSeverity
-     * @param {string} severity - Severity level from config
-     * @returns {vscode.DiagnosticSeverity} VSCode severity level
+     * Cross-check a function's params property against its signature
+     * Reports parameters missing from the documentation, documented parameters
+     * the signature does not have, and entries listed out of signature order.
+     * Parameters may be listed in `params` or documented one per `param` (or
+     * `params`) tag with a `name` attribute, when the scope lists that tag.
+     * @param {Object[]} properties - Properties parsed from the function's comment
+     * @param {Object} func - Declaration with `params` (undefined when the detector cannot read them)
+     * @param {string} [scope] - Scope the function is validated against
+     * @returns {Object[]} Array of findings with offsets relative to the parsed text
      */
-    getSeverity(severity) {
-        switch (severity.toLowerCase()) {
-            case 'error':
-                return vscode.DiagnosticSeverity.Error;
-            case 'warning':
-                return vscode.DiagnosticSeverity.Warning;
-            case 'info':
-                return vscode.DiagnosticSeverity.Information;
-            default:
-                return vscode.DiagnosticSeverity.Hint;
+    validateParams(properties, func, scope = 'function') {
+        const scopeTags = this.propertyConfig.scopes[scope] || [];
+        const documenting = properties.filter(p => (p.tag === 'params' || p.tag === 'param') && scopeTags.includes(p.tag));
+        if (!func.params || documenting.length === 0) {
+            return [];
+        }
+
+        const property = documenting[0];
+        const severity = (this.propertyConfig.properties[property.tag] || this.propertyConfig.properties.params).severity;
+        const signature = func.params.map(param => param.name);
+        const entries = documenting.flatMap(candidate => this.parseParamEntries(candidate));
+        const documented = new Set(entries.map(entry => entry.name));
+        const finding = (rule, message, range) => ({
+            rule,
+            message,
+            severity,
+            start: range.start,
+            end: range.end,
+            scope,
+            property: 'params'
+        });
+        const findings = [];
+
+        for (const name of signature.filter(param => !documented.has(param))) {
+            findings.push(finding(
+                'undocumented-param',
+                `Parameter "${name}" of "${func.name}" is not documented in params`,
+                property
+            ));
         }
+
+        for (const entry of entries.filter(candidate => !signature.includes(candidate.name))) {
+            findings.push(finding(
+                'unknown-param',
+                `Documented parameter "${entry.name}" is not in the signature of "${func.name}"`,
+                entry
+            ));
+        }
+
+        // Compare the documented order with the signature order of the same names;
+        // repeated entries are duplicate-property findings, not misplaced ones
+        const known = entries.filter((entry, index) => signature.includes(entry.name) &&
+            entries.findIndex(other => other.name === entry.name) === index);
+        const expected = signature.filter(name => documented.has(name));
+        const misplaced = known.find((entry, index) => entry.name !== expected[index]);
+        if (misplaced) {
+            findings.push(finding(
+                'param-order',
+                `Parameter "${misplaced.name}" is documented out of order (signature order: ${expected.join(', ')})`,
+                misplaced
+            ));
+        }
+
+        return findings;
+    }
+
+    /**
+     * Lint a whole document: the file-level block plus every function block.
+     * This is the single entry point shared by the extension and the CLI.
+     * Findings inside a comment carry its range as `block`; missing-block
+     * findings carry the undocumented `declaration`, for quick fixes.
+     * Findings silenced by luke-linter-disable comments or turned off under
+     * `rules` are left out; `rules` severities replace the defaults.
+     * @param {string} text - The document text
+     * @param {string} [fileName] - File name used to choose the language
+     * @param {string} [languageId] - Editor language ID, preferred over the file extension
+     * @returns {Object[]} Array of findings with absolute offsets into text
+     */
+    lintText(text, fileName, languageId) {
+        const findings = [];
+
+        // Get file-level properties from first comment block
+        const firstComment = this.getFirstComment(text, fileName, languageId);
+        const fileScope = this.scopeOf(
+            { kind: 'file', name: fileName ? path.basename(fileName) : '', start: 0, end: text.length },
+            text,
+            fileName
+        );
+        if (firstComment) {
+            const { properties: fileProperties, findings: structureFindings } = this.parseBlock(firstComment.text, fileScope);
+            for (const finding of [...structureFindings, ...this.validateProperties(fileProperties, fileScope)]) {
+                findings.push({
+                    ...this.offsetFinding(finding, firstComment.start),
+                    block: { start: firstComment.start, end: firstComment.end }
+                });
+            }
+        } else {
+            findings.push({
+                rule: 'missing-file-block',
+                message: 'Missing file-level properties block (including masterFormula)',
+                severity: RULES['missing-file-block'].severity,
+                start: 0,
+                end: 0,
+                scope: fileScope
+            });
+        }
+
+        // Find functions and validate their properties
+        for (const func of this.findFunctions(text, fileName, languageId)) {
+            const scope = this.scopeOf(func, text, fileName);
+            findings.push(...this.reuseFindings(func, [scope, fileName, languageId], () => this.lintFunction(func, scope)));
+        }
+
+        return this.filterFindings(text, fileName, languageId, findings);
+    }
+
+    /**
+     * Lint the property block of one function
+     * @param {Object} func - Function from findFunctions, with its commentBlock
+     * @param {string} scope - Scope the function is validated against
+     * @returns {Object[]} Findings with absolute offsets, before suppressions and rule settings
+     */
+    lintFunction(func, scope) {
+        if (!func.commentBlock) {
+            return [{
+                rule: 'missing-function-block',
+                message: `Missing property block for ${func.kind === 'arrow' ? 'function' : func.kind} "${func.name}" (including masterFormula)`,
+                severity: RULES['missing-function-block'].severity,
+                start: func.nameStart,
+                end: func.nameEnd,
+                scope,
+                functionName: func.name,
+                declaration: { start: func.start, headerEnd: func.headerEnd, bodyIndent: func.bodyIndent }
+            }];
+        }
+
+        // Only validate properties found in this specific comment block
+        const { properties: functionProperties, findings: structureFindings } = this.parseBlock(func.commentBlock.text, scope);
+        const functionFindings = [
+            ...structureFindings,
+            ...this.validateProperties(functionProperties, scope),
+            ...this.validateParams(functionProperties, func, scope)
+        ];
+        const absoluteFindings = [
+            ...functionFindings.map(finding => this.offsetFinding(finding, func.commentBlock.start)),
+            ...this.validateReturns(functionProperties, func.commentBlock, func, scope)
+        ];
+        return absoluteFindings.map(finding => ({
+            ...finding,
+            functionName: func.name,
+            block: { start: func.commentBlock.start, end: func.commentBlock.end }
+        }));
+    }
+
+    /**
+     * Get the findings of a function, reusing those of an identical function of an earlier run
+     * A function an edit did not touch has the same comment, signature and
+     * offsets relative to its start, so its findings only need to be shifted.
+     * @param {Object} func - Function from findFunctions
+     * @param {Array} context - Everything else the findings depend on (scope, file name, language)
+     * @param {Function} lint - Produces the findings when none can be reused
+     * @returns {Object[]} Findings with absolute offsets
+     */
+    reuseFindings(func, context, lint) {
+        let cache = this.findingCache.get(this.propertyConfig);
+        if (!cache) {
+            cache = new Map();
+            this.findingCache.set(this.propertyConfig, cache);
+        }
+
+        const key = JSON.stringify([context, func], (name, value) =>
+            (OFFSET_FIELDS.has(name) && typeof value === 'number' ? value - func.start : value));
+        let entry = cache.get(key);
+        if (entry) {
+            // Re-insert so the least recently used entries are evicted first
+            cache.delete(key);
+        } else {
+            entry = { start: func.start, findings: lint() };
+        }
+        cache.set(key, entry);
+        if (cache.size > FINDING_CACHE_SIZE) {
+            cache.delete(cache.keys().next().value);
+        }
+
+        return entry.findings.map(finding => shiftFinding(finding, func.start - entry.start));
+    }
+
+    /**
+     * Get the scope a declaration or the file block is validated against
+     * @param {Object} declaration - Declaration, or { kind: 'file', name, start, end } for the file block
+     * @param {string} text - The document text
+     * @param {string} [fileName] - File name, for `path` selectors
+     * @returns {string} The most specific matching scope (see ./scopes)
+     */
+    scopeOf(declaration, text, fileName) {
+        if (this.scopeSelectors.length === 0) {
+            return declaration.kind === 'file' ? 'file' : 'function';
+        }
+        // Parsers that do not find bodies leave the whole declaration to be measured
+        const bodyStart = declaration.bodyStart !== undefined ? declaration.bodyStart : declaration.start;
+        const bodyEnd = declaration.bodyEnd !== undefined ? declaration.bodyEnd : declaration.end;
+        return selectScope(this.scopeSelectors, {
+            kind: declaration.kind,
+            name: declaration.name,
+            exported: declaration.exported,
+            visibility: declaration.visibility,
+            lines: bodyEnd > bodyStart ? text.substring(bodyStart, bodyEnd).split('\n').length : 0,
+            filePath: fileName
+        });
+    }
+
+    /**
+     * Apply suppression comments and the `rules` section to findings of a text
+     * @param {string} text - The linted text
+     * @param {string} [fileName] - File name used to choose the comment syntax
+     * @param {string} [languageId] - Editor language ID, preferred over the file extension
+     * @param {Object[]} findings - Findings with absolute offsets into text
+     * @param {boolean} [reportUnused] - Report unused suppressions and invalid selectors (when the findings cover every rule)
+     * @returns {Object[]} The remaining findings
+     */
+    filterFindings(text, fileName, languageId, findings, reportUnused = true) {
+        const language = this.languages.resolve(fileName, languageId);
+        const rules = this.propertyConfig.rules || {};
+        const unusedSeverity = reportUnused
+            ? rules['unused-suppression'] || this.propertyConfig.reportUnusedSuppressions
+            : 'off';
+        const invalidSeverity = reportUnused ? RULES['invalid-suppression'].severity : 'off';
+        return applyRuleSettings(applySuppressions(text, language, findings, unusedSeverity, invalidSeverity), rules);
+    }
+
+    /**
+     * List the rules the current configuration turns off
+     * A rule is off when `rules` sets it to 'off', or when it is off by default
+     * and not turned on (unused-suppression also by `reportUnusedSuppressions`).
+     * @returns {string[]} IDs of the rules that report nothing
+     */
+    disabledRules() {
+        const rules = this.propertyConfig.rules || {};
+        const severityOf = rule => rules[rule]
+            || (rule === 'unused-suppression' && this.propertyConfig.reportUnusedSuppressions)
+            || RULES[rule].severity;
+        return Object.keys(RULES).filter(rule => severityOf(rule) === 'off');
+    }
+
+    /**
+     * Shift a finding from comment-relative to document-relative offsets
+     * @param {Object} finding - Finding produced by validateProperties
+     * @param {number} offset - Start of the comment within the document
+     * @returns {Object} A copy of the finding with adjusted offsets
+     */
+    offsetFinding(finding, offset) {
+        return {
+            ...finding,
+            start: offset + finding.start,
+            end: offset + finding.end
+        };
     }
 }
 
-module.exports = PropertyLinter; 
\ No newline at end of file
+module.exports = PropertyLinter;
@@ -0,0 +1,436 @@
+const path = require('path');
+const ts = require('typescript');
+
+// File extensions parsed with the TypeScript compiler, mapped to their script kind
+const SCRIPT_KINDS = {
+    '.js': ts.ScriptKind.JS,
+    '.mjs': ts.ScriptKind.JS,
+    '.cjs': ts.ScriptKind.JS,
+    '.jsx': ts.ScriptKind.JSX,
+    '.ts': ts.ScriptKind.TS,
+    '.mts': ts.ScriptKind.TS,
+    '.cts': ts.ScriptKind.TS,
+    '.tsx': ts.ScriptKind.TSX
+};
+
+// Declaration kinds that require a property block
+const DOCUMENTABLE_KINDS = new Set(['function', 'arrow', 'method', 'class']);
+
+/**
+ * Check whether a file can be parsed by this parser
+ * @param {string} fileName - File name or path
+ * @returns {boolean} True for JavaScript and TypeScript files
+ */
+function supports(fileName) {
+    return Object.prototype.hasOwnProperty.call(SCRIPT_KINDS, path.extname(fileName || '').toLowerCase());
+}
+
+/**
+ * Get the modifiers of a node, including decorators
+ * @param {ts.Node} node - The node
+ * @returns {ts.ModifierLike[]} The modifiers
+ */
+function modifiersOf(node) {
+    return (ts.canHaveModifiers(node) && ts.getModifiers(node)) || [];
+}
+
+/**
+ * Check whether a node carries the given modifier keyword
+ * @param {ts.Node} node - The node
+ * @param {ts.SyntaxKind} kind - Modifier keyword kind
+ * @returns {boolean} True if the modifier is present
+ */
+function hasModifier(node, kind) {
+    return modifiersOf(node).some(modifier => modifier.kind === kind);
+}
+
+/**
+ * Get the visibility a class member declares
+ * @param {ts.Node} node - The declaration node
+ * @returns {string|undefined} 'private' for `private`, `protected` and `#private` members,
+ *     'public' for `public` ones, undefined when the node declares none
+ */
+function declaredVisibility(node) {
+    if (hasModifier(node, ts.SyntaxKind.PrivateKeyword) || hasModifier(node, ts.SyntaxKind.ProtectedKeyword) ||
+        (node.name && ts.isPrivateIdentifier(node.name))) {
+        return 'private';
+    }
+    return hasModifier(node, ts.SyntaxKind.PublicKeyword) ? 'public' : undefined;
+}
+
+/**
+ * Get the range of the code in the body of a function or class
+ * @param {ts.Node} node - Function-like or class node
+ * @param {ts.SourceFile} sourceFile - The source file
+ * @returns {{start: number, end: number}|null} From the first statement or member to the end of the
+ *     last, empty when there are none; the expression of an arrow function; null without a body
+ */
+function bodyRange(node, sourceFile) {
+    let items;
+    if (node && ts.isClassLike(node)) {
+        items = node.members;
+    } else if (node && ts.isFunctionLike(node) && node.body) {
+        if (!ts.isBlock(node.body)) {
+            return { start: node.body.getStart(sourceFile), end: node.body.end };
+        }
+        items = node.body.statements;
+    } else {
+        return null;
+    }
+    return items.length > 0
+        ? { start: items[0].getStart(sourceFile), end: items[items.length - 1].end }
+        : { start: items.end, end: items.end };
+}
+
+/**
+ * Strip parentheses and type assertions around an expression
+ * @param {ts.Expression} expression - The expression
+ * @returns {ts.Expression} The inner expression
+ */
+function unwrap(expression) {
+    let current = expression;
+    while (current && (ts.isParenthesizedExpression(current) || ts.isAsExpression(current) ||
+        ts.isSatisfiesExpression(current) || ts.isTypeAssertionExpression(current))) {
+        current = current.expression;
+    }
+    return current;
+}
+
+/**
+ * Get the declaration kind implied by an initializer expression
+ * @param {ts.Expression} initializer - Initializer of a variable or property
+ * @returns {string|null} 'arrow', 'function', 'class' or null for any other value
+ */
+function initializerKind(initializer) {
+    const value = unwrap(initializer);
+    if (!value) {
+        return null;
+    }
+    if (ts.isArrowFunction(value)) {
+        return 'arrow';
+    }
+    if (ts.isFunctionExpression(value)) {
+        return 'function';
+    }
+    if (ts.isClassExpression(value)) {
+        return 'class';
+    }
+    return null;
+}
+
+/**
+ * Collect the identifiers bound by a parameter name, in source order
+ * Destructuring patterns contribute every name they bind.
+ * @param {ts.BindingName} name - Parameter name or binding pattern
+ * @param {string[]} names - Collected names
+ * @returns {string[]} The names
+ */
+function boundNames(name, names = []) {
+    if (ts.isIdentifier(name)) {
+        names.push(name.text);
+    } else {
+        for (const element of name.elements) {
+            if (!ts.isOmittedExpression(element)) {
+                boundNames(element.name, names);
+            }
+        }
+    }
+    return names;
+}
+
+/**
+ * Get the parameters of a function-like node
+ * @param {ts.Node} node - Function, method, constructor or arrow function
+ * @returns {Object[]|undefined} Parameters: { name, rest, destructured }, or undefined for other nodes
+ */
+function parametersOf(node) {
+    if (!node || !ts.isFunctionLike(node)) {
+        return undefined;
+    }
+    return node.parameters
+        .filter(parameter => !(ts.isIdentifier(parameter.name) && parameter.name.text === 'this'))
+        .flatMap(parameter => boundNames(parameter.name).map(name => ({
+            name,
+            rest: Boolean(parameter.dotDotDotToken),
+            destructured: !ts.isIdentifier(parameter.name)
+        })));
+}
+
+/**
+ * Analyze what a function-like node returns
+ * Only the function's own body counts: nested functions and classes are skipped.
+ * @param {ts.Node} node - Function, method, constructor or arrow function
+ * @returns {Object|undefined} { value, generator, async }, or undefined for other nodes and bodiless signatures
+ */
+function returnsOf(node) {
+    if (!node || !ts.isFunctionLike(node) || !node.body) {
+        return undefined;
+    }
+
+    const result = {
+        value: false,
+        generator: Boolean(node.asteriskToken),
+        async: hasModifier(node, ts.SyntaxKind.AsyncKeyword)
+    };
+
+    if (!ts.isBlock(node.body)) {
+        // Arrow function with an expression body
+        result.value = true;
+        return result;
+    }
+
+    const visit = child => {
+        if (result.value || ts.isFunctionLike(child) || ts.isClassLike(child)) {
+            return;
+        }
+        if (ts.isReturnStatement(child) && child.expression) {
+            result.value = true;
+            return;
+        }
+        ts.forEachChild(child, visit);
+    };
+    ts.forEachChild(node.body, visit);
+
+    return result;
+}
+
+/**
+ * Check whether an expression is `module.exports` or `exports`
+ * @param {ts.Expression} expression - The expression
+ * @returns {boolean} True for CommonJS export objects
+ */
+function isExportsObject(expression) {
+    if (ts.isIdentifier(expression)) {
+        return expression.text === 'exports';
+    }
+    return ts.isPropertyAccessExpression(expression) &&
+        ts.isIdentifier(expression.expression) &&
+        expression.expression.text === 'module' &&
+        expression.name.text === 'exports';
+}
+
+/**
+ * Collect names exported through export lists and CommonJS assignments
+ * @param {ts.SourceFile} sourceFile - The parsed file
+ * @returns {Set<string>} Local names that are exported
+ */
+function collectExportedNames(sourceFile) {
+    const names = new Set();
+
+    for (const statement of sourceFile.statements) {
+        if (ts.isExportDeclaration(statement) && !statement.moduleSpecifier &&
+            statement.exportClause && ts.isNamedExports(statement.exportClause)) {
+            for (const element of statement.exportClause.elements) {
+                names.add((element.propertyName || element.name).text);
+            }
+        } else if (ts.isExportAssignment(statement) && ts.isIdentifier(statement.expression)) {
+            names.add(statement.expression.text);
+        } else if (ts.isExpressionStatement(statement) && ts.isBinaryExpression(statement.expression) &&
+            statement.expression.operatorToken.kind === ts.SyntaxKind.EqualsToken) {
+            const { left } = statement.expression;
+            const right = unwrap(statement.expression.right);
+            const target = isExportsObject(left) ||
+                (ts.isPropertyAccessExpression(left) && isExportsObject(left.expression));
+
+            if (!target) {
+                continue;
+            }
+            if (ts.isIdentifier(right)) {
+                names.add(right.text);
+            } else if (isExportsObject(left) && ts.isObjectLiteralExpression(right)) {
+                for (const property of right.properties) {
+                    if (ts.isShorthandPropertyAssignment(property)) {
+                        names.add(property.name.text);
+                    } else if (ts.isPropertyAssignment(property) && ts.isIdentifier(unwrap(property.initializer))) {
+                        names.add(unwrap(property.initializer).text);
+                    }
+                }
+            }
+        }
+    }
+
+    return names;
+}
+
+/**
+ * Parse a JavaScript or TypeScript file into its declarations
+ * Only real declarations are reported, so keywords inside strings, comments
+ * and template literals never produce matches.
+ * @param {string} text - The file content
+ * @param {string} fileName - File name used to pick JS, JSX, TS or TSX parsing
+ * @returns {Object[]} Declarations: { kind, name, start, end, nameStart, nameEnd, bodyStart, bodyEnd, exported,
+ *     visibility, documentable, params, returns }, where visibility is the one a member declares
+ */
+function parseDeclarations(text, fileName) {
+    const scriptKind = SCRIPT_KINDS[path.extname(fileName || '').toLowerCase()] || ts.ScriptKind.JS;
+    const sourceFile = ts.createSourceFile(fileName || 'file.js', text, ts.ScriptTarget.Latest, true, scriptKind);
+    const exportedNames = collectExportedNames(sourceFile);
+    const declarations = [];
+
+    // `functionNode` is the function-like node whose parameters are documented
+    function add(kind, nameNode, rangeNode, exported, fallbackName, functionNode) {
+        const start = rangeNode.getStart(sourceFile);
+        const body = bodyRange(functionNode || (ts.isClassLike(rangeNode) ? rangeNode : null), sourceFile);
+        declarations.push({
+            kind,
+            name: nameNode ? nameText(nameNode) : fallbackName,
+            start,
+            end: rangeNode.end,
+            nameStart: nameNode ? nameNode.getStart(sourceFile) : start,
+            nameEnd: nameNode ? nameNode.end : start,
+            bodyStart: body ? body.start : undefined,
+            bodyEnd: body ? body.end : undefined,
+            exported,
+            visibility: declaredVisibility(rangeNode),
+            documentable: DOCUMENTABLE_KINDS.has(kind),
+            params: parametersOf(functionNode),
+            returns: returnsOf(functionNode)
+        });
+    }
+
+    function nameText(nameNode) {
+        return ts.isStringLiteral(nameNode) || ts.isNumericLiteral(nameNode)
+            ? nameNode.text
+            : nameNode.getText(sourceFile);
+    }
+
+    function isExported(node, name) {
+        return hasModifier(node, ts.SyntaxKind.ExportKeyword) || exportedNames.has(name);
+    }
+
+    function isPublicMember(member) {
+        return declaredVisibility(member) !== 'private';
+    }
+
+    // `context.exported` flows into class and object members,
+    // `context.declaredObject` marks object literals that are declarations
+    // (variable initializers, export targets) rather than call arguments.
+    function visit(node, context) {
+        let childContext = { exported: context.exported, declaredObject: false };
+
+        switch (node.kind) {
+            case ts.SyntaxKind.FunctionDeclaration: {
+                if (node.body) {
+                    const name = node.name ? node.name.text : 'default';
+                    add('function', node.name, node, isExported(node, name), 'default', node);
+                }
+                childContext.exported = false;
+                break;
+            }
+            case ts.SyntaxKind.ClassDeclaration: {
+                const name = node.name ? node.name.text : 'default';
+                const exported = isExported(node, name);
+                add('class', node.name, node, exported, 'default');
+                childContext.exported = exported;
+                break;
+            }
+            case ts.SyntaxKind.InterfaceDeclaration:
+                add('interface', node.name, node, isExported(node, node.name.text));
+                break;
+            case ts.SyntaxKind.TypeAliasDeclaration:
+                add('type', node.name, node, isExported(node, node.name.text));
+                break;
+            case ts.SyntaxKind.VariableStatement: {
+                const { declarations: variables } = node.declarationList;
+                for (const variable of variables) {
+                    if (!ts.isIdentifier(variable.name)) {
+                        visit(variable, childContext);
+                        continue;
+                    }
+                    const exported = isExported(node, variable.name.text);
+                    const rangeNode = variables.length === 1 ? node : variable;
+                    add(initializerKind(variable.initializer) || 'variable', variable.name, rangeNode, exported,
+                        undefined, unwrap(variable.initializer));
+                    if (variable.initializer) {
+                        visit(variable.initializer, { exported, declaredObject: true });
+                    }
+                }
+                return;
+            }
+            case ts.SyntaxKind.MethodDeclaration:
+            case ts.SyntaxKind.GetAccessor:
+            case ts.SyntaxKind.SetAccessor:
+            case ts.SyntaxKind.Constructor: {
+                const inClass = ts.isClassLike(node.parent);
+                if (node.body && (inClass || context.declaredObject)) {
+                    const nameNode = node.name ||
+                        node.getChildren(sourceFile).find(child => child.kind === ts.SyntaxKind.ConstructorKeyword);
+                    add('method', nameNode, node, context.exported && isPublicMember(node), undefined, node);
+                }
+                childContext.exported = false;
+                break;
+            }
+            case ts.SyntaxKind.PropertyDeclaration: {
+                const kind = initializerKind(node.initializer);
+                if (kind) {
+                    add(kind, node.name, node, context.exported && isPublicMember(node), undefined, unwrap(node.initializer));
+                }
+                break;
+            }
+            case ts.SyntaxKind.PropertyAssignment: {
+                const kind = initializerKind(node.initializer);
+                if (kind && context.declaredObject) {
+                    add(kind, node.name, node, context.exported, undefined, unwrap(node.initializer));
+                }
+                childContext = { exported: context.exported, declaredObject: context.declaredObject };
+                break;
+            }
+            case ts.SyntaxKind.ObjectLiteralExpression:
+            case ts.SyntaxKind.ParenthesizedExpression:
+            case ts.SyntaxKind.AsExpression:
+            case ts.SyntaxKind.SatisfiesExpression:
+                childContext.declaredObject = context.declaredObject;
+                break;
+            case ts.SyntaxKind.ExpressionStatement: {
+                const expression = node.expression;
+                if (!ts.isBinaryExpression(expression) || expression.operatorToken.kind !== ts.SyntaxKind.EqualsToken) {
+                    break;
+                }
+                const { left, right } = expression;
+                if (isExportsObject(left)) {
+                    // module.exports = { ... } or module.exports = function () {}
+                    const kind = initializerKind(right);
+                    if (kind) {
+                        add(kind, unwrap(right).name, node, true, 'module.exports', unwrap(right));
+                    }
+                    visit(right, { exported: true, declaredObject: true });
+                    return;
+                }
+                if (ts.isPropertyAccessExpression(left)) {
+                    // exports.foo = () => {} or Foo.prototype.bar = function () {}
+                    const kind = initializerKind(right);
+                    if (kind) {
+                        add(kind, left.name, node, isExportsObject(left.expression), undefined, unwrap(right));
+                    }
+                }
+                break;
+            }
+            case ts.SyntaxKind.ExportAssignment: {
+                const kind = initializerKind(node.expression);
+                if (kind) {
+                    add(kind, null, node, true, 'default', unwrap(node.expression));
+                }
+                visit(node.expression, { exported: true, declaredObject: true });
+                return;
+            }
+            case ts.SyntaxKind.ArrowFunction:
+            case ts.SyntaxKind.FunctionExpression:
+                childContext.exported = false;
+                break;
+            default:
+                break;
+        }
+
+        ts.forEachChild(node, child => visit(child, childContext));
+    }
+
+    visit(sourceFile, { exported: false, declaredObject: false });
+
+    return declarations.sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+    DOCUMENTABLE_KINDS,
+    supports,
+    parseDeclarations
+};
@@ -0,0 +1,511 @@
+const path = require('path');
+const { preferTagged } = require('../comments');
+const { isDirectiveComment, isDirectiveGap } = require('../suppressions');
+
+const DEF_PATTERN = /^(?:async\s+)?def\s+([A-Za-z_]\w*)/;
+const CLASS_PATTERN = /^class\s+([A-Za-z_]\w*)/;
+// Compound statements whose body may follow the header on the same line: `if x: return 1`
+const COMPOUND_PATTERN = /^(?:if|elif|else|for|while|try|except|finally|with|async\s+(?:for|with))\b/;
+
+/**
+ * Check whether a file can be parsed by this parser
+ * @param {string} fileName - File name or path
+ * @returns {boolean} True for Python files
+ */
+function supports(fileName) {
+    return ['.py', '.pyi'].includes(path.extname(fileName || '').toLowerCase());
+}
+
+/**
+ * Find the end of a string literal starting at a quote character
+ * @param {string} text - The source text
+ * @param {number} index - Offset of the opening quote
+ * @returns {number} Offset just past the closing quote (or end of text/line if unterminated)
+ */
+function skipString(text, index) {
+    const quote = text[index];
+    const triple = text.startsWith(quote.repeat(3), index);
+    const delimiter = triple ? quote.repeat(3) : quote;
+    let i = index + delimiter.length;
+
+    while (i < text.length) {
+        if (text[i] === '\\') {
+            i += 2;
+        } else if (text.startsWith(delimiter, i)) {
+            return i + delimiter.length;
+        } else if (!triple && text[i] === '\n') {
+            return i;
+        } else {
+            i++;
+        }
+    }
+    return text.length;
+}
+
+/**
+ * Split Python source into logical statements, string literals and comments
+ * Strings and bracketed continuation lines are skipped, so `def` inside a
+ * string never starts a statement.
+ * @param {string} text - The source text
+ * @returns {{statements: Object[], strings: Object[], comments: Object[]}} Scan result with offsets
+ */
+function scan(text) {
+    const statements = [];
+    const strings = [];
+    const comments = [];
+    let current = null;
+    let depth = 0;
+    let continuation = false;
+    let atLineStart = true;
+    let i = 0;
+
+    while (i < text.length) {
+        if (atLineStart) {
+            let j = i;
+            let indent = 0;
+            while (j < text.length && (text[j] === ' ' || text[j] === '\t')) {
+                indent += text[j] === '\t' ? 8 - (indent % 8) : 1;
+                j++;
+            }
+            const blank = j >= text.length || text[j] === '\n' || text[j] === '\r' || text[j] === '#';
+            if (depth === 0 && !continuation && !blank) {
+                current = { lineStart: i, start: j, end: j, indent };
+                statements.push(current);
+            }
+            continuation = false;
+            atLineStart = false;
+            i = j;
+            continue;
+        }
+
+        const char = text[i];
+        if (char === '#') {
+            const lineEnd = text.indexOf('\n', i);
+            const end = lineEnd === -1 ? text.length : lineEnd;
+            comments.push({ start: i, end: text[end - 1] === '\r' ? end - 1 : end });
+            i = end;
+        } else if (char === '\n') {
+            atLineStart = true;
+            i++;
+        } else if (char === '\\' && /^\r?\n/.test(text.substr(i + 1, 2))) {
+            continuation = true;
+            atLineStart = true;
+            i = text.indexOf('\n', i) + 1;
+        } else if (char === '"' || char === '\'') {
+            let start = i;
+            while (start > 0 && /[rRbBuUfF]/.test(text[start - 1]) && i - start < 2) {
+                start--;
+            }
+            if (start > 0 && /\w/.test(text[start - 1])) {
+                start = i;
+            }
+            const end = skipString(text, i);
+            strings.push({ start, end });
+            if (current) {
+                current.end = end;
+            }
+            i = end;
+        } else {
+            if ('([{'.includes(char)) {
+                depth++;
+            } else if (')]}'.includes(char)) {
+                depth = Math.max(0, depth - 1);
+            }
+            if (current && !/\s/.test(char)) {
+                current.end = i + 1;
+            }
+            i++;
+        }
+    }
+
+    return { statements, strings, comments };
+}
+
+/**
+ * Group full-line `#` comments into contiguous blocks
+ * @param {string} text - The source text
+ * @param {Object[]} comments - Comments from scan()
+ * @returns {Object[]} Blocks: { start, end, markers } where markers are the `#` offsets
+ */
+function groupCommentBlocks(text, comments) {
+    const blocks = [];
+    let block = null;
+
+    for (const comment of comments) {
+        const lineStart = text.lastIndexOf('\n', comment.start - 1) + 1;
+        if (text.substring(lineStart, comment.start).trim() !== '' ||
+            isDirectiveComment(text.substring(comment.start, comment.end))) {
+            // Trailing comment after code, or a suppression directive
+            block = null;
+            continue;
+        }
+
+        const previousLineEnd = lineStart - 1;
+        if (block && text.substring(block.end, previousLineEnd).trim() === '' &&
+            text.lastIndexOf('\n', previousLineEnd - 1) < block.end) {
+            block.end = comment.end;
+            block.markers.push(comment.start);
+        } else {
+            block = { start: comment.start, end: comment.end, markers: [comment.start] };
+            blocks.push(block);
+        }
+    }
+
+    return blocks;
+}
+
+/**
+ * Build the comment object for a `#` block, blanking the markers so tag
+ * content does not include them while offsets stay unchanged
+ * @param {string} text - The source text
+ * @param {Object} block - Block from groupCommentBlocks()
+ * @returns {{text: string, start: number, end: number}} The comment
+ */
+function blockComment(text, block) {
+    const chars = text.substring(block.start, block.end).split('');
+    for (const marker of block.markers) {
+        chars[marker - block.start] = ' ';
+    }
+    return { text: chars.join(''), start: block.start, end: block.end };
+}
+
+/**
+ * Get the docstring statement if the given statement is a lone string literal
+ * @param {Object} statement - Statement from scan()
+ * @param {Object[]} strings - Strings from scan()
+ * @param {string} text - The source text
+ * @returns {{text: string, start: number, end: number}|null} The docstring
+ */
+function docstringOf(statement, strings, text) {
+    if (!statement) {
+        return null;
+    }
+    const literal = strings.find(string => string.start === statement.start);
+    if (!literal || literal.end !== statement.end) {
+        return null;
+    }
+    return { text: text.substring(literal.start, literal.end), start: literal.start, end: literal.end };
+}
+
+/**
+ * Find the `#` block that ends right before an offset, with only whitespace
+ * and suppression directives between
+ * @param {string} text - The source text
+ * @param {Object[]} blocks - Blocks from groupCommentBlocks()
+ * @param {number} offset - Offset to look before
+ * @returns {Object|null} The comment for that block
+ */
+function blockBefore(text, blocks, offset) {
+    for (let i = blocks.length - 1; i >= 0; i--) {
+        if (blocks[i].end <= offset) {
+            return isDirectiveGap(text.substring(blocks[i].end, offset)) ? blockComment(text, blocks[i]) : null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Find the module-level property source: the module docstring or the leading `#` block
+ * @param {string} text - The source text
+ * @returns {{text: string, start: number, end: number}|null} The comment
+ */
+function findModuleComment(text) {
+    const { statements, strings, comments } = scan(text);
+    const blocks = groupCommentBlocks(text, comments);
+    const leadingBlock = blocks.length > 0 && text.substring(0, blocks[0].start).trim() === ''
+        ? blockComment(text, blocks[0])
+        : null;
+    const first = statements[0];
+    const docstring = first && first.indent === 0 ? docstringOf(first, strings, text) : null;
+
+    return preferTagged([docstring, leadingBlock]);
+}
+
+/**
+ * Parse Python source into its `def`, `async def` and `class` declarations
+ * Each declaration carries its property source in `comment`: the docstring, or
+ * the `#` block directly above the declaration and its decorators.
+ * @param {string} text - The source text
+ * @returns {Object[]} Declarations: { kind, name, start, end, nameStart, nameEnd, bodyStart, bodyEnd, exported, documentable,
+ *     comment, headerEnd, bodyIndent, params, returns }
+ */
+function parseDeclarations(text) {
+    const { statements, strings, comments } = scan(text);
+    const blocks = groupCommentBlocks(text, comments);
+    const allNames = findDunderAll(text, statements);
+    const declarations = [];
+    const stack = [];
+
+    statements.forEach((statement, index) => {
+        while (stack.length > 0 && stack[stack.length - 1].indent >= statement.indent) {
+            stack.pop();
+        }
+
+        const source = text.substring(statement.start, statement.end);
+        const defMatch = source.match(DEF_PATTERN);
+        const classMatch = defMatch ? null : source.match(CLASS_PATTERN);
+        if (!defMatch && !classMatch) {
+            return;
+        }
+
+        const match = defMatch || classMatch;
+        const name = match[1];
+        const parent = stack.length > 0 ? stack[stack.length - 1] : null;
+        let kind = 'class';
+        if (defMatch) {
+            kind = parent && parent.kind === 'class' ? 'method' : 'function';
+        }
+
+        // Decorators belong to the declaration
+        let start = statement.start;
+        for (let i = index - 1; i >= 0; i--) {
+            const previous = statements[i];
+            if (previous.indent !== statement.indent || text[previous.start] !== '@') {
+                break;
+            }
+            start = previous.start;
+        }
+
+        // The body is every following statement indented deeper than the header,
+        // or the rest of the header line (`def f(): return 1`)
+        let end = statement.end;
+        let bodyStart = statement.start;
+        let bodyIndent = null;
+        for (let i = index + 1; i < statements.length && statements[i].indent > statement.indent; i++) {
+            end = statements[i].end;
+            if (bodyIndent === null) {
+                bodyIndent = statements[i].indent;
+                bodyStart = statements[i].start;
+            }
+        }
+
+        const next = statements[index + 1];
+        const docstring = next && next.indent > statement.indent ? docstringOf(next, strings, text) : null;
+
+        let exported;
+        if (!parent) {
+            exported = allNames ? allNames.has(name) : !name.startsWith('_');
+        } else {
+            exported = parent.exported && parent.kind === 'class' && !name.startsWith('_');
+        }
+
+        const nameStart = statement.start + match[0].length - name.length;
+        declarations.push({
+            kind,
+            name,
+            start,
+            end,
+            nameStart,
+            nameEnd: nameStart + name.length,
+            bodyStart,
+            bodyEnd: end,
+            exported,
+            documentable: true,
+            comment: preferTagged([docstring, blockBefore(text, blocks, start)]),
+            headerEnd: statement.end,
+            bodyIndent: bodyIndent === null ? statement.indent + 4 : bodyIndent,
+            params: defMatch ? parseParameters(source, kind === 'method') : undefined,
+            returns: defMatch ? analyzeReturns(text, { statements, strings, comments }, index) : undefined
+        });
+        stack.push({ indent: statement.indent, kind, exported });
+    });
+
+    return declarations;
+}
+
+/**
+ * Split a parameter list on its top-level commas
+ * @param {string} list - Text between the parentheses of a `def`
+ * @returns {string[]} The parameter texts, trimmed
+ */
+function splitParameters(list) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (let i = 0; i < list.length; i++) {
+        const char = list[i];
+        if (char === '"' || char === '\'') {
+            const end = skipString(list, i);
+            current += list.substring(i, end);
+            i = end - 1;
+        } else if (char === '#') {
+            const lineEnd = list.indexOf('\n', i);
+            i = (lineEnd === -1 ? list.length : lineEnd) - 1;
+        } else if (char === ',' && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+        } else {
+            if ('([{'.includes(char)) {
+                depth++;
+            } else if (')]}'.includes(char)) {
+                depth--;
+            }
+            current += char;
+        }
+    }
+    parts.push(current.trim());
+    return parts.filter(Boolean);
+}
+
+/**
+ * Get the parameters of a `def` header
+ * Annotations and defaults are dropped; the `/` and bare `*` markers are skipped,
+ * as is the leading `self`/`cls` of methods.
+ * @param {string} header - Header statement text, starting at `def` or `async def`
+ * @param {boolean} isMethod - True for functions defined in a class body
+ * @returns {Object[]} Parameters: { name, rest }
+ */
+function parseParameters(header, isMethod) {
+    const open = header.indexOf('(');
+    if (open === -1) {
+        return [];
+    }
+
+    let depth = 0;
+    let close = header.length;
+    for (let i = open; i < header.length; i++) {
+        if (header[i] === '"' || header[i] === '\'') {
+            i = skipString(header, i) - 1;
+        } else if ('([{'.includes(header[i])) {
+            depth++;
+        } else if (')]}'.includes(header[i]) && --depth === 0) {
+            close = i;
+            break;
+        }
+    }
+
+    const params = splitParameters(header.substring(open + 1, close))
+        .map(param => param.match(/^(\*{0,2})\s*([A-Za-z_]\w*)?/))
+        .filter(match => match && match[2])
+        .map(match => ({ name: match[2], rest: match[1].length > 0 }));
+
+    if (isMethod && params.length > 0 && ['self', 'cls'].includes(params[0].name)) {
+        params.shift();
+    }
+    return params;
+}
+
+/**
+ * Get the code of a statement with its string literals emptied and its comments removed
+ * @param {string} text - The source text
+ * @param {Object} statement - Statement from scan()
+ * @param {Object[]} strings - Strings from scan()
+ * @param {Object[]} comments - Comments from scan()
+ * @returns {string} The statement text without string contents or comments
+ */
+function codeOf(text, statement, strings, comments) {
+    const inside = range => range.start >= statement.start && range.end <= statement.end;
+    const ranges = [
+        ...strings.filter(inside).map(string => ({ ...string, replacement: '""' })),
+        ...comments.filter(inside).map(comment => ({ ...comment, replacement: '' }))
+    ].sort((a, b) => a.start - b.start);
+
+    let code = '';
+    let position = statement.start;
+    for (const range of ranges) {
+        code += text.substring(position, range.start) + range.replacement;
+        position = range.end;
+    }
+    return code + text.substring(position, statement.end);
+}
+
+/**
+ * Get the body written on the same line as a compound statement header
+ * @param {string} code - Statement code from codeOf
+ * @returns {string|null} The code after the colon ending the header, or null when there is none
+ */
+function inlineBody(code) {
+    if (!COMPOUND_PATTERN.test(code)) {
+        return null;
+    }
+    let depth = 0;
+    for (let i = 0; i < code.length; i++) {
+        const char = code[i];
+        if ('([{'.includes(char)) {
+            depth++;
+        } else if (')]}'.includes(char)) {
+            depth = Math.max(0, depth - 1);
+        } else if (char === ':' && depth === 0 && code[i + 1] !== '=') {
+            return code.substring(i + 1).trim() || null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Analyze what a `def` returns from the statements of its own body
+ * Statements of nested functions and classes are skipped. A `return` counts
+ * at the start of a statement, after a `;`, or as the body of a compound
+ * statement on its header line (`else: return x`).
+ * @param {string} text - The source text
+ * @param {Object} scanned - Statements, strings and comments from scan()
+ * @param {number} index - Index of the `def` header statement
+ * @returns {{value: boolean, generator: boolean, async: boolean}} Return analysis
+ */
+function analyzeReturns(text, scanned, index) {
+    const { statements, strings, comments } = scanned;
+    const header = statements[index];
+    const headerCode = codeOf(text, header, strings, comments);
+    const result = { value: false, generator: false, async: /^async\b/.test(headerCode) };
+    const inspect = code => {
+        const body = inlineBody(code);
+        if (body !== null) {
+            inspect(body);
+            return;
+        }
+        if (code.split(';').some(part => /^return\s+(?!None\s*$)\S/.test(part.trim()))) {
+            result.value = true;
+        }
+        if (/\byield\b/.test(code)) {
+            result.generator = true;
+        }
+    };
+
+    // Single-line body: `def f(): return 1`
+    const inline = headerCode.match(/\)\s*(?:->[^:]*)?:\s*(\S[\s\S]*)$/);
+    if (inline) {
+        inspect(inline[1]);
+    }
+
+    let nestedIndent = null;
+    for (let i = index + 1; i < statements.length && statements[i].indent > header.indent; i++) {
+        const statement = statements[i];
+        if (nestedIndent !== null && statement.indent > nestedIndent) {
+            continue;
+        }
+        nestedIndent = null;
+
+        const code = codeOf(text, statement, strings, comments);
+        if (DEF_PATTERN.test(code) || CLASS_PATTERN.test(code)) {
+            nestedIndent = statement.indent;
+            continue;
+        }
+        inspect(code);
+    }
+
+    return result;
+}
+
+/**
+ * Read the names listed in a module-level `__all__`
+ * @param {string} text - The source text
+ * @param {Object[]} statements - Statements from scan()
+ * @returns {Set<string>|null} The names, or null when `__all__` is not defined
+ */
+function findDunderAll(text, statements) {
+    const statement = statements.find(candidate =>
+        candidate.indent === 0 && /^__all__\s*=/.test(text.substring(candidate.start, candidate.end)));
+    if (!statement) {
+        return null;
+    }
+    const names = text.substring(statement.start, statement.end).match(/(['"])(\w+)\1/g) || [];
+    return new Set(names.map(name => name.slice(1, -1)));
+}
+
+module.exports = {
+    supports,
+    scan,
+    findModuleComment,
+    parseDeclarations
+};
@@ -0,0 +1,249 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { version } = require('../package.json');
+const { RULES } = require('./rules');
+
+// Report formats understood by formatReport, mapped to their default file extension
+const REPORT_FORMATS = {
+    json: '.json',
+    sarif: '.sarif',
+    junit: '.xml',
+    checkstyle: '.xml'
+};
+
+/**
+ * Escape text for use in XML attributes and element content
+ * @param {*} value - The value to escape
+ * @returns {string} The escaped text
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Get a forward-slash path relative to the report root
+ * @param {string} filePath - Absolute file path
+ * @param {string} root - Report root directory
+ * @returns {string} The relative path
+ */
+function relativePath(filePath, root) {
+    return path.relative(root, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Count findings by severity
+ * @param {Object[]} findings - Findings of one or more files
+ * @returns {{errorCount: number, warningCount: number, infoCount: number}} The counts
+ */
+function countSeverities(findings) {
+    const counts = { errorCount: 0, warningCount: 0, infoCount: 0 };
+    for (const finding of findings) {
+        if (finding.severity === 'error') {
+            counts.errorCount++;
+        } else if (finding.severity === 'warning') {
+            counts.warningCount++;
+        } else {
+            counts.infoCount++;
+        }
+    }
+    return counts;
+}
+
+/**
+ * Pick the report fields of a finding
+ * @param {Object} finding - Finding with line and column information
+ * @returns {Object} The finding as written to JSON reports
+ */
+function serializeFinding(finding) {
+    return {
+        rule: finding.rule,
+        severity: finding.severity,
+        message: finding.message,
+        scope: finding.scope,
+        property: finding.property || null,
+        functionName: finding.functionName || null,
+        line: finding.line,
+        column: finding.column,
+        endLine: finding.endLine,
+        endColumn: finding.endColumn
+    };
+}
+
+/**
+ * Format results as a JSON report
+ * @param {Object[]} results - Lint results ({ filePath, findings })
+ * @param {string} root - Report root directory
+ * @returns {string} The report text
+ */
+function formatJson(results, root) {
+    const files = results.map(({ filePath, findings }) => ({
+        filePath: relativePath(filePath, root),
+        ...countSeverities(findings),
+        findings: findings.map(serializeFinding)
+    }));
+
+    return JSON.stringify({
+        tool: 'luke-linter',
+        version,
+        summary: {
+            fileCount: results.length,
+            ...countSeverities(results.flatMap(result => result.findings))
+        },
+        files
+    }, null, 2);
+}
+
+/**
+ * Format results as a SARIF 2.1.0 log
+ * @param {Object[]} results - Lint results ({ filePath, findings })
+ * @param {string} root - Report root directory
+ * @returns {string} The report text
+ */
+function formatSarif(results, root) {
+    const levels = { error: 'error', warning: 'warning' };
+    const ruleIds = [...new Set(results.flatMap(result => result.findings.map(finding => finding.rule)))].sort();
+
+    const sarifResults = [];
+    for (const { filePath, findings } of results) {
+        for (const finding of findings) {
+            sarifResults.push({
+                ruleId: finding.rule,
+                ruleIndex: ruleIds.indexOf(finding.rule),
+                level: levels[finding.severity] || 'note',
+                message: { text: finding.message },
+                locations: [{
+                    physicalLocation: {
+                        artifactLocation: {
+                            uri: relativePath(filePath, root),
+                            uriBaseId: '%SRCROOT%'
+                        },
+                        region: {
+                            startLine: finding.line,
+                            startColumn: finding.column,
+                            endLine: finding.endLine,
+                            endColumn: finding.endColumn
+                        }
+                    }
+                }],
+                properties: {
+                    scope: finding.scope,
+                    property: finding.property || null,
+                    functionName: finding.functionName || null,
+                    severity: finding.severity
+                }
+            });
+        }
+    }
+
+    return JSON.stringify({
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'luke-linter',
+                    version,
+                    rules: ruleIds.map(id => (RULES[id]
+                        ? { id, shortDescription: { text: RULES[id].description } }
+                        : { id }))
+                }
+            },
+            originalUriBaseIds: {
+                '%SRCROOT%': { uri: pathToFileURL(root).href.replace(/\/?$/, '/') }
+            },
+            results: sarifResults
+        }]
+    }, null, 2);
+}
+
+/**
+ * Format results as JUnit XML, one test suite per file and one failing test case per finding
+ * @param {Object[]} results - Lint results ({ filePath, findings })
+ * @param {string} root - Report root directory
+ * @returns {string} The report text
+ */
+function formatJunit(results, root) {
+    const lines = ['<?xml version="1.0" encoding="utf-8"?>'];
+    const totalFindings = results.reduce((sum, result) => sum + result.findings.length, 0);
+    const totalTests = results.reduce((sum, result) => sum + Math.max(result.findings.length, 1), 0);
+    lines.push(`<testsuites name="luke-linter" tests="${totalTests}" failures="${totalFindings}">`);
+
+    for (const { filePath, findings } of results) {
+        const file = relativePath(filePath, root);
+        lines.push(`    <testsuite name="${escapeXml(file)}" tests="${Math.max(findings.length, 1)}" failures="${findings.length}" errors="0">`);
+
+        if (findings.length === 0) {
+            lines.push(`        <testcase classname="${escapeXml(file)}" name="luke-linter" />`);
+        }
+
+        for (const finding of findings) {
+            const subject = finding.functionName ? `function ${finding.functionName}` : finding.scope;
+            const name = `${subject}: ${finding.rule}${finding.property ? ` (${finding.property})` : ''}`;
+            lines.push(`        <testcase classname="${escapeXml(file)}" name="${escapeXml(name)}">`);
+            lines.push(`            <failure type="${escapeXml(finding.severity)}" message="${escapeXml(finding.message)}">` +
+                `${escapeXml(`${file}:${finding.line}:${finding.column}: ${finding.severity} ${finding.message} (${finding.rule})`)}</failure>`);
+            lines.push('        </testcase>');
+        }
+
+        lines.push('    </testsuite>');
+    }
+
+    lines.push('</testsuites>');
+    return lines.join('\n');
+}
+
+/**
+ * Format results as Checkstyle XML
+ * @param {Object[]} results - Lint results ({ filePath, findings })
+ * @returns {string} The report text
+ */
+function formatCheckstyle(results) {
+    const lines = ['<?xml version="1.0" encoding="utf-8"?>', '<checkstyle version="4.3">'];
+
+    for (const { filePath, findings } of results) {
+        lines.push(`    <file name="${escapeXml(filePath)}">`);
+        for (const finding of findings) {
+            const severity = finding.severity === 'error' || finding.severity === 'warning' ? finding.severity : 'info';
+            lines.push(`        <error line="${finding.line}" column="${finding.column}" severity="${severity}" ` +
+                `message="${escapeXml(finding.message)}" source="luke-linter.${escapeXml(finding.rule)}" />`);
+        }
+        lines.push('    </file>');
+    }
+
+    lines.push('</checkstyle>');
+    return lines.join('\n');
+}
+
+/**
+ * Format lint results in one of the machine-readable report formats
+ * @param {string} format - One of the keys of REPORT_FORMATS
+ * @param {Object[]} results - Lint results ({ filePath, findings }) with line/column on each finding
+ * @param {string} root - Directory report paths are relative to
+ * @returns {string} The report text
+ */
+function formatReport(format, results, root) {
+    switch (format) {
+        case 'json':
+            return formatJson(results, root);
+        case 'sarif':
+            return formatSarif(results, root);
+        case 'junit':
+            return formatJunit(results, root);
+        case 'checkstyle':
+            return formatCheckstyle(results);
+        default:
+            throw new Error(`Unknown report format "${format}"`);
+    }
+}
+
+module.exports = {
+    REPORT_FORMATS,
+    escapeXml,
+    relativePath,
+    formatReport
+};
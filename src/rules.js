@@ -0,0 +1,119 @@
+/**
+ * Registry of every check the linter reports, keyed by stable rule ID.
+ * Rule IDs never change once published: they are the diagnostic codes,
+ * the names used by suppression comments and the keys of the `rules`
+ * section of .luke-linter.json. Each rule is documented in docs/rules.md
+ * under a heading equal to its ID.
+ * `severity` describes the default; 'property' means the severity of the
+ * property the finding is about.
+ */
+const RULES = {
+    'missing-file-block': {
+        description: 'The file has no file-level property block',
+        severity: 'error'
+    },
+    'missing-function-block': {
+        description: 'A function, method or class has no property block',
+        severity: 'error'
+    },
+    'unclosed-tag': {
+        description: 'An OPEN tag has no matching CLOSE tag',
+        severity: 'error'
+    },
+    'orphaned-close-tag': {
+        description: 'A CLOSE tag has no matching OPEN tag',
+        severity: 'error'
+    },
+    'mismatched-tag': {
+        description: 'A CLOSE tag names another tag than the OPEN tag it closes',
+        severity: 'error'
+    },
+    'misnested-tag': {
+        description: 'A property overlaps or is inside another property',
+        severity: 'error'
+    },
+    'duplicate-property': {
+        description: 'A property appears more than once in a property block',
+        severity: 'warning'
+    },
+    'missing-property': {
+        description: 'A required property is missing from a property block',
+        severity: 'property'
+    },
+    'property-not-in-scope': {
+        description: 'A property is used in a scope that does not list it',
+        severity: 'error'
+    },
+    'empty-property': {
+        description: 'A property has no content',
+        severity: 'property'
+    },
+    'invalid-property-content': {
+        description: 'Property content fails one of the property\'s validators',
+        severity: 'property'
+    },
+    'undocumented-param': {
+        description: 'A parameter of the signature has no params entry',
+        severity: 'property'
+    },
+    'unknown-param': {
+        description: 'A params entry names a parameter the signature does not have',
+        severity: 'property'
+    },
+    'param-order': {
+        description: 'params entries are not in signature order',
+        severity: 'property'
+    },
+    'missing-returns': {
+        description: 'A function that returns a value has no returns property',
+        severity: 'warning'
+    },
+    'unexpected-returns': {
+        description: 'A function that returns nothing has a returns property',
+        severity: 'warning'
+    },
+    'example-failed': {
+        description: 'An assertion of an executable example does not hold',
+        severity: 'error'
+    },
+    'example-error': {
+        description: 'An executable example or its module throws',
+        severity: 'error'
+    },
+    'example-timeout': {
+        description: 'Executable examples exceed the file\'s time limit',
+        severity: 'error'
+    },
+    'unused-suppression': {
+        description: 'A suppression directive silences nothing',
+        severity: 'off'
+    },
+    'invalid-suppression': {
+        description: 'A suppression directive has a selector that does not parse',
+        severity: 'warning'
+    }
+};
+
+const SEVERITIES = ['error', 'warning', 'info', 'hint'];
+
+/**
+ * Apply the `rules` section of the configuration to findings
+ * Rules set to 'off' are dropped; rules set to a severity report with it.
+ * @param {Object[]} findings - Findings with a `rule`
+ * @param {Object} [ruleSettings] - `rules` section: rule ID to 'off' or a severity
+ * @returns {Object[]} The remaining findings
+ */
+function applyRuleSettings(findings, ruleSettings = {}) {
+    const settings = ruleSettings || {};
+    return findings
+        .filter(finding => settings[finding.rule] !== 'off')
+        .map(finding => (SEVERITIES.includes(settings[finding.rule])
+            ? { ...finding, severity: settings[finding.rule] }
+            : finding));
+}
+
+module.exports = {
+    RULES,
+    SEVERITIES,
+    applyRuleSettings
+};
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const PropertyLinter = require('./linter');
+const { createIgnoreMatcher } = require('./ignore');
+const { runExamples } = require('./doctest');
+const { contributes } = require('../package.json');
+
+// Headless runs use the same defaults the extension contributes as settings
+const settings = contributes.configuration.properties;
+const DEFAULT_FILE_TYPES = settings['lukeLinter.fileTypes'].default;
+const DEFAULT_IGNORE_PATTERNS = settings['lukeLinter.ignorePatterns'].default;
+const DEFAULT_USE_GITIGNORE = settings['lukeLinter.useGitignore'].default;
+
+/**
+ * Check whether a file should be linted
+ * @param {string} filePath - Absolute path of the file
+ * @param {Object} options - Runner options (fileTypes)
+ * @param {Object} matcher - Ignore matcher of the run (see createIgnoreMatcher)
+ * @returns {Promise<boolean>} True if the file has a linted extension and is not ignored
+ */
+async function shouldLint(filePath, options, matcher) {
+    if (!options.fileTypes.includes(path.extname(filePath))) {
+        return false;
+    }
+    return !await matcher.isIgnored(filePath);
+}
+
+/**
+ * Expand files and directories into the list of files to lint
+ * @param {string[]} paths - Files and directories given by the caller, relative to the working directory
+ * @param {Object} options - Runner options (root, fileTypes, ignorePatterns, useGitignore)
+ * @returns {Promise<string[]>} Sorted absolute file paths
+ */
+async function collectFiles(paths, options) {
+    const files = new Set();
+    const matcher = createIgnoreMatcher(options.root, {
+        patterns: options.ignorePatterns,
+        useGitignore: options.useGitignore
+    });
+
+    async function walk(directory) {
+        const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+        for (const entry of entries) {
+            const entryPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                if (entry.name !== '.git' && !await matcher.isIgnored(entryPath, true)) {
+                    await walk(entryPath);
+                }
+            } else if (entry.isFile() && await shouldLint(entryPath, options, matcher)) {
+                files.add(entryPath);
+            }
+        }
+    }
+
+    for (const target of paths) {
+        const targetPath = path.resolve(target);
+        const stat = await fs.promises.stat(targetPath);
+        if (stat.isDirectory()) {
+            await walk(targetPath);
+        } else if (await shouldLint(targetPath, options, matcher)) {
+            files.add(targetPath);
+        }
+    }
+
+    return [...files].sort();
+}
+
+/**
+ * Convert a text offset into a 1-based line and column
+ * @param {string} text - The document text
+ * @param {number} offset - Offset into text
+ * @returns {{line: number, column: number}} The position
+ */
+function positionAt(text, offset) {
+    const before = text.substring(0, offset);
+    const lineStart = before.lastIndexOf('\n') + 1;
+    return {
+        line: before.split('\n').length,
+        column: offset - lineStart + 1
+    };
+}
+
+/**
+ * Add 1-based line and column information to a finding
+ * @param {string} text - The linted text
+ * @param {Object} finding - Finding with offsets into text
+ * @returns {Object} The finding with line, column, endLine and endColumn
+ */
+function locateFinding(text, finding) {
+    const start = positionAt(text, finding.start);
+    const end = positionAt(text, finding.end);
+    return {
+        ...finding,
+        line: start.line,
+        column: start.column,
+        endLine: end.line,
+        endColumn: end.column
+    };
+}
+
+/**
+ * Lint files from disk with the shared PropertyLinter core
+ * @param {string[]} files - Absolute file paths
+ * @param {Object} options - Runner options (root, runExamples, exampleTimeout)
+ * @returns {Promise<Object[]>} One result per file: { filePath, findings, disabledRules },
+ *     where disabledRules lists the rules its configuration turns off
+ * @throws {ConfigError} If a configuration that applies to a file cannot be used
+ */
+async function lintFiles(files, options) {
+    const linter = new PropertyLinter();
+
+    const results = [];
+    for (const filePath of files) {
+        await linter.loadProjectConfig(options.root, filePath);
+        if (linter.configError) {
+            throw linter.configError;
+        }
+        const text = await fs.promises.readFile(filePath, 'utf8');
+        const fileFindings = linter.lintText(text, filePath);
+        if (options.runExamples) {
+            fileFindings.push(...await runExamples(text, filePath, linter, { timeout: options.exampleTimeout }));
+        }
+        results.push({
+            filePath,
+            findings: fileFindings.map(finding => locateFinding(text, finding)),
+            disabledRules: linter.disabledRules()
+        });
+    }
+
+    return results;
+}
+
+module.exports = {
+    DEFAULT_FILE_TYPES,
+    DEFAULT_IGNORE_PATTERNS,
+    DEFAULT_USE_GITIGNORE,
+    shouldLint,
+    collectFiles,
+    positionAt,
+    locateFinding,
+    lintFiles
+};
@@ -0,0 +1,141 @@
+const path = require('path');
+const { matchesAny } = require('./glob');
+
+/**
+ * User-defined scopes.
+ * Besides the built-in `file` and `function` scopes, .luke-linter.json can
+ * list properties for scopes of its own under `scopes` and give each a
+ * selector under `scopeSelectors`. A declaration is validated against the
+ * most specific scope whose selector matches it (the one setting the most
+ * selector fields; the first listed wins a tie), or `function` when none
+ * does. Selectors with `kind: "file"` select the scope of the file block.
+ */
+
+const BUILTIN_SCOPES = ['file', 'function'];
+const KINDS = ['file', 'function', 'arrow', 'method', 'class'];
+const VISIBILITIES = ['public', 'private'];
+const SELECTOR_FIELDS = ['kind', 'name', 'exported', 'visibility', 'path', 'minBodyLines'];
+
+/**
+ * Compile the selector of one scope
+ * @param {string} scope - Scope name
+ * @param {Object} selector - { kind?, name?, exported?, visibility?, path?, minBodyLines? }
+ * @returns {Object} Compiled selector: { scope, file, specificity, test(target) }
+ * @throws {Error} If the selector is misconfigured
+ */
+function compileSelector(scope, selector) {
+    if (BUILTIN_SCOPES.includes(scope)) {
+        throw new Error(`The built-in ${scope} scope cannot have a selector`);
+    }
+    if (!selector || typeof selector !== 'object' || Array.isArray(selector)) {
+        throw new Error(`Selector of scope ${scope} must be an object`);
+    }
+    const unknown = Object.keys(selector).find(field => !SELECTOR_FIELDS.includes(field));
+    if (unknown) {
+        throw new Error(`Unknown selector field "${unknown}" in scope ${scope} (expected ${SELECTOR_FIELDS.join(', ')})`);
+    }
+
+    const tests = [];
+    const kinds = selector.kind === undefined ? null : [].concat(selector.kind);
+    if (kinds) {
+        const invalid = kinds.find(kind => !KINDS.includes(kind));
+        if (invalid) {
+            throw new Error(`Unknown kind "${invalid}" in scope ${scope} (expected ${KINDS.join(', ')})`);
+        }
+        // `function` also selects arrow functions
+        tests.push(target => kinds.includes(target.kind) || (target.kind === 'arrow' && kinds.includes('function')));
+    }
+    if (selector.name !== undefined) {
+        const regex = new RegExp(selector.name);
+        tests.push(target => regex.test(target.name));
+    }
+    if (selector.exported !== undefined) {
+        if (typeof selector.exported !== 'boolean') {
+            throw new Error(`exported in scope ${scope} must be true or false`);
+        }
+        tests.push(target => target.exported === selector.exported);
+    }
+    if (selector.visibility !== undefined) {
+        if (!VISIBILITIES.includes(selector.visibility)) {
+            throw new Error(`visibility in scope ${scope} must be one of ${VISIBILITIES.join(', ')}`);
+        }
+        tests.push(target => (target.visibility || visibilityOf(target.name)) === selector.visibility);
+    }
+    if (selector.path !== undefined) {
+        const patterns = [].concat(selector.path);
+        tests.push(target => Boolean(target.filePath) && pathMatches(target.filePath, patterns));
+    }
+    if (selector.minBodyLines !== undefined) {
+        if (!Number.isInteger(selector.minBodyLines) || selector.minBodyLines < 0) {
+            throw new Error(`minBodyLines in scope ${scope} must be a non-negative integer`);
+        }
+        tests.push(target => target.lines >= selector.minBodyLines);
+    }
+
+    return {
+        scope,
+        file: Boolean(kinds && kinds.includes('file')),
+        specificity: tests.length,
+        test: target => tests.every(test => test(target))
+    };
+}
+
+/**
+ * Compile the `scopeSelectors` section of the configuration
+ * @param {Object} [scopeSelectors] - Selector per scope name
+ * @returns {Object[]} Compiled selectors, in configuration order
+ * @throws {Error} If a selector is misconfigured
+ */
+function compileScopeSelectors(scopeSelectors) {
+    return Object.entries(scopeSelectors || {}).map(([scope, selector]) => compileSelector(scope, selector));
+}
+
+/**
+ * Get the visibility of a declaration from its name, for declarations without a visibility modifier
+ * @param {string} name - Declaration name
+ * @returns {string} 'private' for `#private` and `_prefixed` names, otherwise 'public'
+ */
+function visibilityOf(name) {
+    return /^[#_]/.test(name || '') ? 'private' : 'public';
+}
+
+/**
+ * Check whether a file path matches path globs
+ * Globs without `/` match the file name; others match the end of the path.
+ * @param {string} filePath - File path
+ * @param {string[]} patterns - Glob patterns
+ * @returns {boolean} True if any pattern matches
+ */
+function pathMatches(filePath, patterns) {
+    const normalized = filePath.replace(/\\/g, '/');
+    return patterns.some(pattern => (pattern.includes('/')
+        ? matchesAny(normalized, [`**/${pattern.replace(/^\.?\//, '')}`])
+        : matchesAny(path.basename(normalized), [pattern])));
+}
+
+/**
+ * Select the scope a declaration or the file block is validated against
+ * @param {Object[]} selectors - Compiled selectors
+ * @param {Object} target - { kind, name, exported, visibility?, lines, filePath }; kind 'file' for the
+ *     file block, visibility as declared by a modifier and lines those of the body
+ * @returns {string} The most specific matching scope, or the built-in scope
+ */
+function selectScope(selectors, target) {
+    const isFile = target.kind === 'file';
+    let selected = null;
+    for (const selector of selectors) {
+        // Only selectors naming the `file` kind apply to the file block
+        if ((selector.file || !isFile) && selector.test(target) &&
+            (!selected || selector.specificity > selected.specificity)) {
+            selected = selector;
+        }
+    }
+    return selected ? selected.scope : (isFile ? 'file' : 'function');
+}
+
+module.exports = {
+    BUILTIN_SCOPES,
+    compileSelector,
+    compileScopeSelectors,
+    selectScope
+};
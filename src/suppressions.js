@@ -0,0 +1,241 @@
+/**
+ * Inline suppression comments.
+ *   luke-linter-disable-next-line [selectors]  findings starting on the next line
+ *   luke-linter-disable-file [selectors]       findings anywhere in the file
+ *   luke-linter-disable [selectors]            findings from this line ...
+ *   luke-linter-enable [selectors]             ... up to this line (or the end of the file)
+ * Selectors are comma- or space-separated `rule` or `rule:property` names;
+ * without selectors a directive applies to every finding. Selectors that do
+ * not parse are reported and ignored, so a typo never widens a directive.
+ */
+
+const DIRECTIVE_PATTERN = /luke-linter-(disable-next-line|disable-file|disable|enable)\b([^\n]*)/g;
+// Property names follow the tag name grammar of ./tags
+const SELECTOR_PATTERN = /^[\w-]+(?::[A-Za-z_][\w.-]*)?$/;
+// Comment markers recognized in front of a directive, besides the language's own
+const COMMON_MARKERS = ['//', '#', '/*', '*', '<!--', '--', ';'];
+
+/**
+ * Get the offsets where each line starts
+ * @param {string} text - The text
+ * @returns {number[]} Line start offsets
+ */
+function lineStarts(text) {
+    const starts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') {
+            starts.push(i + 1);
+        }
+    }
+    return starts;
+}
+
+/**
+ * Get the 0-based line of an offset
+ * @param {number[]} starts - Line start offsets
+ * @param {number} offset - The offset
+ * @returns {number} The line
+ */
+function lineOf(starts, offset) {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (starts[middle] <= offset) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return low;
+}
+
+/**
+ * Check whether a directive is written in a comment: only a comment marker
+ * (or nothing, inside a block comment or docstring) may precede it on its line
+ * @param {string} before - Line text in front of the directive
+ * @param {string[]} markers - Comment markers
+ * @returns {boolean} True if the directive is in a comment
+ */
+function inComment(before, markers) {
+    const trimmed = before.trim();
+    return trimmed === '' || markers.some(marker => trimmed.endsWith(marker));
+}
+
+/**
+ * Check whether a comment holds nothing but one suppression directive
+ * Such comments are never property sources.
+ * @param {string} text - Comment text, with or without its delimiters
+ * @returns {boolean} True for directive-only comments
+ */
+function isDirectiveComment(text) {
+    const content = text.replace(/^[\s/*#!;<>"'-]+|[\s/*#!;<>"'-]+$/g, '');
+    return /^luke-linter-(?:disable-next-line|disable-file|disable|enable)\b[^\n]*$/.test(content);
+}
+
+/**
+ * Check whether a text holds only whitespace and directive-only comment lines
+ * Used between a property block and its declaration, so that
+ * `luke-linter-disable-next-line` can sit right above the declaration.
+ * @param {string} text - The text between the two
+ * @returns {boolean} True if the block still belongs to the declaration
+ */
+function isDirectiveGap(text) {
+    return text.split('\n').every(line => line.trim() === '' || isDirectiveComment(line));
+}
+
+/**
+ * Find the suppression directives of a text
+ * @param {string} text - The text
+ * @param {Object} language - Language definition from the registry
+ * @returns {Object[]} Directives: { type, selectors, invalidSelectors, line, start, end }
+ */
+function findDirectives(text, language) {
+    const markers = [...COMMON_MARKERS];
+    for (const style of language.comments) {
+        markers.push(...[style.prefix, style.open, style.linePrefix].filter(Boolean));
+    }
+
+    const starts = lineStarts(text);
+    const directives = [];
+    let match;
+    DIRECTIVE_PATTERN.lastIndex = 0;
+
+    while ((match = DIRECTIVE_PATTERN.exec(text)) !== null) {
+        const line = lineOf(starts, match.index);
+        if (!inComment(text.substring(starts[line], match.index), markers)) {
+            continue;
+        }
+        // Selectors end at a closing comment delimiter
+        const args = match[2].replace(/(\*\/|-->|"""|''').*$/, '').trimEnd();
+        const words = args.split(/[\s,]+/).filter(Boolean);
+        directives.push({
+            type: match[1],
+            selectors: words.filter(selector => SELECTOR_PATTERN.test(selector)),
+            invalidSelectors: words.filter(selector => !SELECTOR_PATTERN.test(selector)),
+            line,
+            start: match.index,
+            end: match.index + match[0].length - match[2].length + args.length
+        });
+    }
+
+    return directives;
+}
+
+/**
+ * Check whether a selector matches a finding
+ * @param {string|null} selector - `rule`, `rule:property`, or null for any finding
+ * @param {Object} finding - The finding
+ * @returns {boolean} True if it matches
+ */
+function selects(selector, finding) {
+    if (selector === null) {
+        return true;
+    }
+    const [rule, property] = selector.split(':');
+    return rule === finding.rule && (property === undefined || property === finding.property);
+}
+
+/**
+ * Build the suppressions of a text: one per directive selector, each covering a line range
+ * @param {Object[]} directives - Directives from findDirectives()
+ * @returns {Object[]} Suppressions: { directive, selector, fromLine, toLine, used }
+ */
+function buildSuppressions(directives) {
+    const suppressions = [];
+    const open = [];
+    // A directive whose selectors are all invalid applies to nothing rather than to everything
+    const appliesToAll = directive => directive.selectors.length === 0 && directive.invalidSelectors.length === 0;
+    const selectorsOf = directive => (appliesToAll(directive) ? [null] : directive.selectors);
+
+    for (const directive of directives) {
+        if (directive.type === 'enable') {
+            for (let i = open.length - 1; i >= 0; i--) {
+                if (appliesToAll(directive) || directive.selectors.includes(open[i].selector)) {
+                    open[i].toLine = directive.line;
+                    open.splice(i, 1);
+                }
+            }
+            continue;
+        }
+
+        for (const selector of selectorsOf(directive)) {
+            const suppression = { directive, selector, fromLine: 0, toLine: Infinity, used: false };
+            if (directive.type === 'disable-next-line') {
+                suppression.fromLine = directive.line + 1;
+                suppression.toLine = directive.line + 1;
+            } else if (directive.type === 'disable') {
+                suppression.fromLine = directive.line;
+                open.push(suppression);
+            }
+            suppressions.push(suppression);
+        }
+    }
+
+    return suppressions;
+}
+
+/**
+ * Remove suppressed findings and optionally report suppressions that matched nothing
+ * and selectors that do not parse
+ * @param {string} text - The linted text
+ * @param {Object} language - Language definition from the registry
+ * @param {Object[]} findings - Findings of the text
+ * @param {string} [unusedSeverity] - Severity for unused-suppression findings, or 'off'
+ * @param {string} [invalidSeverity] - Severity for invalid-suppression findings, or 'off'
+ * @returns {Object[]} The remaining findings
+ */
+function applySuppressions(text, language, findings, unusedSeverity = 'off', invalidSeverity = 'off') {
+    const directives = findDirectives(text, language);
+    if (directives.length === 0) {
+        return findings;
+    }
+
+    const starts = lineStarts(text);
+    const suppressions = buildSuppressions(directives);
+    const remaining = findings.filter(finding => {
+        const line = lineOf(starts, finding.start);
+        const matching = suppressions.filter(suppression =>
+            suppression.fromLine <= line && line <= suppression.toLine && selects(suppression.selector, finding));
+        matching.forEach(suppression => {
+            suppression.used = true;
+        });
+        return matching.length === 0;
+    });
+
+    if (unusedSeverity && unusedSeverity !== 'off') {
+        for (const suppression of suppressions.filter(candidate => !candidate.used)) {
+            const { directive, selector } = suppression;
+            const target = selector ? `${selector} finding` : 'finding';
+            remaining.push({
+                rule: 'unused-suppression',
+                message: `Unused luke-linter-${directive.type} directive: no ${target} to suppress`,
+                severity: unusedSeverity,
+                start: directive.start,
+                end: directive.end
+            });
+        }
+    }
+
+    if (invalidSeverity && invalidSeverity !== 'off') {
+        for (const directive of directives.filter(candidate => candidate.invalidSelectors.length > 0)) {
+            const selectors = directive.invalidSelectors.map(selector => `"${selector}"`).join(', ');
+            remaining.push({
+                rule: 'invalid-suppression',
+                message: `Invalid selector${directive.invalidSelectors.length === 1 ? '' : 's'} ${selectors} in luke-linter-${directive.type} directive; expected rule or rule:property`,
+                severity: invalidSeverity,
+                start: directive.start,
+                end: directive.end
+            });
+        }
+    }
+
+    return remaining;
+}
+
+module.exports = {
+    isDirectiveComment,
+    isDirectiveGap,
+    findDirectives,
+    applySuppressions
+};
@@ -0,0 +1,243 @@
+/**
+ * Tokenizer for the `[[OPEN:tag]]` / `[[CLOSE:tag]]` markers of a property block.
+ * Tag names may contain `-` and `.` (`see-also`, `api.version`). OPEN tags may
+ * carry attributes: `[[OPEN:param name=a type=number optional]]`, where a
+ * bare name is a `true` flag and values with spaces are quoted. Content is
+ * also read as structure: `- key: value` bullets become `items` and
+ * `key: value` lines outside a list become `fields`.
+ * Tags are paired like brackets, so malformed blocks are reported instead of
+ * silently losing properties:
+ *   unclosed-tag       - OPEN without a CLOSE
+ *   orphaned-close-tag - CLOSE without an OPEN
+ *   mismatched-tag     - CLOSE naming another tag than the OPEN it closes
+ *   misnested-tag      - a property overlapping or inside another one
+ *   duplicate-property - the same tag (and `name` attribute) twice in one block
+ * Every problem points at the offending tag. A mismatched pair still counts
+ * as the property of its OPEN, so a typo in a CLOSE is reported once.
+ */
+
+const NAME = '[A-Za-z_][\\w.-]*';
+const ATTRIBUTE = `${NAME}(?:=(?:"[^"\\]\\n]*"|'[^'\\]\\n]*'|[^\\s\\]"']+))?`;
+const TAG_PATTERN = new RegExp(`\\[\\[(?:OPEN:(${NAME})((?:[ \\t]+${ATTRIBUTE})*)|CLOSE:(${NAME}))[ \\t]*\\]\\]`, 'g');
+const ATTRIBUTE_PATTERN = new RegExp(`(${NAME})(?:=("[^"]*"|'[^']*'|\\S+))?`, 'g');
+// `- key: value` list entries; `...`, `*` and `**` may precede the key of rest parameters
+const ITEM_PATTERN = /^([ \t]*)[-*][ \t]+(?:(?:\.{3}|\*{1,2})?([A-Za-z_$][\w$.-]*)[ \t]*:(?!\/\/))?[ \t]*(.*?)[ \t\r]*$/d;
+const FIELD_PATTERN = /^[ \t]*([A-Za-z_][\w.-]*)[ \t]*:(?!\/\/)[ \t]*(.*?)[ \t\r]*$/;
+
+/**
+ * Find all tag markers of a text
+ * @param {string} text - Text of a property block
+ * @returns {Object[]} Tags in order: { type: 'open'|'close', name, attributes, start, end }
+ */
+function tokenizeTags(text) {
+    return [...text.matchAll(TAG_PATTERN)].map(match => ({
+        type: match[1] !== undefined ? 'open' : 'close',
+        name: match[1] !== undefined ? match[1] : match[3],
+        attributes: parseAttributes(match[2] || ''),
+        start: match.index,
+        end: match.index + match[0].length
+    }));
+}
+
+/**
+ * Parse the attributes of an OPEN tag
+ * @param {string} source - Text after the tag name, e.g. ` name=a type="a number" optional`
+ * @returns {Object} Attribute values by name; flags without a value are `true`
+ */
+function parseAttributes(source) {
+    const attributes = {};
+    for (const match of source.matchAll(ATTRIBUTE_PATTERN)) {
+        const value = match[2];
+        attributes[match[1]] = value === undefined ? true : value.replace(/^(["'])([\s\S]*)\1$/, '$2');
+    }
+    return attributes;
+}
+
+/**
+ * Read the content of a property as a list or key/value structure
+ * An indented line continues the list entry above it.
+ * @param {string} text - Text of the property block
+ * @param {number} start - Offset where the content starts
+ * @param {number} end - Offset where the content ends
+ * @returns {{items: Object[], fields: Object}} List entries: { key?, value, start, end, keyStart?, keyEnd? }
+ *     with offsets relative to text; and the value of each `key: value` line outside a list
+ */
+function parseContent(text, start, end) {
+    const items = [];
+    const fields = {};
+    let item = null;
+    let indent = 0;
+    let offset = start;
+
+    for (const line of text.substring(start, end).split('\n')) {
+        const entry = line.match(ITEM_PATTERN);
+        const field = !entry && line.match(FIELD_PATTERN);
+        if (entry) {
+            item = {
+                ...(entry[2] !== undefined ? { key: entry[2] } : {}),
+                value: entry[3],
+                start: offset + entry[1].length,
+                end: offset + line.trimEnd().length
+            };
+            if (entry[2] !== undefined) {
+                item.keyStart = offset + entry.indices[2][0];
+                item.keyEnd = offset + entry.indices[2][1];
+            }
+            items.push(item);
+            indent = entry[1].length;
+        } else if (item && line.trim() !== '' && line.match(/^[ \t]*/)[0].length > indent) {
+            item.value = `${item.value} ${line.trim()}`.trim();
+            item.end = offset + line.trimEnd().length;
+        } else {
+            item = null;
+            if (field) {
+                fields[field[1]] = field[2];
+            }
+        }
+        offset += line.length + 1;
+    }
+
+    return { items, fields };
+}
+
+/**
+ * Compute the edit distance between two tag names
+ * @param {string} a - A name
+ * @param {string} b - Another name
+ * @returns {number} Insertions, deletions and substitutions turning a into b
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Find the name a misspelled tag most likely meant
+ * @param {string} name - The misspelled name
+ * @param {string[]} candidates - Names it may have meant
+ * @returns {string|null} The closest candidate within a third of its length (at least 1 edit), or null
+ */
+function closestTag(name, candidates) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const candidate of candidates) {
+        const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+        if (distance < bestDistance && distance <= Math.max(1, Math.floor(candidate.length / 3))) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+/**
+ * Parse the properties of a block and report its structural problems
+ * @param {string} text - Text of a property block
+ * @returns {{properties: Object[], problems: Object[]}} Properties: { tag, attributes, content,
+ *     items, fields, start, end, contentStart, contentEnd } (see parseContent); problems: { rule, message, start, end, property, expected? }
+ *     where `expected` is the tag a mismatched CLOSE should name. Offsets are relative to text.
+ */
+function parseTags(text) {
+    const pairs = [];
+    const problems = [];
+    const report = (rule, message, tag, extra = {}) => problems.push({
+        rule,
+        message,
+        start: tag.start,
+        end: tag.end,
+        property: tag.name,
+        ...extra
+    });
+
+    // Unmatched OPEN tags, innermost last
+    const open = [];
+    const lastOpen = name => open.map(tag => tag.name).lastIndexOf(name);
+
+    for (const tag of tokenizeTags(text)) {
+        if (tag.type === 'open') {
+            open.push(tag);
+            continue;
+        }
+
+        let index = lastOpen(tag.name);
+        if (index === -1 && open.length > 0) {
+            // A misspelled CLOSE belongs to the OPEN it resembles, otherwise to the innermost one
+            const similar = closestTag(tag.name, open.map(candidate => candidate.name));
+            index = similar ? lastOpen(similar) : open.length - 1;
+            const expected = open[index].name;
+            report(
+                'mismatched-tag',
+                `[[CLOSE:${tag.name}]] does not match [[OPEN:${expected}]]; did you mean [[CLOSE:${expected}]]?`,
+                tag,
+                { expected }
+            );
+        }
+        if (index === -1) {
+            report('orphaned-close-tag', `[[CLOSE:${tag.name}]] has no matching [[OPEN:${tag.name}]]`, tag);
+            continue;
+        }
+        pairs.push({ open: open[index], close: tag });
+        open.splice(index, 1);
+    }
+
+    for (const tag of open) {
+        report('unclosed-tag', `[[OPEN:${tag.name}]] has no matching [[CLOSE:${tag.name}]]`, tag);
+    }
+
+    // Properties are flat: a pair starting inside another one is not a property of its own
+    const properties = [];
+    const seen = new Set();
+    let outer = null;
+    for (const pair of pairs.sort((a, b) => a.open.start - b.open.start)) {
+        if (outer && pair.open.start < outer.close.start) {
+            report('misnested-tag', pair.close.start > outer.close.start
+                ? `[[OPEN:${pair.open.name}]] overlaps the ${outer.open.name} property; close ${outer.open.name} first`
+                : `[[OPEN:${pair.open.name}]] is inside the ${outer.open.name} property; properties cannot contain other properties`,
+            pair.open);
+            continue;
+        }
+        outer = pair;
+
+        // Tags documenting one entry each, such as `param name=a`, repeat with different names
+        const { name } = pair.open.attributes;
+        const key = JSON.stringify([pair.open.name, name === undefined ? null : name]);
+        if (seen.has(key)) {
+            report('duplicate-property', name === undefined
+                ? `Duplicate ${pair.open.name} property; each property may appear once per block`
+                : `Duplicate ${pair.open.name} property for ${name}`,
+            pair.open);
+        }
+        seen.add(key);
+        properties.push({
+            tag: pair.open.name,
+            attributes: pair.open.attributes,
+            content: text.substring(pair.open.end, pair.close.start).trim(),
+            ...parseContent(text, pair.open.end, pair.close.start),
+            start: pair.open.start,
+            end: pair.close.end,
+            contentStart: pair.open.end,
+            contentEnd: pair.close.start
+        });
+    }
+
+    return { properties, problems: problems.sort((a, b) => a.start - b.start) };
+}
+
+module.exports = {
+    tokenizeTags,
+    parseAttributes,
+    parseContent,
+    closestTag,
+    parseTags
+};
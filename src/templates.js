@@ -0,0 +1,68 @@
+/**
+ * Property block templates shared by the insert commands and quick fixes.
+ */
+
+const MASTER_FORMULA = '▽ = ⨍(⏵▷, τ𝑡, ⌬ⵣ, ↯〰⥂⥮, ☀♬⨳❄, eℰ∈∃, ⍨☯, Ψ?⍰⸮, ℳ⚖)';
+
+/**
+ * Wrap template lines in a language's preferred comment syntax
+ * (its first comment style: docstring, block or line comments)
+ * @param {Object} language - Language definition from the registry
+ * @param {string} body - Template lines without comment delimiters
+ * @param {string} [indent] - Indentation added to every non-empty line
+ * @returns {string} The comment block, ending with a newline
+ */
+function formatComment(language, body, indent = '') {
+    const style = language.comments[0];
+    const lines = style.type === 'line'
+        ? body.split('\n').map(line => (line ? `${style.prefix} ${line}` : style.prefix))
+        : [style.open, ...body.split('\n'), style.close];
+
+    return lines
+        .map(line => (line ? indent + line : line))
+        .join('\n') + '\n';
+}
+
+/**
+ * Get the placeholder content inserted for a property
+ * @param {string} tag - Property name
+ * @param {Object} config - Property configuration ({ properties, scopes })
+ * @returns {string} The placeholder text
+ */
+function placeholderFor(tag, config) {
+    if (tag === 'masterFormula') {
+        return MASTER_FORMULA;
+    }
+    const property = config.properties[tag];
+    return property && property.description ? property.description : tag;
+}
+
+/**
+ * Format one property as OPEN/content/CLOSE lines
+ * @param {string} tag - Property name
+ * @param {Object} config - Property configuration ({ properties, scopes })
+ * @returns {string[]} The lines
+ */
+function propertyLines(tag, config) {
+    return [`[[OPEN:${tag}]]`, placeholderFor(tag, config), `[[CLOSE:${tag}]]`];
+}
+
+/**
+ * Build the body of a property block holding every tag of a scope
+ * @param {string} scope - Scope name ('file', 'function' or a user-defined scope)
+ * @param {Object} config - Property configuration ({ properties, scopes })
+ * @returns {string} Block body without comment delimiters
+ */
+function scopeTemplate(scope, config) {
+    return (config.scopes[scope] || [])
+        .map(tag => propertyLines(tag, config).join('\n'))
+        .join('\n\n');
+}
+
+module.exports = {
+    MASTER_FORMULA,
+    formatComment,
+    placeholderFor,
+    propertyLines,
+    scopeTemplate
+};
@@ -0,0 +1,198 @@
+/**
+ * Content validators for property tags.
+ * A property in .luke-linter.json can constrain its content with any of:
+ *   pattern        - regular expression the content must match
+ *   minLength      - minimum number of characters
+ *   maxLength      - maximum number of characters
+ *   minWords       - minimum number of words
+ *   enum           - list of allowed values
+ *   format         - 'email', 'date' (YYYY-MM-DD), 'semver' or 'url'
+ *   mustNotContain - text (or list of texts) the content must not contain
+ *   minItems       - minimum number of `- ` list entries
+ *   requiredFields - keys that must appear as `key: value` lines or `- key:` entries
+ *   requiredAttributes - attributes the OPEN tag must carry
+ * Each validator takes its value directly, or an object
+ * { value, message?, severity? } to override the message and the severity
+ * (which default to a generated message and the property's severity).
+ * `pattern` objects may also set `flags`.
+ */
+
+const SEMVER_PATTERN = /^v?(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?(?:\+[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Check whether text is a real calendar date in YYYY-MM-DD form
+ * @param {string} value - The text
+ * @returns {boolean} True for valid dates
+ */
+function isDate(value) {
+    const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) {
+        return false;
+    }
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return date.getUTCFullYear() === Number(match[1]) &&
+        date.getUTCMonth() === Number(match[2]) - 1 &&
+        date.getUTCDate() === Number(match[3]);
+}
+
+/**
+ * Check whether text is an absolute URL
+ * @param {string} value - The text
+ * @returns {boolean} True for URLs with a scheme
+ */
+function isUrl(value) {
+    if (!/^[a-z][a-z\d+.-]*:\/\/\S+$/i.test(value)) {
+        return false;
+    }
+    try {
+        new URL(value);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+const FORMATS = {
+    email: { label: 'email address', test: value => EMAIL_PATTERN.test(value) },
+    date: { label: 'date (YYYY-MM-DD)', test: isDate },
+    semver: { label: 'semantic version', test: value => SEMVER_PATTERN.test(value) },
+    url: { label: 'URL', test: isUrl }
+};
+
+/**
+ * Count the words of a text
+ * @param {string} value - The text
+ * @returns {number} Number of whitespace-separated words
+ */
+function countWords(value) {
+    return value.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Check that a validator value is a list of names
+ * @param {*} value - Configured value
+ * @param {string} validator - Validator name, for the error message
+ * @param {string} tag - Property tag, for the error message
+ * @returns {string[]} The names
+ * @throws {Error} If the value is not a list of strings
+ */
+function nameList(value, validator, tag) {
+    if (!Array.isArray(value) || !value.every(name => typeof name === 'string')) {
+        throw new Error(`${validator} for ${tag} must be a list of names`);
+    }
+    return value;
+}
+
+/**
+ * Validator factories: each takes the configured value and the tag name and
+ * returns { test(content, property), message }, where property is the parsed
+ * property (see ./tags). They throw on invalid configuration.
+ */
+const VALIDATORS = {
+    pattern: (value, tag, options) => {
+        const regex = new RegExp(value, options.flags || '');
+        return {
+            test: content => regex.test(content),
+            message: `${tag} property must match ${regex}`
+        };
+    },
+    minLength: (value, tag) => ({
+        test: content => content.length >= value,
+        message: `${tag} property must be at least ${value} characters long`
+    }),
+    maxLength: (value, tag) => ({
+        test: content => content.length <= value,
+        message: `${tag} property must be at most ${value} characters long`
+    }),
+    minWords: (value, tag) => ({
+        test: content => countWords(content) >= value,
+        message: `${tag} property must have at least ${value} words`
+    }),
+    enum: (value, tag) => {
+        if (!Array.isArray(value)) {
+            throw new Error(`enum for ${tag} must be a list of values`);
+        }
+        const allowed = value.map(String);
+        return {
+            test: content => allowed.includes(content),
+            message: `${tag} property must be one of: ${allowed.join(', ')}`
+        };
+    },
+    format: (value, tag) => {
+        const format = FORMATS[String(value).toLowerCase()];
+        if (!format) {
+            throw new Error(`Unknown format "${value}" for ${tag} (expected ${Object.keys(FORMATS).join(', ')})`);
+        }
+        return {
+            test: content => format.test(content),
+            message: `${tag} property must be a valid ${format.label}`
+        };
+    },
+    mustNotContain: (value, tag) => {
+        const forbidden = (Array.isArray(value) ? value : [value]).map(String);
+        return {
+            test: content => !forbidden.some(text => content.includes(text)),
+            message: `${tag} property must not contain ${forbidden.map(text => `"${text}"`).join(' or ')}`
+        };
+    },
+    minItems: (value, tag) => ({
+        test: (content, property) => property.items.length >= value,
+        message: `${tag} property must list at least ${value} entr${value === 1 ? 'y' : 'ies'}`
+    }),
+    requiredFields: (value, tag) => {
+        const required = nameList(value, 'requiredFields', tag);
+        return {
+            test: (content, property) => required.every(key =>
+                property.fields[key] !== undefined || property.items.some(item => item.key === key)),
+            message: `${tag} property must have the fields ${required.join(', ')}`
+        };
+    },
+    requiredAttributes: (value, tag) => {
+        const required = nameList(value, 'requiredAttributes', tag);
+        return {
+            test: (content, property) => required.every(name => property.attributes[name] !== undefined),
+            message: `${tag} tag must have the attributes ${required.join(', ')}`
+        };
+    }
+};
+
+/**
+ * Compile the content validators of every configured property
+ * @param {Object} properties - `properties` section of the configuration
+ * @returns {Map<string, Object[]>} Validators per tag: { name, test, message, severity }
+ * @throws {Error} If a validator is misconfigured (e.g. an invalid pattern or unknown format)
+ */
+function compileValidators(properties) {
+    const compiled = new Map();
+
+    for (const [tag, property] of Object.entries(properties || {})) {
+        const validators = [];
+        for (const [name, factory] of Object.entries(VALIDATORS)) {
+            if (property[name] === undefined) {
+                continue;
+            }
+            const setting = property[name];
+            const options = setting !== null && typeof setting === 'object' && !Array.isArray(setting)
+                ? setting
+                : { value: setting };
+            const validator = factory(options.value, tag, options);
+            validators.push({
+                name,
+                test: validator.test,
+                message: options.message || validator.message,
+                severity: options.severity || property.severity
+            });
+        }
+        if (validators.length > 0) {
+            compiled.set(tag, validators);
+        }
+    }
+
+    return compiled;
+}
+
+module.exports = {
+    FORMATS,
+    compileValidators
+};
@@ -0,0 +1,128 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+/**
+ * Lint files on worker threads, for workspace-wide checks.
+ * Each worker runs ./lintWorker with its own PropertyLinter, so large
+ * workspaces do not block the extension host. Results are handed over one
+ * file at a time as workers finish, in no particular order.
+ */
+
+const WORKER_SCRIPT = path.join(__dirname, 'lintWorker.js');
+
+/**
+ * Get the number of worker threads to use
+ * @returns {number} One less than the number of CPUs, at least 1
+ */
+function defaultThreadCount() {
+    return Math.max(1, os.cpus().length - 1);
+}
+
+/**
+ * Lint files on a pool of worker threads
+ * A worker that fails or exits while linting a file is replaced, and that
+ * file is reported as { filePath, error } so no job is left pending.
+ * @param {Object[]} jobs - Files to lint: { filePath, root, settingsLayers }, where root is
+ *     the directory configs are searched from when there is no file (see loadProjectConfig)
+ * @param {Object} options - { onResult(result), signal?: AbortSignal, threads?: number };
+ *     results are { filePath, findings, configError } or { filePath, error }
+ * @returns {Promise<void>} Resolves once every file is linted or the signal aborts
+ * @throws {Error} If onResult throws
+ */
+function lintInWorkers(jobs, options) {
+    const { onResult, signal } = options;
+    const queue = [...jobs];
+    const threads = Math.min(queue.length, options.threads || defaultThreadCount());
+    if (threads === 0 || (signal && signal.aborted)) {
+        return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+        // The job each live worker is linting, or null while it is idle
+        const workers = new Map();
+        let settled = false;
+        const idle = () => [...workers.values()].every(job => job === null);
+
+        const settle = error => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            workers.forEach((job, worker) => worker.terminate());
+            if (error) {
+                reject(error);
+            } else {
+                resolve();
+            }
+        };
+
+        const dispatch = worker => {
+            if (queue.length > 0) {
+                const job = queue.shift();
+                workers.set(worker, job);
+                worker.postMessage(job);
+            } else if (idle()) {
+                settle();
+            }
+        };
+
+        const deliver = result => {
+            try {
+                onResult(result);
+                return true;
+            } catch (error) {
+                settle(error);
+                return false;
+            }
+        };
+
+        const start = () => {
+            const worker = new Worker(WORKER_SCRIPT);
+            workers.set(worker, null);
+
+            // 'error' is followed by 'exit', and either may come alone
+            const fail = error => {
+                if (settled || !workers.has(worker)) {
+                    return;
+                }
+                const job = workers.get(worker);
+                workers.delete(worker);
+                worker.terminate();
+                if (job && !deliver({ filePath: job.filePath, error: error.message })) {
+                    return;
+                }
+                if (queue.length > 0) {
+                    start();
+                } else if (idle()) {
+                    settle();
+                }
+            };
+
+            worker.on('message', result => {
+                if (settled) {
+                    return;
+                }
+                workers.set(worker, null);
+                if (deliver(result)) {
+                    dispatch(worker);
+                }
+            });
+            worker.on('error', fail);
+            worker.on('exit', code => fail(new Error(`Lint worker exited with code ${code}`)));
+            dispatch(worker);
+        };
+
+        if (signal) {
+            signal.addEventListener('abort', () => settle(), { once: true });
+        }
+        for (let i = 0; i < threads; i++) {
+            start();
+        }
+    });
+}
+
+module.exports = {
+    defaultThreadCount,
+    lintInWorkers
+};
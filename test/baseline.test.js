@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    BASELINE_FILE,
+    createBaseline,
+    applyBaseline,
+    pruneDeletedFiles,
+    readBaseline,
+    writeBaseline
+} = require('../src/baseline');
+
+const root = path.join(os.tmpdir(), 'project');
+const filePath = path.join(root, 'src', 'a.js');
+const finding = (functionName, rule, property) => ({ functionName, rule, property, severity: 'error', message: 'm', start: 0, end: 1 });
+
+describe('baseline', () => {
+    it('counts findings per function, rule and property by relative path', () => {
+        const baseline = createBaseline([
+            { filePath, findings: [finding('f', 'missing-property', 'author'), finding('f', 'missing-property', 'author')] },
+            { filePath: path.join(root, 'clean.js'), findings: [] }
+        ], root);
+        assert.deepEqual(baseline.files, {
+            'src/a.js': [{ function: 'f', rule: 'missing-property', property: 'author', count: 2 }]
+        });
+    });
+
+    it('hides recorded findings and reports new ones', () => {
+        const baseline = createBaseline([{ filePath, findings: [finding('f', 'missing-property', 'author')] }], root);
+        const { results, changed } = applyBaseline(baseline, [{
+            filePath,
+            findings: [finding('f', 'missing-property', 'author'), finding('g', 'missing-property', 'author')]
+        }], root);
+        assert.deepEqual(results[0].findings.map(result => result.functionName), ['g']);
+        assert.equal(changed, false);
+    });
+
+    it('prunes entries that were fixed, except for rules the run did not check', () => {
+        const baseline = createBaseline([{
+            filePath,
+            findings: [finding('f', 'missing-property', 'author'), finding('f', 'example-failed')]
+        }], root);
+        const { baseline: pruned, changed } = applyBaseline(baseline, [{ filePath, findings: [] }], root,
+            rule => rule !== 'example-failed');
+        assert.equal(changed, true);
+        assert.deepEqual(pruned.files['src/a.js'].map(entry => entry.rule), ['example-failed']);
+    });
+
+    it('drops files that no longer exist and round-trips through disk', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'luke-linter-baseline-'));
+        try {
+            fs.writeFileSync(path.join(directory, 'kept.js'), '');
+            const baseline = createBaseline([
+                { filePath: path.join(directory, 'kept.js'), findings: [finding('f', 'missing-returns')] },
+                { filePath: path.join(directory, 'deleted.js'), findings: [finding('g', 'missing-returns')] }
+            ], directory);
+            const { baseline: pruned, changed } = await pruneDeletedFiles(baseline, directory);
+            assert.equal(changed, true);
+            assert.deepEqual(Object.keys(pruned.files), ['kept.js']);
+
+            const baselinePath = path.join(directory, BASELINE_FILE);
+            assert.equal(await readBaseline(baselinePath), null);
+            await writeBaseline(baselinePath, pruned);
+            assert.deepEqual(await readBaseline(baselinePath), pruned);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+});
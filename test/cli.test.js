@@ -0,0 +1,168 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs, formatResults, run } = require('../src/cli');
+const { collectFiles, lintFiles, positionAt } = require('../src/runner');
+const { BASELINE_FILE, createBaseline, readBaseline, writeBaseline } = require('../src/baseline');
+
+const DOCUMENTED = [
+    '/**',
+    ' * [[OPEN:masterFormula]] f [[CLOSE:masterFormula]]',
+    ' * [[OPEN:author]] a [[CLOSE:author]]',
+    ' * [[OPEN:description]] d [[CLOSE:description]]',
+    ' */',
+    ''
+].join('\n');
+
+describe('cli', () => {
+    let root;
+
+    /**
+     * Write a file below the temporary root
+     * @param {string} relativePath - Path relative to the root
+     * @param {string} content - File content
+     * @returns {string} The absolute path
+     */
+    function write(relativePath, content) {
+        const filePath = path.join(root, relativePath);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content);
+        return filePath;
+    }
+
+    /**
+     * Run the CLI with a JSON report written to a file
+     * @param {string[]} argv - Arguments besides the report options
+     * @returns {Promise<{code: number, report: Object}>} Exit code and the parsed report
+     */
+    async function runJson(argv) {
+        const outputFile = path.join(root, 'out', 'report.json');
+        const code = await run([...argv, '--format', 'json', '--output-file', outputFile]);
+        return { code, report: JSON.parse(fs.readFileSync(outputFile, 'utf8')) };
+    }
+
+    before(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'luke-linter-cli-'));
+        write('src/clean.js', DOCUMENTED);
+        write('src/undocumented.js', 'function f() {}\n');
+        write('src/notes.txt', 'function f() {}\n');
+        write('dist/bundle.js', 'function f() {}\n');
+        write('generated/g.js', 'function f() {}\n');
+        write('.gitignore', 'generated/\n');
+    });
+
+    after(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('parses options and defaults the paths to the root', () => {
+        const options = parseArgs(['--root', root, '--ext', 'js,.ts', '--ignore', 'a/**', '--ignore', '!a/b.js', '--quiet']);
+        assert.equal(options.root, root);
+        assert.deepEqual(options.paths, [root]);
+        assert.deepEqual(options.fileTypes, ['.js', '.ts']);
+        assert.deepEqual(options.ignorePatterns, ['a/**', '!a/b.js']);
+        assert.equal(options.quiet, true);
+        assert.equal(options.baseline, path.join(root, '.luke-linter-baseline.json'));
+    });
+
+    it('rejects unknown options and missing values', () => {
+        assert.throws(() => parseArgs(['--nope']), /Unknown option --nope/);
+        assert.throws(() => parseArgs(['--format']), /Missing value for --format/);
+        assert.throws(() => parseArgs(['--format', 'pdf']), /Unknown format pdf/);
+        assert.throws(() => parseArgs(['--example-timeout', '0']), /positive number/);
+    });
+
+    it('collects linted file types outside ignored paths', async () => {
+        const options = parseArgs(['--root', root]);
+        const files = await collectFiles(options.paths, options);
+        assert.deepEqual(files.map(file => path.relative(root, file)),
+            [path.join('src', 'clean.js'), path.join('src', 'undocumented.js')]);
+
+        const withoutGitignore = parseArgs(['--root', root, '--no-gitignore', '--ignore', 'src/**']);
+        assert.deepEqual((await collectFiles(withoutGitignore.paths, withoutGitignore)).map(file => path.relative(root, file)),
+            [path.join('dist', 'bundle.js'), path.join('generated', 'g.js')]);
+    });
+
+    it('resolves paths against the working directory, not the root', async () => {
+        const cwd = process.cwd();
+        process.chdir(path.dirname(root));
+        try {
+            const options = parseArgs(['--root', root, path.join(path.basename(root), 'src')]);
+            assert.deepEqual((await collectFiles(options.paths, options)).map(file => path.relative(root, file)),
+                [path.join('src', 'clean.js'), path.join('src', 'undocumented.js')]);
+        } finally {
+            process.chdir(cwd);
+        }
+    });
+
+    it('lints files with 1-based locations', async () => {
+        const options = parseArgs(['--root', root]);
+        const [clean, undocumented] = await lintFiles([path.join(root, 'src', 'clean.js'), path.join(root, 'src', 'undocumented.js')], options);
+        assert.deepEqual(clean.findings, []);
+        assert.deepEqual(undocumented.findings.map(finding => [finding.rule, finding.line, finding.column]),
+            [['missing-file-block', 1, 1], ['missing-function-block', 1, 10]]);
+        assert.deepEqual(positionAt('a\nbc', 3), { line: 2, column: 2 });
+    });
+
+    it('formats findings as text with a summary', () => {
+        const results = [{
+            filePath: path.join(root, 'a.js'),
+            findings: [
+                { severity: 'error', message: 'Broken', rule: 'r1', line: 1, column: 2 },
+                { severity: 'warning', message: 'Odd', rule: 'r2', line: 3, column: 4 }
+            ]
+        }];
+        assert.equal(formatResults(results, root),
+            'a.js:1:2: error Broken (r1)\na.js:3:4: warning Odd (r2)\n\n2 problems (1 error, 1 warning)');
+        assert.equal(formatResults([{ filePath: path.join(root, 'a.js'), findings: [] }], root), '');
+
+        results[0].findings.push(
+            { severity: 'info', message: 'Note', rule: 'r3', line: 5, column: 1 },
+            { severity: 'info', message: 'Note', rule: 'r3', line: 6, column: 1 }
+        );
+        assert.match(formatResults(results, root), /\n\n4 problems \(1 error, 1 warning, 2 infos\)$/);
+    });
+
+    it('exits with 1 when errors are found and 0 otherwise', async () => {
+        const failing = await runJson(['--root', root]);
+        assert.equal(failing.code, 1);
+        assert.deepEqual(failing.report.files.map(file => file.filePath), ['src/clean.js', 'src/undocumented.js']);
+        assert.equal((await runJson(['--root', root, path.join(root, 'src', 'clean.js')])).code, 0);
+    });
+
+    it('keeps the baseline entries of rules the configuration turns off', async () => {
+        const directory = path.join(root, 'baselined');
+        const filePath = write('baselined/a.js', 'function f() {}\n');
+        const baselinePath = path.join(directory, BASELINE_FILE);
+        await writeBaseline(baselinePath, createBaseline(await lintFiles([filePath], parseArgs(['--root', directory])), directory));
+        write('baselined/.luke-linter.json', '{ "rules": { "missing-function-block": "off" } }');
+        try {
+            assert.equal((await runJson(['--root', directory])).code, 0);
+            assert.deepEqual((await readBaseline(baselinePath)).files['a.js'].map(entry => entry.rule),
+                ['missing-function-block', 'missing-file-block']);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    it('exits with 2 on a broken config', async () => {
+        const directory = path.join(root, 'broken');
+        write('broken/.luke-linter.json', '{ not json');
+        write('broken/a.js', DOCUMENTED);
+        const stderr = process.stderr.write;
+        let message = '';
+        process.stderr.write = text => {
+            message += text;
+            return true;
+        };
+        try {
+            assert.equal(await run(['--root', directory, '--format', 'json', '--output-file', path.join(root, 'out', 'broken.json')]), 2);
+        } finally {
+            process.stderr.write = stderr;
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+        assert.match(message, /\.luke-linter\.json/);
+    });
+});
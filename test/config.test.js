@@ -0,0 +1,138 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PropertyLinter = require('../src/linter');
+const { CONFIG_FILE, DEFAULTS_SOURCE, ConfigError, mergeConfig, resolveConfig } = require('../src/config');
+
+describe('config', () => {
+    let root;
+
+    /**
+     * Write a file below the temporary root
+     * @param {string} relativePath - Path relative to the root
+     * @param {*} content - Text, or a value written as JSON
+     * @returns {string} The absolute path
+     */
+    function write(relativePath, content) {
+        const filePath = path.join(root, relativePath);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+        return filePath;
+    }
+
+    before(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'luke-linter-config-'));
+    });
+
+    after(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('merges properties over the defaults', () => {
+        const merged = mergeConfig({ properties: { a: { severity: 'error' } } }, { properties: { b: { severity: 'info' } } });
+        assert.deepEqual(Object.keys(merged.properties).sort(), ['a', 'b']);
+    });
+
+    it('applies presets before the config that extends them', async () => {
+        write('extends/preset.json', { properties: { shared: { severity: 'warning' }, local: { severity: 'info' } } });
+        write(`extends/${CONFIG_FILE}`, { extends: './preset.json', properties: { local: { severity: 'error' } } });
+        const { config, files } = await resolveConfig({}, path.join(root, 'extends'));
+        assert.equal(config.properties.shared.severity, 'warning');
+        assert.equal(config.properties.local.severity, 'error');
+        assert.deepEqual(files.map(file => path.basename(file)), ['preset.json', CONFIG_FILE]);
+    });
+
+    it('reloads JavaScript presets after they change', async () => {
+        const presetPath = write('js/preset.js', 'module.exports = { properties: { first: { severity: "error" } } };');
+        write(`js/${CONFIG_FILE}`, { extends: './preset.js' });
+        const first = await resolveConfig({}, path.join(root, 'js'));
+        assert.ok(first.config.properties.first);
+
+        fs.writeFileSync(presetPath, 'module.exports = { properties: { second: { severity: "error" } } };');
+        const second = await resolveConfig({}, path.join(root, 'js'));
+        assert.ok(second.config.properties.second);
+        assert.equal(second.config.properties.first, undefined);
+    });
+
+    it('applies overrides only to matching files', async () => {
+        write(`overrides/${CONFIG_FILE}`, {
+            properties: { a: { severity: 'error' } },
+            overrides: [{ files: '*.test.js', properties: { a: { severity: 'off' } } }]
+        });
+        const directory = path.join(root, 'overrides', 'src');
+        const plain = await resolveConfig({}, directory, path.join(directory, 'a.js'));
+        const test = await resolveConfig({}, directory, path.join(directory, 'a.test.js'));
+        assert.equal(plain.config.properties.a.severity, 'error');
+        assert.equal(test.config.properties.a.severity, 'off');
+    });
+
+    it('stops the search at a root config', async () => {
+        write(`nested/${CONFIG_FILE}`, { properties: { outer: { severity: 'error' } } });
+        write(`nested/inner/${CONFIG_FILE}`, { root: true, properties: { inner: { severity: 'error' } } });
+        const { config } = await resolveConfig({}, path.join(root, 'nested', 'inner'));
+        assert.ok(config.properties.inner);
+        assert.equal(config.properties.outer, undefined);
+    });
+
+    it('rejects circular and missing presets', async () => {
+        write('cycle/a.json', { extends: './b.json' });
+        write('cycle/b.json', { extends: './a.json' });
+        write(`cycle/${CONFIG_FILE}`, { extends: './a.json' });
+        await assert.rejects(resolveConfig({}, path.join(root, 'cycle')), error =>
+            error instanceof ConfigError && /Circular extends/.test(error.message));
+
+        write(`missing/${CONFIG_FILE}`, { extends: 'no-such-preset-package' });
+        await assert.rejects(resolveConfig({}, path.join(root, 'missing')), /Cannot find preset/);
+    });
+
+    it('lints with the defaults and keeps the error when a config is broken', async () => {
+        write(`broken/${CONFIG_FILE}`, '{ not json');
+        const linter = new PropertyLinter();
+        await linter.loadProjectConfig(root, path.join(root, 'broken', 'a.js'));
+        assert.ok(linter.configError instanceof ConfigError);
+        assert.equal(linter.propertyConfig, linter.defaultConfig);
+    });
+
+    it('applies customProperties settings below config files and records their sources', async () => {
+        write(`settings/${CONFIG_FILE}`, { properties: { owner: { severity: 'error' } } });
+        const linter = new PropertyLinter();
+        linter.settingsLayers = [
+            { source: 'User settings', config: { properties: { owner: { severity: 'info', required: true }, team: { severity: 'hint' } } } },
+            { source: 'Workspace settings', config: { properties: { team: { severity: 'warning', scopes: ['file'] } } } }
+        ];
+        await linter.loadProjectConfig(root, path.join(root, 'settings', 'a.js'));
+        const { properties, scopes } = linter.propertyConfig;
+        assert.deepEqual(properties.owner, { severity: 'error', required: true });
+        assert.deepEqual(properties.team, { severity: 'warning' });
+        assert.ok(scopes.file.includes('team'));
+        assert.equal(linter.configSources['properties.owner.severity'], path.join(root, 'settings', CONFIG_FILE));
+        assert.equal(linter.configSources['properties.owner.required'], 'User settings');
+        assert.equal(linter.configSources['properties.team.severity'], 'Workspace settings');
+        assert.equal(linter.configSources['properties.masterFormula.severity'], DEFAULTS_SOURCE);
+    });
+
+    it('reports settings that cannot be compiled as a config error', async () => {
+        write(`invalid/${CONFIG_FILE}`, { properties: { description: { pattern: '(' } } });
+        const linter = new PropertyLinter();
+        await linter.loadProjectConfig(root, path.join(root, 'invalid', 'a.js'));
+        assert.ok(linter.configError instanceof ConfigError);
+        assert.match(linter.configError.message, /^Invalid configuration: Invalid regular expression/);
+        assert.equal(linter.propertyConfig, linter.defaultConfig);
+    });
+
+    it('shares the configuration of files with the same configs and overrides', async () => {
+        const linter = new PropertyLinter();
+        const directory = path.join(root, 'overrides', 'src');
+        await linter.loadProjectConfig(root, path.join(directory, 'a.js'));
+        const first = linter.propertyConfig;
+        await linter.loadProjectConfig(root, path.join(directory, 'b.js'));
+        assert.equal(linter.propertyConfig, first);
+        await linter.loadProjectConfig(root, path.join(directory, 'deeper', 'c.js'));
+        assert.equal(linter.propertyConfig, first);
+        await linter.loadProjectConfig(root, path.join(directory, 'a.test.js'));
+        assert.notEqual(linter.propertyConfig, first);
+        assert.equal(linter.configCache.size, 2);
+    });
+});
@@ -0,0 +1,93 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const { validateConfigText } = require('../src/configValidation');
+const { RULES, SEVERITIES } = require('../src/rules');
+const { FORMATS } = require('../src/validators');
+const schema = require('../schemas/luke-linter.schema.json');
+
+const configPath = path.join(os.tmpdir(), 'luke-linter-validation', '.luke-linter.json');
+const inherited = { tags: ['masterFormula'], scopes: ['file', 'function'] };
+
+/**
+ * Validate a configuration and describe its problems
+ * @param {Object} config - Content of .luke-linter.json
+ * @returns {string[]} "severity message @ reported text" per problem
+ */
+function problemsOf(config) {
+    const text = JSON.stringify(config, null, 4);
+    return validateConfigText(text, configPath, inherited)
+        .map(problem => `${problem.severity} ${problem.message} @ ${text.substring(problem.start, problem.end)}`);
+}
+
+describe('config validation', () => {
+    it('accepts a valid configuration', () => {
+        assert.deepEqual(problemsOf({
+            properties: { owner: { severity: 'warning', format: 'email', aliases: ['@owner'] } },
+            scopes: { file: ['masterFormula', 'owner'] },
+            rules: { 'param-order': 'off' },
+            returnsConsistency: { function: 'error' }
+        }), []);
+    });
+
+    it('reports invalid JSON where it fails', () => {
+        const [problem] = validateConfigText('{\n    "rules": {\n}', configPath);
+        assert.match(problem.message, /^Invalid JSON/);
+        assert.equal(problem.severity, 'error');
+    });
+
+    it('reports severities, validators and aliases that cannot be used', () => {
+        assert.deepEqual(problemsOf({
+            properties: {
+                owner: { severity: 'loud', format: 'phone', aliases: ['bad alias!', '@owner'] },
+                other: { aliases: ['@owner'] }
+            }
+        }), [
+            'error Invalid severity "loud" (expected error, warning, info, hint) @ "loud"',
+            'error Unknown format "phone" for owner (expected email, date, semver, url) @ "phone"',
+            'error Alias "bad alias!" is neither a JSDoc tag (@name) nor a docstring section (Name) @ "bad alias!"',
+            'error Alias "@owner" is already used by the owner property @ "@owner"'
+        ]);
+    });
+
+    it('reports undefined tags, scopes without lists and unknown rules', () => {
+        assert.deepEqual(problemsOf({
+            scopes: { file: ['ghost'] },
+            docTags: { '@x': 'ghost' },
+            scopeSelectors: { helpers: { kind: 'method' } },
+            rules: { 'no-such-rule': 'off', 'param-order': 'never' }
+        }), [
+            'error Property "ghost" is listed in the file scope but not defined in properties @ "ghost"',
+            'error Property "ghost" is mapped from @x in docTags but not defined in properties @ "ghost"',
+            'error Scope helpers has a selector but no property list in scopes @ "helpers"',
+            'warning Unknown rule "no-such-rule" @ "no-such-rule"',
+            'error Invalid severity "never" (expected off, error, warning, info, hint) @ "never"'
+        ]);
+    });
+
+    it('checks presets and the settings of overrides', () => {
+        assert.deepEqual(problemsOf({
+            extends: './missing.json',
+            overrides: [{ files: '*.ts', rules: { 'param-order': 'bad' } }]
+        }), [
+            'error Cannot find preset "./missing.json" @ "./missing.json"',
+            'error Invalid severity "bad" (expected off, error, warning, info, hint) @ "bad"'
+        ]);
+    });
+});
+
+describe('config schema', () => {
+    it('lists every rule under rules', () => {
+        assert.deepEqual(Object.keys(schema.properties.rules.properties), Object.keys(RULES));
+        for (const [rule, definition] of Object.entries(schema.properties.rules.properties)) {
+            assert.equal(definition.description, RULES[rule].description, rule);
+        }
+    });
+
+    it('matches the severities and formats of the linter', () => {
+        assert.deepEqual(schema.definitions.severity.enum, SEVERITIES);
+        assert.deepEqual(schema.definitions.severityOrOff.enum, ['off', ...SEVERITIES]);
+        assert.deepEqual(schema.definitions.property.properties.format.anyOf[0].enum, Object.keys(FORMATS));
+    });
+});
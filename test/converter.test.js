@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { toPropertyTags, toDocComments, applyEdits } = require('../src/converter');
+const { LanguageRegistry } = require('../src/languages');
+const { docTags } = require('../src/propertyConfig.json');
+
+const languages = new LanguageRegistry();
+
+describe('converter', () => {
+    it('applies edits from the end so offsets stay valid', () => {
+        assert.equal(applyEdits('abcdef', [{ start: 0, end: 1, newText: 'X' }, { start: 4, end: 6, newText: 'YZ!' }]), 'XbcdYZ!');
+    });
+
+    it('converts JSDoc comments to property blocks', () => {
+        const text = [
+            '/**',
+            ' * Read a file',
+            ' * @param {string} path - File to read',
+            ' * @returns {string} The text',
+            ' */',
+            'function read(path) {}',
+            ''
+        ].join('\n');
+        const { edits, skipped } = toPropertyTags(text, languages.resolve('a.js'), docTags);
+        const converted = applyEdits(text, edits);
+        assert.equal(skipped, 0);
+        assert.match(converted, /\[\[OPEN:description\]\]\n \* Read a file\n \* \[\[CLOSE:description\]\]/);
+        assert.match(converted, /\[\[OPEN:params\]\]\n \* - path: \{string\} File to read\n/);
+        assert.match(converted, /\[\[OPEN:returns\]\]\n \* \{string\} The text\n/);
+    });
+
+    it('converts property blocks back to JSDoc comments', () => {
+        const text = '/**\n * [[OPEN:description]] Read a file [[CLOSE:description]]\n' +
+            ' * [[OPEN:params]]\n * - path: {string} File to read\n * [[CLOSE:params]]\n */\nfunction read(path) {}\n';
+        const converted = applyEdits(text, toDocComments(text, languages.resolve('a.js'), docTags).edits);
+        assert.match(converted, /^\/\*\*\n \* Read a file\n/);
+        assert.match(converted, / \* @param \{string\} path File to read\n/);
+    });
+
+    it('round-trips Google-style docstrings', () => {
+        const text = [
+            'def f(a):',
+            '    """Add one.',
+            '',
+            '    Args:',
+            '        a (int): Number',
+            '',
+            '    Returns:',
+            '        int: Result',
+            '    """',
+            '    return a + 1',
+            ''
+        ].join('\n');
+        const python = languages.resolve('a.py');
+        const tags = applyEdits(text, toPropertyTags(text, python, docTags).edits);
+        assert.match(tags, /- a: \(int\) Number/);
+        assert.equal(applyEdits(tags, toDocComments(tags, python, docTags).edits), text);
+    });
+
+    it('skips comments that mix property tags with JSDoc tags', () => {
+        const text = '/**\n * [[OPEN:description]] x [[CLOSE:description]]\n * @param {string} a - b\n */\n';
+        assert.deepEqual(toPropertyTags(text, languages.resolve('a.js'), docTags), { edits: [], skipped: 1 });
+    });
+});
@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PropertyLinter = require('../src/linter');
+const { compileAliases, docProperties, styleOf } = require('../src/docComments');
+
+const FILE_BLOCK = [
+    '/**',
+    ' * [[OPEN:masterFormula]] f [[CLOSE:masterFormula]]',
+    ' * [[OPEN:author]] a [[CLOSE:author]]',
+    ' * [[OPEN:description]] d [[CLOSE:description]]',
+    ' */',
+    '',
+    'const a = 1;',
+    '',
+    ''
+].join('\n');
+
+/**
+ * Create a linter whose properties accept aliases
+ * @param {Object} aliases - Aliases per property tag
+ * @returns {Promise<PropertyLinter>} The linter
+ */
+async function linterWithAliases(aliases) {
+    const linter = new PropertyLinter();
+    linter.settingsLayers = [{
+        source: 'test',
+        config: { properties: Object.fromEntries(Object.entries(aliases).map(([tag, list]) => [tag, { aliases: list }])) }
+    }];
+    await linter.loadProjectConfig(null);
+    return linter;
+}
+
+describe('doc comments', () => {
+    const aliases = compileAliases({
+        description: { aliases: ['@description'] },
+        params: { aliases: ['@param', 'Args'] },
+        returns: { aliases: ['@returns', 'Returns'] }
+    });
+
+    it('maps each alias to its property', () => {
+        assert.deepEqual(aliases, { '@description': 'description', '@param': 'params', Args: 'params', '@returns': 'returns', Returns: 'returns' });
+        assert.equal(styleOf('/** a */'), 'jsdoc');
+        assert.equal(styleOf('"""a"""'), 'docstring');
+        assert.equal(styleOf('/* a */'), null);
+    });
+
+    it('reads JSDoc tags as properties, merging repeated tags', () => {
+        const text = '/**\n * Read a file\n * @param {string} path - File to read\n * @param {string} [encoding] - Encoding\n' +
+            ' * @returns {string} The text\n */';
+        const properties = docProperties(text, aliases);
+        assert.deepEqual(properties.map(property => [property.tag, property.alias, text.substring(property.start, property.end)]), [
+            ['description', '@description', 'Read a file'],
+            ['params', '@param', '@param {string} path - File to read\n * @param {string} [encoding] - Encoding'],
+            ['returns', '@returns', '@returns {string} The text']
+        ]);
+        assert.deepEqual(properties[1].items.map(item => [item.key, item.value]),
+            [['path', '{string} File to read'], ['encoding', '{string} Encoding']]);
+    });
+
+    it('ignores tags without an alias and comments that are not doc comments', () => {
+        assert.deepEqual(docProperties('/**\n * @see other\n */', aliases), []);
+        assert.deepEqual(docProperties('/*\n * @param {string} a - b\n */', aliases), []);
+        assert.deepEqual(docProperties('/**\n * Text\n */', {}), []);
+    });
+
+    it('validates JSDoc properties like property tags', async () => {
+        const linter = await linterWithAliases({ description: ['@description'], params: ['@param'], returns: ['@returns'] });
+        const text = FILE_BLOCK + '/**\n * Read a file\n * [[OPEN:masterFormula]] f [[CLOSE:masterFormula]]\n' +
+            ' * @param {string} path - File to read\n * @param {string} extra - Not a parameter\n */\nfunction read(path) { return 1; }\n';
+        assert.deepEqual(linter.lintText(text, 'a.js').map(finding => [finding.rule, text.substring(finding.start, finding.end)]),
+            [['unknown-param', 'extra'], ['missing-returns', 'read']]);
+    });
+
+    it('validates docstring sections like property tags', async () => {
+        const linter = await linterWithAliases({ description: ['@description'], params: ['Args'], returns: ['Returns'] });
+        const text = [
+            '"""',
+            '[[OPEN:masterFormula]] f [[CLOSE:masterFormula]]',
+            '[[OPEN:author]] a [[CLOSE:author]]',
+            '[[OPEN:description]] d [[CLOSE:description]]',
+            '"""',
+            '',
+            'def f(a):',
+            '    """Add one.',
+            '',
+            '    [[OPEN:masterFormula]] f [[CLOSE:masterFormula]]',
+            '',
+            '    Args:',
+            '        a (int): Number',
+            '',
+            '    Returns:',
+            '        int: Result',
+            '    """',
+            '    return a + 1',
+            ''
+        ].join('\n');
+        assert.deepEqual(linter.lintText(text, 'a.py'), []);
+        assert.deepEqual(new PropertyLinter().lintText(text, 'a.py').map(finding => finding.rule), ['missing-property', 'missing-returns']);
+    });
+});
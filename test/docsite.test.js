@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PropertyLinter = require('../src/linter');
+const { DOCS_FILE, documentText, documentFiles, buildModel, loadTemplates, renderSite, writeDocumentation } = require('../src/docsite');
+
+const text = [
+    '/**',
+    ' * [[OPEN:masterFormula]] x [[CLOSE:masterFormula]]',
+    ' * [[OPEN:description]] Adds <numbers> [[CLOSE:description]]',
+    ' */',
+    '',
+    '/**',
+    ' * [[OPEN:description]] Sum of two numbers [[CLOSE:description]]',
+    ' * [[OPEN:example]]',
+    ' * add(1, 2) // => 3',
+    ' * [[CLOSE:example]]',
+    ' */',
+    'function add(a, b) { return a + b; }',
+    '',
+    'module.exports = { add };',
+    ''
+].join('\n');
+
+describe('docsite', () => {
+    const entry = { path: 'src/math.js', ...documentText(text, 'math.js', new PropertyLinter()) };
+
+    it('documents a file and its functions', () => {
+        assert.equal(entry.language, 'javascript');
+        assert.deepEqual(entry.properties.map(property => property.tag), ['masterFormula', 'description']);
+        const [add] = entry.functions;
+        assert.equal(add.name, 'add');
+        assert.equal(add.exported, true);
+        assert.equal(add.line, 12);
+        assert.deepEqual(add.properties.map(property => property.tag), ['description', 'example']);
+    });
+
+    it('groups files by folder', () => {
+        const model = buildModel([entry, { ...entry, path: 'lib/b.js' }, { ...entry, path: 'src/a.js' }], 'Docs');
+        assert.equal(model.title, 'Docs');
+        assert.deepEqual(model.folders.map(folder => [folder.path, folder.files.map(file => file.name)]),
+            [['lib', ['b.js']], ['src', ['a.js', 'math.js']]]);
+    });
+
+    it('rejects templates with unknown placeholders', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'luke-linter-templates-'));
+        try {
+            fs.writeFileSync(path.join(directory, 'index.md'), '{{folders}} {{nope}}');
+            await assert.rejects(loadTemplates('markdown', directory), /Unknown placeholder \{\{nope\}\} in the index template/);
+            fs.writeFileSync(path.join(directory, 'index.md'), 'Files: {{fileCount}}');
+            assert.equal((await loadTemplates('markdown', directory)).index, 'Files: {{fileCount}}');
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    for (const format of ['markdown', 'html']) {
+        it(`renders a ${format} site`, async () => {
+            const model = buildModel([entry], 'Docs');
+            const site = renderSite(model, { format, templates: await loadTemplates(format), sourceBase: '..' });
+            const extension = format === 'html' ? '.html' : '.md';
+            assert.deepEqual(site.map(file => file.path), [`index${extension}`, `src/math.js${extension}`, DOCS_FILE]);
+            assert.match(site[0].content, /Adds/);
+            assert.match(site[1].content, /add\(1, 2\)/);
+            assert.match(site[1].content, /\.\.\/\.\.\/src\/math\.js#L12/);
+            assert.deepEqual(JSON.parse(site[2].content), model);
+            if (format === 'html') {
+                assert.match(site[0].content, /Adds &lt;numbers&gt;/);
+            }
+        });
+    }
+
+    it('writes the site of files on disk', async () => {
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'luke-linter-docs-'));
+        try {
+            fs.mkdirSync(path.join(root, 'src'));
+            fs.writeFileSync(path.join(root, 'src', 'math.js'), text);
+            const entries = await documentFiles([path.join(root, 'src', 'math.js')], { root });
+            const outputDirectory = path.join(root, 'docs');
+            const result = await writeDocumentation(entries, { outputDirectory, root, format: 'markdown', title: 'Docs' });
+            assert.deepEqual(result, { files: 3, index: path.join(outputDirectory, 'index.md') });
+            assert.ok(fs.existsSync(path.join(outputDirectory, 'src', 'math.js.md')));
+            await assert.rejects(writeDocumentation(entries, { outputDirectory, root, format: 'pdf', title: 'Docs' }),
+                /Unknown documentation format pdf/);
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+});
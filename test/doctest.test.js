@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const PropertyLinter = require('../src/linter');
+const { runExamples } = require('../src/doctest');
+
+const filePath = path.join(os.tmpdir(), 'luke-linter-examples.js');
+
+/**
+ * Build a file holding one documented function per example
+ * @param {Object} examples - Example source per function name
+ * @returns {string} The file text
+ */
+function fileWithExamples(examples) {
+    const functions = Object.entries(examples).map(([name, source]) => [
+        '/**',
+        ' * [[OPEN:masterFormula]] x [[CLOSE:masterFormula]]',
+        ' * [[OPEN:description]] d [[CLOSE:description]]',
+        ' * [[OPEN:example]]',
+        ...source.split('\n').map(line => ` * ${line}`),
+        ' * [[CLOSE:example]]',
+        ' */',
+        `function ${name}(a, b) { return a + b; }`,
+        ''
+    ].join('\n'));
+    return functions.join('\n') + `\nmodule.exports = { ${Object.keys(examples).join(', ')} };\n`;
+}
+
+/**
+ * Run the examples of a file and list the failing functions by rule
+ * @param {Object} examples - Example source per function name
+ * @param {number} timeout - Time limit for the file in milliseconds
+ * @returns {Promise<string[]>} "rule functionName" per failing example
+ */
+async function failures(examples, timeout = 2000) {
+    const findings = await runExamples(fileWithExamples(examples), filePath, new PropertyLinter(), { timeout });
+    return findings.map(finding => `${finding.rule} ${finding.functionName}`);
+}
+
+describe('doctest', () => {
+    it('passes examples whose assertions hold', async () => {
+        assert.deepEqual(await failures({ add: 'add(1, 2) // => 3' }), []);
+    });
+
+    it('reports failing assertions and thrown errors', async () => {
+        assert.deepEqual(await failures({
+            wrong: 'wrong(1, 1) // => 3',
+            throws: 'null.x'
+        }), ['example-failed wrong', 'example-error throws']);
+    });
+
+    it('stops examples that keep the thread busy after awaiting', async () => {
+        const started = Date.now();
+        const result = await failures({ spin: 'await null;\nwhile (true) {}', after: 'after(1, 2) // => 3' }, 500);
+        assert.deepEqual(result, ['example-timeout spin', 'example-timeout after']);
+        assert.ok(Date.now() - started < 5000);
+    });
+
+    it('reports an example that exits the thread', async () => {
+        assert.deepEqual(await failures({ quits: 'process.exit(3)' }), ['example-error quits']);
+    });
+});
@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PropertyLinter = require('../src/linter');
+
+const FILE_BLOCK = [
+    '/**',
+    ' * [[OPEN:masterFormula]] f [[CLOSE:masterFormula]]',
+    ' * [[OPEN:author]] a [[CLOSE:author]]',
+    ' * [[OPEN:description]] d [[CLOSE:description]]',
+    ' */',
+    '',
+    'const a = 1;',
+    '',
+    ''
+].join('\n');
+
+/**
+ * Describe the findings of a text
+ * @param {PropertyLinter} linter - The linter
+ * @param {string} text - JavaScript source
+ * @returns {string[]} "rule: reported text" per finding
+ */
+function lint(linter, text) {
+    return linter.lintText(text, 'a.js').map(finding => `${finding.rule}: ${text.substring(finding.start, finding.end)}`);
+}
+
+describe('finding cache', () => {
+    it('reuses the findings of unchanged functions at their new offsets', () => {
+        const linter = new PropertyLinter();
+        const before = FILE_BLOCK + 'function first() {}\n\nfunction second() {}\n';
+        assert.deepEqual(lint(linter, before), ['missing-function-block: first', 'missing-function-block: second']);
+        const cache = linter.findingCache.get(linter.propertyConfig);
+        assert.equal(cache.size, 2);
+
+        const after = FILE_BLOCK + '// moved\nfunction first() {}\n\nfunction renamed() {}\n';
+        assert.deepEqual(lint(linter, after), ['missing-function-block: first', 'missing-function-block: renamed']);
+        assert.equal(cache.size, 3);
+    });
+
+    it('keeps findings apart per configuration', () => {
+        const linter = new PropertyLinter();
+        const text = FILE_BLOCK + 'function f() {}\n';
+        lint(linter, text);
+        linter.propertyConfig = { ...linter.propertyConfig, rules: { 'missing-function-block': 'warning' } };
+        assert.deepEqual(linter.lintText(text, 'a.js').map(finding => finding.severity), ['warning']);
+    });
+});
@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PropertyLinter = require('../src/linter');
+const { computeFixes, computeFixAll } = require('../src/fixes');
+const { applyEdits } = require('../src/converter');
+
+const linter = new PropertyLinter();
+
+/**
+ * Get the fix context for a file name
+ * @param {string} fileName - File name
+ * @returns {Object} Context for computeFixes and computeFixAll
+ */
+function contextFor(fileName) {
+    return {
+        config: linter.propertyConfig,
+        language: linter.languages.resolve(fileName),
+        parseProperties: text => linter.parseProperties(text)
+    };
+}
+
+describe('fixes', () => {
+    it('renames a mismatched close tag', () => {
+        const text = '/**\n * [[OPEN:masterFormula]] x [[CLOSE:masterFormula]]\n * [[OPEN:author]] a [[CLOSE:author]]\n' +
+            ' * [[OPEN:description]] file [[CLOSE:descripton]]\n */\n';
+        const findings = linter.lintText(text, 'a.js');
+        const mismatched = findings.find(finding => finding.rule === 'mismatched-tag');
+        const [fix] = computeFixes(text, mismatched, findings, contextFor('a.js'));
+        assert.equal(fix.title, 'Rename to [[CLOSE:description]]');
+        assert.deepEqual(linter.lintText(applyEdits(text, fix.edits), 'a.js'), []);
+    });
+
+    it('offers to add one or all missing properties', () => {
+        const text = '/**\n * [[OPEN:masterFormula]] x [[CLOSE:masterFormula]]\n */\n\nconst a = 1;\n';
+        const findings = linter.lintText(text, 'a.js');
+        const missing = findings.find(finding => finding.rule === 'missing-property');
+        assert.deepEqual(computeFixes(text, missing, findings, contextFor('a.js')).map(fix => fix.title),
+            [`Add missing ${missing.property} property`, 'Add all missing properties to this block']);
+    });
+
+    it('fixes every fixable finding of a file at once', () => {
+        const text = '/**\n * [[OPEN:masterFormula]] x [[CLOSE:masterFormula]]\n */\n\nconst a = 1;\n\nfunction foo() {}\n';
+        const findings = linter.lintText(text, 'a.js');
+        assert.deepEqual(findings.map(finding => finding.rule).sort(),
+            ['missing-function-block', 'missing-property', 'missing-property']);
+        const fixed = applyEdits(text, computeFixAll(text, findings, contextFor('a.js')));
+        assert.match(fixed, /\[\[OPEN:author\]\]/);
+        assert.match(fixed, /\[\[OPEN:masterFormula\]\][\s\S]*\[\[CLOSE:example\]\]\n\*\/\nfunction foo/);
+        assert.deepEqual(linter.lintText(fixed, 'a.js').filter(finding => finding.severity === 'error'), []);
+    });
+});
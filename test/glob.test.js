@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { globToRegExp, compileGlob, matchesAny } = require('../src/glob');
+
+/**
+ * Tell which paths a glob matches
+ * @param {string} pattern - The glob
+ * @param {string[]} paths - Forward-slash relative paths
+ * @returns {string[]} The matching paths
+ */
+function matching(pattern, paths) {
+    const regex = globToRegExp(pattern);
+    return paths.filter(candidate => regex.test(candidate));
+}
+
+describe('glob', () => {
+    it('matches within and across directories', () => {
+        const paths = ['a.js', 'src/a.js', 'src/lib/a.js', 'src/a.ts'];
+        assert.deepEqual(matching('*.js', paths), ['a.js']);
+        assert.deepEqual(matching('src/*.js', paths), ['src/a.js']);
+        assert.deepEqual(matching('**/*.js', paths), ['a.js', 'src/a.js', 'src/lib/a.js']);
+        assert.deepEqual(matching('src/**/a.?s', paths), ['src/a.js', 'src/lib/a.js', 'src/a.ts']);
+    });
+
+    it('matches alternatives and character classes', () => {
+        assert.deepEqual(matching('*.{js,ts}', ['a.js', 'a.ts', 'a.py']), ['a.js', 'a.ts']);
+        assert.deepEqual(matching('v[0-9].js', ['v1.js', 'vx.js']), ['v1.js']);
+        assert.deepEqual(matching('v[!0-9].js', ['v1.js', 'vx.js']), ['vx.js']);
+    });
+
+    it('lets a trailing /** match the directory itself', () => {
+        assert.deepEqual(matching('dist/**', ['dist', 'dist/a.js', 'distro/a.js']), ['dist', 'dist/a.js']);
+    });
+
+    it('escapes regular expression characters and normalizes separators', () => {
+        assert.deepEqual(matching('a+b(1).js', ['a+b(1).js', 'aab1.js']), ['a+b(1).js']);
+        assert.ok(matchesAny('src\\a.js', ['./src/*.js']));
+        assert.ok(!matchesAny('src/a.js', []));
+    });
+
+    it('converts each pattern only once', () => {
+        const regex = compileGlob('lib/*.js');
+        assert.equal(compileGlob('lib/*.js'), regex);
+        assert.deepEqual(regex, globToRegExp('lib/*.js'));
+        assert.ok(matchesAny('lib/a.js', ['lib/*.js']));
+    });
+});
@@ -0,0 +1,66 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { IGNORE_FILE, GITIGNORE_FILE, compileIgnoreFile, createIgnoreMatcher } = require('../src/ignore');
+
+describe('ignore', () => {
+    let root;
+
+    /**
+     * Tell which paths a matcher ignores
+     * @param {Object} matcher - Matcher from createIgnoreMatcher
+     * @param {string[]} paths - Forward-slash paths relative to the root; a trailing / marks a directory
+     * @returns {Promise<string[]>} The ignored paths
+     */
+    async function ignored(matcher, paths) {
+        const results = [];
+        for (const relative of paths) {
+            const isDirectory = relative.endsWith('/');
+            if (await matcher.isIgnored(path.join(root, ...relative.split('/').filter(Boolean)), isDirectory)) {
+                results.push(relative);
+            }
+        }
+        return results;
+    }
+
+    before(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'luke-linter-ignore-'));
+        fs.mkdirSync(path.join(root, 'src', 'vendor'), { recursive: true });
+        fs.writeFileSync(path.join(root, GITIGNORE_FILE), '# build output\nout/\n*.gen.js\n!keep.gen.js\n');
+        fs.writeFileSync(path.join(root, 'src', IGNORE_FILE), 'vendor/\n/local.js\n');
+    });
+
+    after(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('compiles .gitignore lines', () => {
+        const rules = compileIgnoreFile('# comment\n\n!a.js\n\\#b.js\nc/\n/d/e.js\n', 'sub');
+        assert.deepEqual(rules.map(rule => [rule.negated, rule.directoryOnly, rule.base]),
+            [[true, false, 'sub'], [false, false, 'sub'], [false, true, 'sub'], [false, false, 'sub']]);
+        assert.ok(rules[1].regex.test('x/#b.js'));
+        assert.ok(rules[3].regex.test('d/e.js'));
+        assert.ok(!rules[3].regex.test('x/d/e.js'));
+    });
+
+    it('applies ignore files below their directory, last match winning', async () => {
+        const matcher = createIgnoreMatcher(root);
+        assert.deepEqual(await ignored(matcher, [
+            'out/', 'out/a.js', 'a.gen.js', 'src/keep.gen.js',
+            'src/vendor/', 'src/vendor/a.js', 'src/local.js', 'src/lib/local.js', 'local.js', 'src/a.js'
+        ]), ['out/', 'out/a.js', 'a.gen.js', 'src/vendor/', 'src/vendor/a.js', 'src/local.js']);
+    });
+
+    it('lets ignorePatterns take precedence and skips .gitignore when asked', async () => {
+        const matcher = createIgnoreMatcher(root, { patterns: ['src/*.js', '!src/local.js'], useGitignore: false });
+        assert.deepEqual(await ignored(matcher, ['out/a.js', 'src/a.js', 'src/local.js', 'src/vendor/a.js']),
+            ['src/a.js', 'src/vendor/a.js']);
+    });
+
+    it('never ignores paths outside the root', async () => {
+        const matcher = createIgnoreMatcher(path.join(root, 'src'), { patterns: ['**'] });
+        assert.equal(await matcher.isIgnored(path.join(root, 'a.js')), false);
+    });
+});
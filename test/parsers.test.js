@@ -0,0 +1,192 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PropertyLinter = require('../src/linter');
+const javascript = require('../src/parsers/javascript');
+const python = require('../src/parsers/python');
+const { LanguageRegistry, DEFAULT_LANGUAGE } = require('../src/languages');
+
+/**
+ * Get a declaration by name
+ * @param {Object[]} declarations - Parsed declarations
+ * @param {string} name - Declaration name
+ * @returns {Object} The declaration
+ */
+function named(declarations, name) {
+    const declaration = declarations.find(candidate => candidate.name === name);
+    assert.ok(declaration, `no declaration named ${name}`);
+    return declaration;
+}
+
+describe('javascript parser', () => {
+    const text = [
+        'export function a(x, { y }, ...rest) { return x; }',
+        'const b = async () => { await 1; };',
+        'function* g() { yield 1; }',
+        'class C { #p() {} m() {} }',
+        'module.exports = { b };',
+        'const s = "function fake() {}";',
+        ''
+    ].join('\n');
+    const declarations = javascript.parseDeclarations(text, 'a.js');
+
+    it('finds declarations but not keywords in strings', () => {
+        assert.deepEqual(declarations.map(declaration => `${declaration.kind} ${declaration.name}`),
+            ['function a', 'arrow b', 'function g', 'class C', 'method #p', 'method m', 'variable s']);
+    });
+
+    it('tells which declarations are exported', () => {
+        assert.equal(named(declarations, 'a').exported, true);
+        assert.equal(named(declarations, 'b').exported, true);
+        assert.equal(named(declarations, 'g').exported, false);
+    });
+
+    it('reads parameters and what a function returns', () => {
+        assert.deepEqual(named(declarations, 'a').params.map(param => [param.name, param.rest, param.destructured]),
+            [['x', false, false], ['y', false, true], ['rest', true, false]]);
+        assert.deepEqual(named(declarations, 'a').returns, { value: true, generator: false, async: false });
+        assert.equal(named(declarations, 'b').returns.async, true);
+        assert.equal(named(declarations, 'g').returns.generator, true);
+    });
+
+    it('reads TypeScript visibility modifiers and body ranges', () => {
+        const source = 'class T {\n    private a() {\n        return 1;\n    }\n    protected b() {}\n    public _c() {}\n}\n';
+        const parsed = javascript.parseDeclarations(source, 'a.ts');
+        assert.equal(named(parsed, 'a').visibility, 'private');
+        assert.equal(named(parsed, 'b').visibility, 'private');
+        assert.equal(named(parsed, '_c').visibility, 'public');
+        const a = named(parsed, 'a');
+        assert.equal(source.substring(a.bodyStart, a.bodyEnd), 'return 1;');
+        assert.equal(named(parsed, 'b').bodyStart, named(parsed, 'b').bodyEnd);
+    });
+});
+
+describe('python parser', () => {
+    const text = [
+        'class A:',
+        '    """Doc."""',
+        '    def m(self, a, *args, b=1, **kw):',
+        '        return a',
+        '    def _p(self): pass',
+        '',
+        '__all__ = ["A"]',
+        '',
+        'def hidden():',
+        '    yield 1',
+        ''
+    ].join('\n');
+    const declarations = python.parseDeclarations(text);
+
+    it('finds classes, methods and functions with their docstrings', () => {
+        assert.deepEqual(declarations.map(declaration => `${declaration.kind} ${declaration.name}`),
+            ['class A', 'method m', 'method _p', 'function hidden']);
+        assert.equal(named(declarations, 'A').comment.text, '"""Doc."""');
+    });
+
+    it('exports the names in __all__ and their public members', () => {
+        assert.equal(named(declarations, 'A').exported, true);
+        assert.equal(named(declarations, 'm').exported, true);
+        assert.equal(named(declarations, '_p').exported, false);
+        assert.equal(named(declarations, 'hidden').exported, false);
+    });
+
+    it('reads parameters without self', () => {
+        assert.deepEqual(named(declarations, 'm').params.map(param => [param.name, param.rest]),
+            [['a', false], ['args', true], ['b', false], ['kw', true]]);
+    });
+
+    it('reads property blocks from docstrings and # comments', () => {
+        const source = [
+            '"""',
+            '[[OPEN:masterFormula]] f [[CLOSE:masterFormula]]',
+            '[[OPEN:author]] a [[CLOSE:author]]',
+            '[[OPEN:description]] d [[CLOSE:description]]',
+            '"""',
+            '',
+            '# [[OPEN:masterFormula]] f [[CLOSE:masterFormula]]',
+            '# [[OPEN:description]] d [[CLOSE:description]]',
+            'def commented():',
+            '    pass',
+            '',
+            'def docstring():',
+            '    """',
+            '    [[OPEN:masterFormula]] f [[CLOSE:masterFormula]]',
+            '    [[OPEN:description]] d [[CLOSE:description]]',
+            '    """',
+            '',
+            'def bare():',
+            '    pass',
+            ''
+        ].join('\n');
+        assert.deepEqual(new PropertyLinter().lintText(source, 'a.py').map(finding => [finding.rule, finding.functionName]),
+            [['missing-function-block', 'bare']]);
+    });
+
+    it('detects returns after a compound statement header', () => {
+        const source = [
+            'def inline(x):',
+            '    if x: return 1',
+            '',
+            'def handled():',
+            '    try: return f()',
+            '    finally: pass',
+            '',
+            'def only_none(x):',
+            '    if x:',
+            '        pass',
+            '    else: return None',
+            '',
+            'def in_string_and_comment(x):',
+            '    s = "if x: return 1"  # else: return 2',
+            '    return',
+            ''
+        ].join('\n');
+        const parsed = python.parseDeclarations(source);
+        assert.equal(named(parsed, 'inline').returns.value, true);
+        assert.equal(named(parsed, 'handled').returns.value, true);
+        assert.equal(named(parsed, 'only_none').returns.value, false);
+        assert.equal(named(parsed, 'in_string_and_comment').returns.value, false);
+    });
+});
+
+describe('language registry', () => {
+    it('resolves languages by editor language ID, then by extension', () => {
+        const languages = new LanguageRegistry();
+        assert.equal(languages.resolve('a.PY').id, 'python');
+        assert.equal(languages.resolve('a.txt', 'typescript').id, 'typescript');
+        assert.equal(languages.resolve('a.unknown'), DEFAULT_LANGUAGE);
+    });
+
+    it('adds custom languages and rejects invalid declaration patterns', () => {
+        const languages = new LanguageRegistry({
+            lua: {
+                extensions: ['.lua'],
+                comments: [{ type: 'line', prefix: '--' }],
+                declarations: [{ pattern: '^function\\s+(?<name>\\w+)', kind: 'function' }]
+            }
+        });
+        assert.equal(languages.resolve('a.lua').id, 'lua');
+        const linter = new PropertyLinter();
+        linter.languages = languages;
+        const text = '-- [[OPEN:masterFormula]] f [[CLOSE:masterFormula]]\nfunction add(a)\nend\nfunction bare()\nend\n';
+        assert.deepEqual(linter.findFunctions(text, 'a.lua').map(func => [func.name, Boolean(func.commentBlock)]),
+            [['add', true], ['bare', false]]);
+        assert.throws(() => new LanguageRegistry({ bad: { declarations: [{ pattern: '(' }] } }), SyntaxError);
+    });
+});
+
+describe('other languages', () => {
+    const linter = new PropertyLinter();
+
+    it('finds Go functions with their line comment blocks', () => {
+        const text = '// [[OPEN:masterFormula]] f [[CLOSE:masterFormula]]\nfunc Add(a int) int {\n\treturn a\n}\n\nfunc helper() {}\n';
+        assert.deepEqual(linter.findFunctions(text, 'a.go').map(func => [func.name, Boolean(func.commentBlock)]),
+            [['Add', true], ['helper', false]]);
+    });
+
+    it('finds Ruby, shell and Rust functions', () => {
+        assert.deepEqual(linter.findFunctions('def greet(name)\n  name\nend\n', 'a.rb').map(func => func.name), ['greet']);
+        assert.deepEqual(linter.findFunctions('foo() {\n  :\n}\nfunction bar {\n  :\n}\n', 'a.sh').map(func => func.name),
+            ['foo', 'bar']);
+        assert.deepEqual(linter.findFunctions('pub fn add(a: i32) -> i32 { a }\n', 'a.rs').map(func => func.name), ['add']);
+    });
+});
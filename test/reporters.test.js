@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { REPORT_FORMATS, escapeXml, formatReport } = require('../src/reporters');
+
+const root = path.resolve('/project');
+const results = [
+    {
+        filePath: path.join(root, 'src', 'a.js'),
+        findings: [{
+            rule: 'missing-property',
+            property: 'author',
+            functionName: 'f',
+            message: 'Missing <author> & more',
+            severity: 'error',
+            line: 3,
+            column: 2,
+            endLine: 3,
+            endColumn: 5
+        }]
+    },
+    { filePath: path.join(root, 'b.js'), findings: [] }
+];
+
+describe('reporters', () => {
+    it('escapes XML special characters', () => {
+        assert.equal(escapeXml('<a href="x">&\'</a>'), '&lt;a href=&quot;x&quot;&gt;&amp;&apos;&lt;/a&gt;');
+    });
+
+    it('summarizes JSON reports with relative paths', () => {
+        const report = JSON.parse(formatReport('json', results, root));
+        assert.deepEqual(report.summary, { fileCount: 2, errorCount: 1, warningCount: 0, infoCount: 0 });
+        assert.equal(report.files[0].filePath, 'src/a.js');
+        assert.equal(report.files[0].findings[0].line, 3);
+    });
+
+    it('writes SARIF results with the rule and location', () => {
+        const report = JSON.parse(formatReport('sarif', results, root));
+        const [result] = report.runs[0].results;
+        assert.equal(result.ruleId, 'missing-property');
+        assert.equal(result.level, 'error');
+        assert.equal(result.locations[0].physicalLocation.artifactLocation.uri, 'src/a.js');
+        assert.equal(report.runs[0].tool.driver.rules[0].id, 'missing-property');
+    });
+
+    it('writes one JUnit test suite per file with escaped messages', () => {
+        const report = formatReport('junit', results, root);
+        assert.match(report, /<testsuites name="luke-linter" tests="2" failures="1">/);
+        assert.match(report, /message="Missing &lt;author&gt; &amp; more"/);
+    });
+
+    it('writes Checkstyle errors per file', () => {
+        const report = formatReport('checkstyle', results, root);
+        assert.match(report, /<error line="3" column="2" severity="error"[^>]*source="luke-linter.missing-property"/);
+    });
+
+    it('formats every listed format', () => {
+        for (const format of Object.keys(REPORT_FORMATS)) {
+            assert.equal(typeof formatReport(format, results, root), 'string');
+        }
+    });
+});
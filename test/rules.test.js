@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const PropertyLinter = require('../src/linter');
+const { mergeConfig } = require('../src/config');
+const { RULES, applyRuleSettings } = require('../src/rules');
+
+describe('rules', () => {
+    it('drops rules turned off and replaces severities', () => {
+        const findings = [
+            { rule: 'param-order', severity: 'warning' },
+            { rule: 'missing-returns', severity: 'warning' },
+            { rule: 'unknown-param', severity: 'warning' }
+        ];
+        assert.deepEqual(applyRuleSettings(findings, { 'param-order': 'off', 'missing-returns': 'error' }), [
+            { rule: 'missing-returns', severity: 'error' },
+            { rule: 'unknown-param', severity: 'warning' }
+        ]);
+        assert.deepEqual(applyRuleSettings(findings, null), findings);
+    });
+
+    it('documents every rule with its default severity', () => {
+        const docs = fs.readFileSync(path.join(__dirname, '..', 'docs', 'rules.md'), 'utf8');
+        const documented = [...docs.matchAll(/^## (\S+)\n\n[\s\S]*?Default severity: (.+)$/gm)];
+        assert.deepEqual(documented.map(match => match[1]), Object.keys(RULES));
+        for (const [, rule, severity] of documented) {
+            if (RULES[rule].severity !== 'property') {
+                assert.equal(severity, `\`${RULES[rule].severity}\``, rule);
+            }
+        }
+    });
+
+    it('applies the rules section of the configuration to linted text', () => {
+        const linter = new PropertyLinter();
+        linter.propertyConfig = mergeConfig(linter.defaultConfig, {
+            rules: { 'missing-file-block': 'off', 'missing-function-block': 'hint' }
+        });
+        assert.deepEqual(linter.lintText('function f() {}\n', 'a.js').map(finding => [finding.rule, finding.severity]),
+            [['missing-function-block', 'hint']]);
+    });
+
+    it('reports structural findings with the default severity of their rule', () => {
+        const defaults = ['missing-file-block', 'missing-function-block'].map(rule => [rule, RULES[rule].severity]);
+        try {
+            RULES['missing-file-block'].severity = 'info';
+            RULES['missing-function-block'].severity = 'warning';
+            assert.deepEqual(new PropertyLinter().lintText('function f() {}\n', 'a.js').map(finding => [finding.rule, finding.severity]),
+                [['missing-file-block', 'info'], ['missing-function-block', 'warning']]);
+        } finally {
+            defaults.forEach(([rule, severity]) => {
+                RULES[rule].severity = severity;
+            });
+        }
+    });
+
+    it('lists the rules the configuration turns off', () => {
+        const linter = new PropertyLinter();
+        assert.deepEqual(linter.disabledRules(), ['unused-suppression']);
+        linter.propertyConfig = mergeConfig(linter.defaultConfig, {
+            rules: { 'param-order': 'off' },
+            reportUnusedSuppressions: 'warning'
+        });
+        assert.deepEqual(linter.disabledRules(), ['param-order']);
+    });
+});
@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const PropertyLinter = require('../src/linter');
+const { mergeConfig } = require('../src/config');
+const { compileSelector, compileScopeSelectors, selectScope } = require('../src/scopes');
+
+describe('scopes', () => {
+    it('selects the most specific matching scope', () => {
+        const selectors = compileScopeSelectors({
+            exportedApi: { exported: true },
+            exportedMethods: { kind: 'method', exported: true }
+        });
+        assert.equal(selectScope(selectors, { kind: 'method', name: 'm', exported: true, lines: 1 }), 'exportedMethods');
+        assert.equal(selectScope(selectors, { kind: 'function', name: 'f', exported: true, lines: 1 }), 'exportedApi');
+        assert.equal(selectScope(selectors, { kind: 'function', name: 'f', exported: false, lines: 1 }), 'function');
+        assert.equal(selectScope(selectors, { kind: 'file', name: 'a.js', lines: 1 }), 'file');
+    });
+
+    it('rejects misconfigured selectors', () => {
+        assert.throws(() => compileSelector('function', {}), /built-in function scope/);
+        assert.throws(() => compileSelector('x', { unknown: true }), /Unknown selector field "unknown"/);
+        assert.throws(() => compileSelector('x', { visibility: 'secret' }), /visibility/);
+    });
+
+    it('prefers a declared visibility over the naming convention', () => {
+        const selectors = compileScopeSelectors({ helper: { visibility: 'private' } });
+        assert.equal(selectScope(selectors, { kind: 'method', name: '_a', lines: 1 }), 'helper');
+        assert.equal(selectScope(selectors, { kind: 'method', name: '_a', visibility: 'public', lines: 1 }), 'function');
+        assert.equal(selectScope(selectors, { kind: 'method', name: 'a', visibility: 'private', lines: 1 }), 'helper');
+    });
+
+    it('measures minBodyLines from the body, not the signature', () => {
+        const linter = new PropertyLinter();
+        linter.scopeSelectors = compileScopeSelectors({ long: { minBodyLines: 3 } });
+        const text = [
+            'function wideSignature(',
+            '    a,',
+            '    b,',
+            '    c',
+            ') { return a; }',
+            '',
+            'function longBody() {',
+            '    const a = 1;',
+            '    const b = 2;',
+            '    return a + b;',
+            '}',
+            ''
+        ].join('\n');
+        const scopes = linter.findFunctions(text, 'a.js').map(func => [func.name, linter.scopeOf(func, text, 'a.js')]);
+        assert.deepEqual(scopes, [['wideSignature', 'function'], ['longBody', 'long']]);
+    });
+
+    it('validates a file block against the scope its selector picks', () => {
+        const linter = new PropertyLinter();
+        linter.propertyConfig = mergeConfig(linter.defaultConfig, {
+            scopes: { testFile: ['masterFormula'] },
+            scopeSelectors: { testFile: { kind: 'file', path: '**/*.test.js' } }
+        });
+        linter.scopeSelectors = compileScopeSelectors(linter.propertyConfig.scopeSelectors);
+        const text = '/**\n * [[OPEN:masterFormula]] f [[CLOSE:masterFormula]]\n */\n';
+        assert.deepEqual(linter.lintText(text, path.join('src', 'a.test.js')), []);
+        assert.deepEqual(linter.lintText(text, path.join('src', 'a.js')).map(finding => `${finding.scope} ${finding.property}`),
+            ['file author', 'file description']);
+    });
+});
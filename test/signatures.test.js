@@ -0,0 +1,107 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PropertyLinter = require('../src/linter');
+const { mergeConfig } = require('../src/config');
+
+const linter = new PropertyLinter();
+const FILE_BLOCK = [
+    '/**',
+    ' * [[OPEN:masterFormula]] f [[CLOSE:masterFormula]]',
+    ' * [[OPEN:author]] a [[CLOSE:author]]',
+    ' * [[OPEN:description]] d [[CLOSE:description]]',
+    ' */',
+    '',
+    ''
+].join('\n');
+
+/**
+ * Build a file holding one function with a property block
+ * @param {string[]} lines - Extra lines of the function's block, without the ` * ` prefix
+ * @param {string} declaration - The function declaration
+ * @returns {string} The file text
+ */
+function withFunction(lines, declaration) {
+    return FILE_BLOCK + [
+        '/**',
+        ' * [[OPEN:masterFormula]] f [[CLOSE:masterFormula]]',
+        ' * [[OPEN:description]] d [[CLOSE:description]]',
+        ...lines.map(line => ` * ${line}`),
+        ' */',
+        declaration,
+        ''
+    ].join('\n');
+}
+
+/**
+ * Lint a text and describe its findings
+ * @param {string} text - JavaScript source
+ * @returns {string[]} "rule: reported text" per finding
+ */
+function lint(text) {
+    return linter.lintText(text, 'a.js').map(finding => `${finding.rule}: ${text.substring(finding.start, finding.end)}`);
+}
+
+/**
+ * Build the lines of a params property
+ * @param {string[]} names - Documented parameter names
+ * @returns {string[]} Lines of the property
+ */
+function params(names) {
+    return ['[[OPEN:params]]', ...names.map(name => `- ${name}: d`), '[[CLOSE:params]]'];
+}
+
+describe('params', () => {
+    it('accepts params listed in signature order, with rest parameters', () => {
+        assert.deepEqual(lint(withFunction(params(['a', 'b']), 'function f(a, b) {}')), []);
+        assert.deepEqual(lint(withFunction(params(['a', 'rest']), 'function f(a, ...rest) {}')), []);
+    });
+
+    it('reports undocumented and unknown parameters', () => {
+        assert.deepEqual(lint(withFunction(params(['a', 'z']), 'function f(a, b) {}')), [
+            'undocumented-param: [[OPEN:params]]\n * - a: d\n * - z: d\n * [[CLOSE:params]]',
+            'unknown-param: z'
+        ]);
+    });
+
+    it('reports the first parameter documented out of order', () => {
+        assert.deepEqual(lint(withFunction(params(['b', 'a']), 'function f(a, b) {}')), ['param-order: b']);
+    });
+
+    it('reads one parameter per tag from the name attribute', () => {
+        const lines = ['[[OPEN:params name=a]] first [[CLOSE:params]]', '[[OPEN:params name=c]] third [[CLOSE:params]]'];
+        assert.deepEqual(lint(withFunction(lines, 'function f(a, b) {}')), [
+            'undocumented-param: [[OPEN:params name=a]] first [[CLOSE:params]]',
+            'unknown-param: [[OPEN:params name=c]]'
+        ]);
+    });
+
+    it('uses the severity of the params property', () => {
+        const [finding] = linter.lintText(withFunction(params(['z']), 'function f() {}'), 'a.js');
+        assert.equal(finding.severity, linter.propertyConfig.properties.params.severity);
+    });
+});
+
+describe('returns', () => {
+    const RETURNS = ['[[OPEN:returns]] r [[CLOSE:returns]]'];
+
+    it('reports a function that returns a value without a returns property', () => {
+        assert.deepEqual(lint(withFunction([], 'function f() { return 1; }')), ['missing-returns: f']);
+        assert.deepEqual(lint(withFunction([], 'function* f() { yield 1; }')), ['missing-returns: f']);
+        assert.deepEqual(lint(withFunction(RETURNS, 'function f() { return 1; }')), []);
+    });
+
+    it('reports a returns property of a function that returns nothing', () => {
+        assert.deepEqual(lint(withFunction(RETURNS, 'async function f() { await g(); return; }')),
+            ['unexpected-returns: [[OPEN:returns]] r [[CLOSE:returns]]']);
+        assert.deepEqual(lint(withFunction([], 'function f() { [1].map(x => x * 2); }')), []);
+    });
+
+    it('follows the returnsConsistency settings', () => {
+        const configured = new PropertyLinter();
+        configured.propertyConfig = mergeConfig(configured.defaultConfig, { returnsConsistency: { function: { missing: 'error', unexpected: 'off' } } });
+        const [finding] = configured.lintText(withFunction([], 'function f() { return 1; }'), 'a.js');
+        assert.equal(finding.rule, 'missing-returns');
+        assert.equal(finding.severity, 'error');
+        assert.deepEqual(configured.lintText(withFunction(RETURNS, 'function f() {}'), 'a.js'), []);
+    });
+});
@@ -0,0 +1,132 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PropertyLinter = require('../src/linter');
+const { LanguageRegistry } = require('../src/languages');
+const { isDirectiveComment, isDirectiveGap, findDirectives, applySuppressions } = require('../src/suppressions');
+
+const javascript = new LanguageRegistry().resolve('a.js');
+
+const FILE_BLOCK = [
+    '/**',
+    ' * [[OPEN:masterFormula]] f [[CLOSE:masterFormula]]',
+    ' * [[OPEN:author]] a [[CLOSE:author]]',
+    ' * [[OPEN:description]] d [[CLOSE:description]]',
+    ' */',
+    '',
+    ''
+].join('\n');
+const FUNCTION_BLOCK = [
+    '/**',
+    ' * [[OPEN:masterFormula]] f [[CLOSE:masterFormula]]',
+    ' * [[OPEN:description]] d [[CLOSE:description]]',
+    ' */',
+    ''
+].join('\n');
+
+/**
+ * Build a finding on the line holding a marker
+ * @param {string} text - The text
+ * @param {string} marker - Text on the finding's line
+ * @param {Object} fields - Rule and property of the finding
+ * @returns {Object} The finding
+ */
+function findingAt(text, marker, fields) {
+    const start = text.indexOf(marker);
+    return { severity: 'error', message: 'm', start, end: start + marker.length, ...fields };
+}
+
+describe('suppressions', () => {
+    it('finds directives in comments only', () => {
+        const text = '// luke-linter-disable-next-line missing-property\nconst s = "luke-linter-disable-file";\n';
+        const directives = findDirectives(text, javascript);
+        assert.equal(directives.length, 1);
+        assert.equal(directives[0].type, 'disable-next-line');
+        assert.deepEqual(directives[0].selectors, ['missing-property']);
+    });
+
+    it('suppresses findings on the next line by rule', () => {
+        const text = '// luke-linter-disable-next-line missing-property\nfoo();\nbar();\n';
+        const findings = [
+            findingAt(text, 'foo', { rule: 'missing-property', property: 'author' }),
+            findingAt(text, 'bar', { rule: 'missing-property', property: 'author' })
+        ];
+        assert.deepEqual(applySuppressions(text, javascript, findings), [findings[1]]);
+    });
+
+    it('suppresses ranges between disable and enable', () => {
+        const text = '/* luke-linter-disable */\nfoo();\n/* luke-linter-enable */\nbar();\n';
+        const findings = [findingAt(text, 'foo', { rule: 'a' }), findingAt(text, 'bar', { rule: 'a' })];
+        assert.deepEqual(applySuppressions(text, javascript, findings), [findings[1]]);
+    });
+
+    it('suppresses a whole file for one property of a rule', () => {
+        const text = '// luke-linter-disable-file missing-property:author\nfoo();\n';
+        const findings = [
+            findingAt(text, 'foo', { rule: 'missing-property', property: 'author' }),
+            findingAt(text, 'foo', { rule: 'missing-property', property: 'description' })
+        ];
+        assert.deepEqual(applySuppressions(text, javascript, findings), [findings[1]]);
+    });
+
+    it('matches hyphenated and dotted property names in selectors', () => {
+        const text = '// luke-linter-disable-file missing-property:see-also missing-property:api.v2\nfoo();\n';
+        const findings = [
+            findingAt(text, 'foo', { rule: 'missing-property', property: 'see-also' }),
+            findingAt(text, 'foo', { rule: 'missing-property', property: 'api.v2' }),
+            findingAt(text, 'foo', { rule: 'missing-property', property: 'author' })
+        ];
+        assert.deepEqual(applySuppressions(text, javascript, findings), [findings[2]]);
+    });
+
+    it('never widens a directive whose selectors do not parse', () => {
+        const text = '// luke-linter-disable-file missing-property:$bad\nfoo();\n';
+        const finding = findingAt(text, 'foo', { rule: 'missing-property', property: 'author' });
+        const remaining = applySuppressions(text, javascript, [finding], 'off', 'warning');
+        assert.deepEqual(remaining.map(candidate => candidate.rule), ['missing-property', 'invalid-suppression']);
+        assert.match(remaining[1].message, /"missing-property:\$bad"/);
+    });
+
+    it('reports unused directives when asked to', () => {
+        const text = '// luke-linter-disable-next-line missing-returns\nfoo();\n';
+        const remaining = applySuppressions(text, javascript, [], 'warning');
+        assert.deepEqual(remaining.map(finding => finding.rule), ['unused-suppression']);
+    });
+
+    it('recognizes gaps made only of directives and blank lines', () => {
+        assert.ok(isDirectiveComment('// luke-linter-disable-next-line missing-returns'));
+        assert.ok(isDirectiveGap('\n\n    # luke-linter-disable-next-line missing-returns\n'));
+        assert.ok(!isDirectiveGap('\n// a comment\n'));
+        assert.ok(!isDirectiveGap('\nfoo();\n'));
+    });
+
+    it('keeps a property block attached across a directive before its function', () => {
+        const linter = new PropertyLinter();
+        const text = FILE_BLOCK + FUNCTION_BLOCK + '// luke-linter-disable-next-line missing-returns\nfunction f() { return 1; }\n';
+        assert.deepEqual(linter.lintText(text, 'a.js'), []);
+    });
+
+    it('keeps a Python block attached across a directive before its def', () => {
+        const linter = new PropertyLinter();
+        const text = [
+            '# [[OPEN:masterFormula]] f [[CLOSE:masterFormula]]',
+            '# [[OPEN:author]] a [[CLOSE:author]]',
+            '# [[OPEN:description]] d [[CLOSE:description]]',
+            '',
+            'import os',
+            '',
+            '# [[OPEN:masterFormula]] f [[CLOSE:masterFormula]]',
+            '# [[OPEN:description]] d [[CLOSE:description]]',
+            '# luke-linter-disable-next-line missing-returns',
+            'def f():',
+            '    return 1',
+            ''
+        ].join('\n');
+        assert.deepEqual(linter.lintText(text, 'a.py'), []);
+    });
+
+    it('reports invalid selectors through the linter', () => {
+        const linter = new PropertyLinter();
+        const text = FILE_BLOCK + '// luke-linter-disable-file missing-returns:re$turns\n' + FUNCTION_BLOCK + 'function f() { return 1; }\n';
+        assert.deepEqual(linter.lintText(text, 'a.js').map(finding => finding.rule), ['missing-returns', 'invalid-suppression']);
+    });
+});
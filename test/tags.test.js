@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PropertyLinter = require('../src/linter');
+const { tokenizeTags, parseAttributes, closestTag, parseTags } = require('../src/tags');
+
+describe('tags', () => {
+    it('tokenizes open and close tags with their attributes', () => {
+        assert.deepEqual(tokenizeTags('a [[OPEN:x k=v]] b [[CLOSE:x]]'), [
+            { type: 'open', name: 'x', attributes: { k: 'v' }, start: 2, end: 16 },
+            { type: 'close', name: 'x', attributes: {}, start: 19, end: 30 }
+        ]);
+    });
+
+    it('parses quoted attribute values and flags', () => {
+        assert.deepEqual(parseAttributes(' name=a type="a number" optional'), { name: 'a', type: 'a number', optional: true });
+    });
+
+    it('parses properties with their content and ranges', () => {
+        const text = ' [[OPEN:description]] hi [[CLOSE:description]]';
+        const { properties, problems } = parseTags(text);
+        assert.deepEqual(problems, []);
+        assert.equal(properties.length, 1);
+        assert.equal(properties[0].tag, 'description');
+        assert.equal(properties[0].content, 'hi');
+        assert.equal(text.substring(properties[0].start, properties[0].end), text.trim());
+    });
+
+    it('accepts hyphenated and dotted tag names', () => {
+        const { properties } = parseTags('[[OPEN:see-also]] x [[CLOSE:see-also]] [[OPEN:api.v2]] y [[CLOSE:api.v2]]');
+        assert.deepEqual(properties.map(property => property.tag), ['see-also', 'api.v2']);
+    });
+
+    it('reads list entries as items', () => {
+        const { properties } = parseTags('[[OPEN:params]]\n - a: {string} first\n - b: second\n[[CLOSE:params]]');
+        assert.deepEqual(properties[0].items.map(item => [item.key, item.value]), [['a', '{string} first'], ['b', 'second']]);
+    });
+
+    it('reports orphaned, misnested and unclosed tags', () => {
+        assert.deepEqual(parseTags('[[CLOSE:foo]]').problems.map(problem => problem.rule), ['orphaned-close-tag']);
+        assert.deepEqual(
+            parseTags('[[OPEN:a]] [[OPEN:b]] [[CLOSE:a]] [[CLOSE:b]] [[OPEN:c]]').problems.map(problem => problem.rule),
+            ['misnested-tag', 'unclosed-tag']
+        );
+    });
+
+    it('suggests the closest known tag name', () => {
+        assert.equal(closestTag('descripton', ['description', 'author']), 'description');
+    });
+
+    it('reports duplicate properties and mismatched close tags through the linter', () => {
+        const text = '/**\n * [[OPEN:masterFormula]] x [[CLOSE:masterFormula]]\n * [[OPEN:author]] a [[CLOSE:author]]\n' +
+            ' * [[OPEN:author]] b [[CLOSE:author]]\n * [[OPEN:description]] d [[CLOSE:descripton]]\n */\n';
+        const findings = new PropertyLinter().lintText(text, 'a.js');
+        assert.deepEqual(findings.map(finding => [finding.rule, finding.severity, text.substring(finding.start, finding.end)]), [
+            ['duplicate-property', 'warning', '[[OPEN:author]]'],
+            ['mismatched-tag', 'error', '[[CLOSE:descripton]]']
+        ]);
+        assert.match(findings[1].message, /did you mean \[\[CLOSE:description\]\]\?/);
+    });
+});
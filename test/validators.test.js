@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PropertyLinter = require('../src/linter');
+const { compileValidators } = require('../src/validators');
+const { parseTags } = require('../src/tags');
+
+/**
+ * Run the validators of one property setting against a property block
+ * @param {Object} settings - Validator settings of the property
+ * @param {string} text - Text holding one `x` property
+ * @returns {string[]} Names of the failing validators
+ */
+function failing(settings, text) {
+    const [property] = parseTags(text).properties;
+    const validators = compileValidators({ x: { severity: 'warning', ...settings } }).get('x') || [];
+    return validators.filter(validator => !validator.test(property.content.trim(), property)).map(validator => validator.name);
+}
+
+describe('validators', () => {
+    it('checks patterns, lengths, words and allowed values', () => {
+        const settings = { pattern: '^[A-Z]', minLength: 3, maxLength: 10, minWords: 2, enum: ['Yes it', 'No way'] };
+        assert.deepEqual(failing(settings, '[[OPEN:x]] Yes it [[CLOSE:x]]'), []);
+        assert.deepEqual(failing(settings, '[[OPEN:x]] maybe [[CLOSE:x]]'), ['pattern', 'minWords', 'enum']);
+        assert.deepEqual(failing(settings, '[[OPEN:x]] Far too long to pass [[CLOSE:x]]'), ['maxLength', 'enum']);
+    });
+
+    it('checks formats', () => {
+        assert.deepEqual(failing({ format: 'email' }, '[[OPEN:x]] a@b.co [[CLOSE:x]]'), []);
+        assert.deepEqual(failing({ format: 'date' }, '[[OPEN:x]] 2023-02-30 [[CLOSE:x]]'), ['format']);
+        assert.deepEqual(failing({ format: 'semver' }, '[[OPEN:x]] v1.2.3-beta.1 [[CLOSE:x]]'), []);
+        assert.deepEqual(failing({ format: 'url' }, '[[OPEN:x]] example.com [[CLOSE:x]]'), ['format']);
+    });
+
+    it('checks forbidden text, list entries, fields and attributes', () => {
+        const text = '[[OPEN:x since=1.0]]\n- a: first\nowner: me\n[[CLOSE:x]]';
+        assert.deepEqual(failing({ mustNotContain: ['TODO'], minItems: 1, requiredFields: ['a', 'owner'], requiredAttributes: ['since'] }, text), []);
+        assert.deepEqual(failing({ mustNotContain: 'first', minItems: 2, requiredFields: ['b'], requiredAttributes: ['until'] }, text),
+            ['mustNotContain', 'minItems', 'requiredFields', 'requiredAttributes']);
+    });
+
+    it('takes the message and severity of object settings', () => {
+        const [validator] = compileValidators({
+            x: { severity: 'error', pattern: { value: 'a', flags: 'i', message: 'Needs an a', severity: 'hint' } }
+        }).get('x');
+        assert.equal(validator.message, 'Needs an a');
+        assert.equal(validator.severity, 'hint');
+        assert.ok(validator.test('A'));
+        assert.equal(compileValidators({ x: { severity: 'error', minLength: 2 } }).get('x')[0].severity, 'error');
+    });
+
+    it('rejects misconfigured validators', () => {
+        assert.throws(() => compileValidators({ x: { pattern: '(' } }), SyntaxError);
+        assert.throws(() => compileValidators({ x: { format: 'phone' } }), /Unknown format "phone" for x/);
+        assert.throws(() => compileValidators({ x: { enum: 'a' } }), /enum for x must be a list/);
+        assert.throws(() => compileValidators({ x: { requiredFields: [1] } }), /requiredFields for x must be a list of names/);
+    });
+
+    it('reports content that fails a validator', () => {
+        const linter = new PropertyLinter();
+        linter.contentValidators = compileValidators({ description: { severity: 'warning', minWords: 3 } });
+        const text = '/**\n * [[OPEN:masterFormula]] f [[CLOSE:masterFormula]]\n * [[OPEN:author]] a [[CLOSE:author]]\n' +
+            ' * [[OPEN:description]] Too short [[CLOSE:description]]\n */\n';
+        const [finding] = linter.lintText(text, 'a.js');
+        assert.equal(finding.rule, 'invalid-property-content');
+        assert.equal(finding.severity, 'warning');
+        assert.equal(finding.validator, 'minWords');
+        assert.equal(text.substring(finding.start, finding.end), '[[OPEN:description]] Too short [[CLOSE:description]]');
+    });
+});
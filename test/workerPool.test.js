@@ -0,0 +1,36 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { lintInWorkers } = require('../src/workerPool');
+
+describe('worker pool', () => {
+    it('lints every file and reports unreadable ones', async () => {
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'luke-linter-pool-'));
+        try {
+            fs.writeFileSync(path.join(root, 'a.js'), 'function a() {}\n');
+            fs.writeFileSync(path.join(root, 'b.js'), 'const b = 1;\n');
+            const jobs = ['a.js', 'b.js', 'missing.js'].map(name => ({ filePath: path.join(root, name), root, settingsLayers: [] }));
+            const results = new Map();
+            await lintInWorkers(jobs, { threads: 2, onResult: result => results.set(path.basename(result.filePath), result) });
+
+            assert.deepEqual([...results.keys()].sort(), ['a.js', 'b.js', 'missing.js']);
+            assert.ok(results.get('a.js').findings.some(finding => finding.rule === 'missing-function-block'));
+            assert.ok(results.get('missing.js').error);
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+
+    it('rejects when onResult throws', async () => {
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'luke-linter-pool-'));
+        try {
+            fs.writeFileSync(path.join(root, 'a.js'), 'const a = 1;\n');
+            const jobs = [{ filePath: path.join(root, 'a.js'), root, settingsLayers: [] }];
+            await assert.rejects(lintInWorkers(jobs, { threads: 1, onResult: () => { throw new Error('boom'); } }), /boom/);
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+});